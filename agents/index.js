@@ -0,0 +1,254 @@
+import { randomUUID } from "crypto";
+import { getRepository } from "../storage/index.js";
+import {
+  listLiveProviders,
+  validateProviderOptions,
+} from "../providers/index.js";
+import {
+  listBuiltinHandlers,
+  validateToolDefinitions,
+} from "../tools/index.js";
+import { validateMcpServers } from "../tools/mcp.js";
+import { validateContextWindow } from "../conversations/context.js";
+import { validateSpeechSettings } from "../voices/index.js";
+import { validatePromptSelection } from "../prompts/index.js";
+import { validateGuardrails } from "../guardrails/index.js";
+import { validatePiiPolicy } from "../pii/index.js";
+import { validateHandoffConfig } from "../handoff/index.js";
+
+// Agents are reusable voice agent definitions, independent of any one call.
+// Each agent has an editable draft; publishing freezes the draft into an
+// immutable numbered version. Callers get the active version (normally the
+// latest) so drafts can be edited safely and bad edits rolled back.
+
+export const agents = getRepository("agents");
+export const agentVersions = getRepository("agent-versions");
+
+// Everything a call needs to run the agent; stored in drafts and versions
+export const AGENT_CONFIG_FIELDS = [
+  "agentType",
+  "voice",
+  "language",
+  "speakingStyle",
+  "responseModality",
+  "prompt",
+  "documents",
+  "provider",
+  "providerOptions",
+  "model",
+  "tools",
+  "mcpServers",
+  "recording",
+  "bargeIn",
+  "maxConcurrentCalls",
+  "contextWindow",
+  "guardrails",
+  "pii",
+  "handoff",
+];
+
+const DEFAULT_CONFIG = { agentType: "", documents: [] };
+
+const versionId = (agentId, version) => `${agentId}@${version}`;
+
+export function pickAgentConfig(source = {}) {
+  return Object.fromEntries(
+    AGENT_CONFIG_FIELDS.filter((field) => source[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
+}
+
+// Documents are { name, content } text, plus whatever metadata uploads add
+export function validateDocuments(documents) {
+  if (!Array.isArray(documents)) return ["documents must be an array"];
+  const invalid = documents.findIndex(
+    (document) =>
+      !document ||
+      typeof document.name !== "string" ||
+      typeof document.content !== "string"
+  );
+  return invalid >= 0
+    ? [`documents[${invalid}] must have a string name and content`]
+    : [];
+}
+
+// Returns a list of human readable problems; empty when the config is usable
+export function validateAgentConfig(config) {
+  const errors = [];
+
+  if (config.provider && !listLiveProviders().includes(config.provider)) {
+    errors.push(`Unknown live provider: ${config.provider}`);
+  }
+  if (config.providerOptions !== undefined && config.providerOptions !== null) {
+    errors.push(...validateProviderOptions(config.providerOptions));
+  }
+  if (config.documents !== undefined) {
+    errors.push(...validateDocuments(config.documents));
+  }
+  if (
+    config.prompt !== undefined &&
+    (typeof config.prompt !== "object" || Array.isArray(config.prompt))
+  ) {
+    errors.push("prompt must be an object");
+  } else if (config.prompt !== undefined) {
+    errors.push(...validatePromptSelection(config.prompt));
+  }
+  for (const field of ["agentType", "model"]) {
+    if (config[field] !== undefined && typeof config[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  errors.push(...validateSpeechSettings(config));
+  if (config.tools !== undefined) {
+    errors.push(
+      ...validateToolDefinitions(config.tools, {
+        builtinNames: listBuiltinHandlers(),
+      })
+    );
+  }
+  if (
+    config.maxConcurrentCalls !== undefined &&
+    config.maxConcurrentCalls !== null &&
+    (!Number.isInteger(config.maxConcurrentCalls) ||
+      config.maxConcurrentCalls < 1)
+  ) {
+    errors.push("maxConcurrentCalls must be a positive integer or null");
+  }
+  if (config.mcpServers !== undefined) {
+    errors.push(...validateMcpServers(config.mcpServers));
+  }
+  if (config.contextWindow !== undefined) {
+    errors.push(...validateContextWindow(config.contextWindow));
+  }
+  if (config.guardrails !== undefined) {
+    errors.push(...validateGuardrails(config.guardrails));
+  }
+  if (config.pii !== undefined) {
+    errors.push(...validatePiiPolicy(config.pii));
+  }
+  if (config.handoff !== undefined) {
+    errors.push(...validateHandoffConfig(config.handoff));
+  }
+
+  return errors;
+}
+
+export function createAgent({ name, ownerId, config }) {
+  return agents.create(randomUUID(), {
+    name,
+    ownerId: ownerId ?? null,
+    draft: { ...DEFAULT_CONFIG, ...config },
+    latestVersion: 0,
+    activeVersion: null,
+  });
+}
+
+// Merges the changed fields into the draft; published versions are untouched
+export async function updateAgentDraft(agent, { name, config }) {
+  return agents.update(agent.id, {
+    ...(name !== undefined && { name }),
+    draft: { ...agent.draft, ...config },
+  });
+}
+
+// agentId -> the publish in progress
+const publishing = new Map();
+
+// Publishes of one agent run one at a time, each numbering its version from
+// the agent as stored, so concurrent requests get consecutive versions
+// rather than competing for the same one
+export function publishAgentVersion(agent, { note } = {}) {
+  const previous = publishing.get(agent.id) || Promise.resolve();
+  const published = previous
+    .catch(() => {})
+    .then(async () => {
+      const current = await agents.get(agent.id);
+      if (!current) throw new Error("Agent not found");
+
+      const version = current.latestVersion + 1;
+      const record = await agentVersions.create(versionId(agent.id, version), {
+        agentId: agent.id,
+        version,
+        note: note ?? null,
+        config: current.draft,
+      });
+      await agents.update(agent.id, {
+        latestVersion: version,
+        activeVersion: version,
+      });
+      return record;
+    });
+
+  publishing.set(agent.id, published);
+  published
+    .catch(() => {})
+    .then(() => {
+      if (publishing.get(agent.id) === published) publishing.delete(agent.id);
+    });
+  return published;
+}
+
+export async function listAgentVersions(agentId) {
+  const versions = await agentVersions.list({ agentId });
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+export function getAgentVersion(agentId, version) {
+  return agentVersions.get(versionId(agentId, version));
+}
+
+// Point callers back at an earlier version and restore it as the draft
+export async function rollbackAgent(agent, version) {
+  const record = await getAgentVersion(agent.id, version);
+  if (!record) return null;
+  return agents.update(agent.id, {
+    activeVersion: version,
+    draft: record.config,
+  });
+}
+
+export async function deleteAgent(agentId) {
+  const versions = await agentVersions.list({ agentId });
+  await Promise.all(
+    versions.map((version) => agentVersions.delete(version.id))
+  );
+  return agents.delete(agentId);
+}
+
+// Resolves the config one call should run with. `version` may be a version
+// number, "draft", or omitted for the active version. The result has the
+// same shape as a legacy agent session so voice sessions treat both alike.
+export async function resolveAgentConfig(agentId, version) {
+  const agent = await agents.get(agentId);
+  if (!agent) throw new Error("Agent not found");
+
+  if (version === "draft") {
+    return {
+      ...agent.draft,
+      id: agent.id,
+      ownerId: agent.ownerId,
+      agentId,
+      agentVersion: "draft",
+    };
+  }
+
+  const wanted = version == null ? agent.activeVersion : Number(version);
+  if (wanted == null) {
+    throw new Error(
+      'Agent has no published version; publish one or pass version "draft"'
+    );
+  }
+
+  const record = await getAgentVersion(agentId, wanted);
+  if (!record) throw new Error(`Agent version not found: ${version}`);
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...record.config,
+    id: agent.id,
+    ownerId: agent.ownerId,
+    agentId,
+    agentVersion: record.version,
+  };
+}
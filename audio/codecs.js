@@ -0,0 +1,289 @@
+import OpusScript from "opusscript";
+import { decodeMulaw, encodeMulaw } from "./mulaw.js";
+import { resamplePcm16 } from "./pcm.js";
+import { createWebmDemuxer } from "./webm.js";
+
+// Converts whatever audio a client sends into the 16 kHz mono PCM the live
+// session expects, and the agent's 24 kHz PCM into the format the client
+// asked for. Formats are negotiated once per call at start-voice-session.
+
+export const CALLER_SAMPLE_RATE = 16000;
+export const AGENT_SAMPLE_RATE = 24000;
+
+const OPUS_FRAME_MS = 20;
+
+export const INPUT_ENCODINGS = {
+  pcm16: "16-bit little-endian PCM, interleaved when multi-channel",
+  float32: "32-bit float PCM (Web Audio), interleaved when multi-channel",
+  mulaw: "G.711 mu-law",
+  opus: "One raw Opus packet per message (WebCodecs AudioEncoder)",
+  "webm-opus": "MediaRecorder audio/webm;codecs=opus chunks",
+};
+
+export const OUTPUT_ENCODINGS = {
+  pcm16: "16-bit little-endian mono PCM",
+  float32: "32-bit float mono PCM",
+  mulaw: "G.711 mu-law",
+  opus: "Raw Opus packets, 20 ms each",
+};
+
+const DEFAULT_INPUT_FORMAT = {
+  encoding: "pcm16",
+  sampleRate: CALLER_SAMPLE_RATE,
+  channels: 1,
+};
+const DEFAULT_OUTPUT_FORMAT = {
+  encoding: "pcm16",
+  sampleRate: AGENT_SAMPLE_RATE,
+};
+
+const OPUS_RATES = OpusScript.VALID_SAMPLING_RATES;
+
+function checkSampleRate(sampleRate, label) {
+  if (
+    !Number.isInteger(sampleRate) ||
+    sampleRate < 8000 ||
+    sampleRate > 96000
+  ) {
+    throw new Error(
+      `${label} sampleRate must be an integer between 8000 and 96000`
+    );
+  }
+}
+
+export function normalizeInputFormat(format = {}) {
+  const encoding = format.encoding || DEFAULT_INPUT_FORMAT.encoding;
+  if (!Object.hasOwn(INPUT_ENCODINGS, encoding)) {
+    throw new Error(
+      `Unsupported input encoding "${encoding}". Supported: ${Object.keys(
+        INPUT_ENCODINGS
+      ).join(", ")}`
+    );
+  }
+
+  // Compressed formats carry their own rate; Opus is always decoded at 16 kHz
+  const compressed = encoding === "opus" || encoding === "webm-opus";
+  const sampleRate = compressed
+    ? CALLER_SAMPLE_RATE
+    : Number(
+        format.sampleRate || (encoding === "mulaw" ? 8000 : CALLER_SAMPLE_RATE)
+      );
+  const channels = compressed ? 1 : Number(format.channels || 1);
+
+  checkSampleRate(sampleRate, "Input");
+  if (![1, 2].includes(channels)) {
+    throw new Error("Input channels must be 1 or 2");
+  }
+
+  return { encoding, sampleRate, channels };
+}
+
+export function normalizeOutputFormat(format = {}) {
+  const encoding = format.encoding || DEFAULT_OUTPUT_FORMAT.encoding;
+  if (!Object.hasOwn(OUTPUT_ENCODINGS, encoding)) {
+    throw new Error(
+      `Unsupported output encoding "${encoding}". Supported: ${Object.keys(
+        OUTPUT_ENCODINGS
+      ).join(", ")}`
+    );
+  }
+
+  const sampleRate = Number(
+    format.sampleRate || (encoding === "mulaw" ? 8000 : AGENT_SAMPLE_RATE)
+  );
+  checkSampleRate(sampleRate, "Output");
+  if (encoding === "opus" && !OPUS_RATES.includes(sampleRate)) {
+    throw new Error(
+      `Opus output sampleRate must be one of ${OPUS_RATES.join(", ")}`
+    );
+  }
+
+  return { encoding, sampleRate };
+}
+
+// Average interleaved channels down to mono
+function downmix(pcm, channels) {
+  if (channels === 1) return pcm;
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const output = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += pcm.readInt16LE((i * channels + c) * 2);
+    }
+    output.writeInt16LE(Math.round(sum / channels), i * 2);
+  }
+  return output;
+}
+
+function float32ToPcm16(buffer) {
+  const samples = Math.floor(buffer.length / 4);
+  const output = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.max(-1, Math.min(1, buffer.readFloatLE(i * 4)));
+    output.writeInt16LE(
+      Math.round(value < 0 ? value * 0x8000 : value * 0x7fff),
+      i * 2
+    );
+  }
+  return output;
+}
+
+function pcm16ToFloat32(buffer) {
+  const samples = Math.floor(buffer.length / 2);
+  const output = Buffer.alloc(samples * 4);
+  for (let i = 0; i < samples; i++) {
+    const value = buffer.readInt16LE(i * 2);
+    output.writeFloatLE(value < 0 ? value / 0x8000 : value / 0x7fff, i * 4);
+  }
+  return output;
+}
+
+// socket.io hands us either the legacy base64 string or binary frames
+export function toBuffer(data) {
+  if (typeof data === "string") return Buffer.from(data, "base64");
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error("Audio data must be base64 text or binary");
+}
+
+// Returns { decode(data) -> Buffer of 16 kHz mono PCM16, close() }
+export function createInputDecoder(inputFormat) {
+  const format = normalizeInputFormat(inputFormat);
+  const toCallerRate = (pcm, rate) =>
+    resamplePcm16(downmix(pcm, format.channels), rate, CALLER_SAMPLE_RATE);
+
+  switch (format.encoding) {
+    case "pcm16":
+      return {
+        format,
+        decode: (data) => toCallerRate(toBuffer(data), format.sampleRate),
+        close() {},
+      };
+    case "float32":
+      return {
+        format,
+        decode: (data) =>
+          toCallerRate(float32ToPcm16(toBuffer(data)), format.sampleRate),
+        close() {},
+      };
+    case "mulaw":
+      return {
+        format,
+        decode: (data) =>
+          toCallerRate(decodeMulaw(toBuffer(data)), format.sampleRate),
+        close() {},
+      };
+    default: {
+      // Opus streams of any channel count decode straight to 16 kHz mono
+      const decoder = new OpusScript(
+        CALLER_SAMPLE_RATE,
+        1,
+        OpusScript.Application.VOIP
+      );
+      const demuxer =
+        format.encoding === "webm-opus" ? createWebmDemuxer() : null;
+
+      return {
+        format,
+        decode(data) {
+          const buffer = toBuffer(data);
+          const packets = demuxer ? demuxer.push(buffer) : [buffer];
+          return Buffer.concat(
+            packets.map((packet) => {
+              try {
+                return decoder.decode(packet);
+              } catch (error) {
+                console.error(
+                  "❌ Dropping undecodable Opus packet:",
+                  error.message
+                );
+                return Buffer.alloc(0);
+              }
+            })
+          );
+        },
+        close() {
+          decoder.delete();
+        },
+      };
+    }
+  }
+}
+
+// Returns { encode(pcm, sampleRate = 24 kHz) -> [{ data: base64, mimeType }],
+// close() }.
+// Opus may hold back a partial frame until the next chunk arrives.
+export function createOutputEncoder(outputFormat) {
+  const format = normalizeOutputFormat(outputFormat);
+  const toClientRate = (pcm, sampleRate = AGENT_SAMPLE_RATE) =>
+    resamplePcm16(pcm, sampleRate, format.sampleRate);
+  const single = (buffer, mimeType) =>
+    buffer.length ? [{ data: buffer.toString("base64"), mimeType }] : [];
+
+  switch (format.encoding) {
+    case "pcm16":
+      return {
+        format,
+        encode: (pcm, sampleRate) =>
+          single(
+            toClientRate(pcm, sampleRate),
+            `audio/pcm;rate=${format.sampleRate}`
+          ),
+        close() {},
+      };
+    case "float32":
+      return {
+        format,
+        encode: (pcm, sampleRate) =>
+          single(
+            pcm16ToFloat32(toClientRate(pcm, sampleRate)),
+            `audio/float32;rate=${format.sampleRate}`
+          ),
+        close() {},
+      };
+    case "mulaw":
+      return {
+        format,
+        encode: (pcm, sampleRate) =>
+          single(
+            encodeMulaw(toClientRate(pcm, sampleRate)),
+            `audio/x-mulaw;rate=${format.sampleRate}`
+          ),
+        close() {},
+      };
+    default: {
+      const encoder = new OpusScript(
+        format.sampleRate,
+        1,
+        OpusScript.Application.VOIP
+      );
+      const frameSamples = (format.sampleRate * OPUS_FRAME_MS) / 1000;
+      const frameBytes = frameSamples * 2;
+      let pending = Buffer.alloc(0);
+
+      return {
+        format,
+        encode(pcm, sampleRate) {
+          pending = Buffer.concat([pending, toClientRate(pcm, sampleRate)]);
+          const packets = [];
+          while (pending.length >= frameBytes) {
+            const frame = pending.subarray(0, frameBytes);
+            pending = pending.subarray(frameBytes);
+            packets.push({
+              data: encoder.encode(frame, frameSamples).toString("base64"),
+              mimeType: `audio/opus;rate=${format.sampleRate}`,
+            });
+          }
+          return packets;
+        },
+        close() {
+          encoder.delete();
+        },
+      };
+    }
+  }
+}
@@ -0,0 +1,49 @@
+// G.711 mu-law codec, the 8 kHz telephony format used by phone carriers
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const byte = ~i & 0xff;
+  const exponent = (byte >> 4) & 0x07;
+  const mantissa = byte & 0x0f;
+  const magnitude = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+  DECODE_TABLE[i] = byte & 0x80 ? -magnitude : magnitude;
+}
+
+function encodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+  let exponent = 7;
+  for (
+    let mask = 0x4000;
+    (magnitude & mask) === 0 && exponent > 0;
+    mask >>= 1
+  ) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// mu-law bytes -> 16-bit little-endian PCM at the same sample rate
+export function decodeMulaw(buffer) {
+  const output = Buffer.alloc(buffer.length * 2);
+  for (let i = 0; i < buffer.length; i++) {
+    output.writeInt16LE(DECODE_TABLE[buffer[i]], i * 2);
+  }
+  return output;
+}
+
+// 16-bit little-endian PCM -> mu-law bytes at the same sample rate
+export function encodeMulaw(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const output = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    output[i] = encodeSample(pcm.readInt16LE(i * 2));
+  }
+  return output;
+}
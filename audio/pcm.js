@@ -0,0 +1,92 @@
+// Helpers for 16-bit little-endian PCM, the format the live API speaks
+
+export const BYTES_PER_SAMPLE = 2;
+
+// Mono PCM resampler. Upsampling interpolates linearly; downsampling averages
+// the input samples each output sample spans, a cheap low-pass that keeps
+// 24 kHz speech from aliasing when squeezed into 8 kHz telephony audio.
+export function resamplePcm16(buffer, fromRate, toRate) {
+  const inputSamples = Math.floor(buffer.length / BYTES_PER_SAMPLE);
+  if (inputSamples === 0 || fromRate === toRate) return buffer;
+
+  const ratio = fromRate / toRate;
+  const window = Math.max(Math.floor(ratio), 1);
+  const outputSamples = Math.floor(inputSamples / ratio);
+  const output = Buffer.alloc(outputSamples * BYTES_PER_SAMPLE);
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    let value;
+
+    if (window > 1) {
+      let sum = 0;
+      let count = 0;
+      for (let j = index; j < index + window && j < inputSamples; j++) {
+        sum += buffer.readInt16LE(j * 2);
+        count++;
+      }
+      value = sum / count;
+    } else {
+      const fraction = position - index;
+      const current = buffer.readInt16LE(index * 2);
+      const next =
+        index + 1 < inputSamples
+          ? buffer.readInt16LE((index + 1) * 2)
+          : current;
+      value = current + (next - current) * fraction;
+    }
+
+    output.writeInt16LE(Math.round(value), i * 2);
+  }
+
+  return output;
+}
+
+// Interleave two mono PCM buffers into one stereo buffer; the shorter side
+// is padded with silence
+export function interleaveStereo(left, right) {
+  const samples = Math.max(left.length, right.length) / BYTES_PER_SAMPLE;
+  const output = Buffer.alloc(samples * 2 * BYTES_PER_SAMPLE);
+
+  for (let i = 0; i < samples; i++) {
+    const offset = i * 2;
+    output.writeInt16LE(
+      offset < left.length ? left.readInt16LE(offset) : 0,
+      i * 4
+    );
+    output.writeInt16LE(
+      offset < right.length ? right.readInt16LE(offset) : 0,
+      i * 4 + 2
+    );
+  }
+
+  return output;
+}
+
+export function createWavHeader({ sampleRate, channels, dataLength }) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * BYTES_PER_SAMPLE;
+
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM format
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+// Reads the rate out of mime types like "audio/pcm;rate=24000"
+export function sampleRateFromMimeType(mimeType, fallback) {
+  const match = /rate=(\d+)/.exec(mimeType || "");
+  return match ? Number(match[1]) : fallback;
+}
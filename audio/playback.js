@@ -0,0 +1,64 @@
+import { BYTES_PER_SAMPLE } from "./pcm.js";
+
+// Local playback for the CLI clients. The live API sends speech faster than
+// real time, and a speaker stream would buffer all of it, so an interrupted
+// answer would keep playing to the end. Audio is instead held here and fed
+// to the speaker only `leadMs` ahead of what it is playing; flush() drops
+// the rest when the user barges in.
+export function createPlaybackQueue(
+  speaker,
+  { sampleRate, channels = 1, leadMs = 200, tickMs = 20 }
+) {
+  const bytesPerMs = (sampleRate * channels * BYTES_PER_SAMPLE) / 1000;
+  // Chunks are cut to one tick so a flush lands between small writes
+  const chunkBytes =
+    Math.round((bytesPerMs * tickMs) / (BYTES_PER_SAMPLE * channels)) *
+    BYTES_PER_SAMPLE *
+    channels;
+  let queue = [];
+  let queuedBytes = 0;
+  // Wall-clock time at which the audio already written runs out
+  let playingUntil = 0;
+  let timer = null;
+
+  function pump() {
+    const now = Date.now();
+    playingUntil = Math.max(playingUntil, now);
+    while (queue.length > 0 && playingUntil - now < leadMs) {
+      const chunk = queue.shift();
+      queuedBytes -= chunk.length;
+      speaker.write(chunk);
+      playingUntil += chunk.length / bytesPerMs;
+    }
+    if (queue.length === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    play(buffer) {
+      for (let offset = 0; offset < buffer.length; offset += chunkBytes) {
+        const chunk = buffer.subarray(offset, offset + chunkBytes);
+        queue.push(chunk);
+        queuedBytes += chunk.length;
+      }
+      pump();
+      if (queue.length > 0 && !timer) timer = setInterval(pump, tickMs);
+    },
+
+    // Drop everything not yet handed to the speaker
+    flush() {
+      const droppedMs = Math.round(queuedBytes / bytesPerMs);
+      queue = [];
+      queuedBytes = 0;
+      clearInterval(timer);
+      timer = null;
+      return droppedMs;
+    },
+
+    get queuedMs() {
+      return Math.round(queuedBytes / bytesPerMs);
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// Minimal streaming WebM (Matroska) demuxer for MediaRecorder audio. It only
+// needs to pull Opus packets out of SimpleBlocks/Blocks, so container
+// elements are entered and every other element is skipped whole.
+
+const SEGMENT = 0x18538067;
+const CLUSTER = 0x1f43b675;
+const BLOCK_GROUP = 0xa0;
+const BLOCK = 0xa1;
+const SIMPLE_BLOCK = 0xa3;
+
+const CONTAINERS = new Set([SEGMENT, CLUSTER, BLOCK_GROUP]);
+
+// EBML variable length integer. IDs keep their length marker bit, sizes don't.
+function readVint(buffer, offset, keepMarker) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+// Block layout: track number (vint), 16-bit timecode, flags, frame data
+function blockFrame(payload) {
+  const track = readVint(payload, 0, false);
+  if (!track) return null;
+  const flags = payload[track.length + 2];
+  // Browsers never lace Opus; laced blocks are skipped rather than misread
+  if (flags & 0x06) return null;
+  return payload.subarray(track.length + 3);
+}
+
+export function createWebmDemuxer() {
+  let pending = Buffer.alloc(0);
+
+  return {
+    // Feed the next MediaRecorder chunk; returns the complete Opus packets
+    push(chunk) {
+      const buffer = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      const packets = [];
+      let offset = 0;
+
+      while (offset < buffer.length) {
+        const id = readVint(buffer, offset, true);
+        const size = id && readVint(buffer, offset + id.length, false);
+        if (!size) break;
+
+        const headerLength = id.length + size.length;
+        if (CONTAINERS.has(id.value) || size.unknown) {
+          offset += headerLength;
+          continue;
+        }
+
+        const end = offset + headerLength + size.value;
+        if (end > buffer.length) break;
+
+        if (id.value === SIMPLE_BLOCK || id.value === BLOCK) {
+          const frame = blockFrame(buffer.subarray(offset + headerLength, end));
+          if (frame?.length) packets.push(Buffer.from(frame));
+        }
+        offset = end;
+      }
+
+      pending = Buffer.from(buffer.subarray(offset));
+      return packets;
+    },
+  };
+}
@@ -0,0 +1,237 @@
+import { createHash, timingSafeEqual } from "crypto";
+import jwt from "jsonwebtoken";
+
+// Callers authenticate as an account with either an API key or a JWT, sent
+// as `Authorization: Bearer <token>` (or `X-API-Key` for keys). An account is
+// a workspace (see workspaces/index.js): records carry the `ownerId` of the
+// workspace that created them and are only visible to it.
+//
+//   API_KEYS             comma separated workspaceId:key pairs
+//   ADMIN_API_KEYS       same format; these accounts may also manage
+//                        workspaces
+//   SUPERVISOR_API_KEYS  same format; these accounts listen in on and coach
+//                        their workspace's calls
+//   OPERATOR_API_KEYS    same format; these accounts take calls transferred
+//                        to a human
+//   JWT_SECRET           HS256 secret; the account is the token's `workspace`
+//                        claim (or `sub`), and `role` may be "admin",
+//                        "supervisor" or "operator"
+//   JWT_ISSUER      optional required `iss`
+//   JWT_AUDIENCE    optional required `aud`
+//   AUTH_DISABLED   "true" to skip authentication in local development; every
+//                   caller is then the "local" admin account
+//
+// Nothing configured means every request is rejected.
+
+const LOCAL_ACCOUNT = { id: "local", method: "none", role: "admin" };
+
+const JWT_ROLES = ["admin", "supervisor", "operator"];
+
+// Supervisors and operators work from their socket namespaces. Over REST
+// they may only read the calls and transfers they deal with; they cannot
+// edit agents, upload documents or place calls.
+const ROLE_ROUTES = {
+  supervisor: [
+    ["GET", /^\/voice-sessions$/],
+    ["GET", /^\/voice-sessions\/[^/]+\/transcript$/],
+    ["GET", /^\/guardrail-violations$/],
+    ["GET", /^\/handoffs$/],
+  ],
+  operator: [["GET", /^\/handoffs$/]],
+};
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+const API_KEY_VARIABLES = {
+  API_KEYS: "member",
+  ADMIN_API_KEYS: "admin",
+  SUPERVISOR_API_KEYS: "supervisor",
+  OPERATOR_API_KEYS: "operator",
+};
+
+let warnedUnconfigured = false;
+const warnedMalformed = new Set();
+
+// Read lazily so values loaded by dotenv after import are honoured. Entries
+// that are not workspaceId:key pairs are skipped; the warning names only
+// their position, never the key.
+function loadApiKeys(variable, role) {
+  const keys = [];
+  (process.env[variable] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .forEach((entry, index) => {
+      if (!entry) return;
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        const label = `${variable}[${index}]`;
+        if (!warnedMalformed.has(label)) {
+          warnedMalformed.add(label);
+          console.warn(`⚠️ Ignoring ${label}: expected a workspaceId:key pair`);
+        }
+        return;
+      }
+      keys.push({
+        accountId: entry.slice(0, separator),
+        hash: digest(entry.slice(separator + 1)),
+        role,
+      });
+    });
+  return keys;
+}
+
+const loadAllApiKeys = () =>
+  Object.entries(API_KEY_VARIABLES).flatMap(([variable, role]) =>
+    loadApiKeys(variable, role)
+  );
+
+// Loads the configured keys once so malformed entries are reported when the
+// server starts rather than on the first request
+export function checkApiKeys() {
+  if (!isAuthDisabled()) loadAllApiKeys();
+}
+
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === "true";
+}
+
+function verifyApiKey(token) {
+  const hash = digest(token);
+  // Compare against every key so timing does not reveal which one matched
+  let match = null;
+  for (const key of loadAllApiKeys()) {
+    if (timingSafeEqual(key.hash, hash) && !match) match = key;
+  }
+  return match
+    ? { id: match.accountId, method: "api-key", role: match.role }
+    : null;
+}
+
+function verifyJwt(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) return null;
+
+  try {
+    const claims = jwt.verify(token, secret, {
+      algorithms: ["HS256"],
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined,
+    });
+    const workspace = claims.workspace || claims.sub;
+    if (!workspace) return null;
+    return {
+      id: String(workspace),
+      userId: claims.sub ? String(claims.sub) : null,
+      method: "jwt",
+      role: JWT_ROLES.includes(claims.role) ? claims.role : "member",
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Returns the authenticated account ({ id, method }) or null
+export function authenticateToken(token) {
+  if (isAuthDisabled()) return LOCAL_ACCOUNT;
+
+  if (
+    !process.env.API_KEYS &&
+    !process.env.ADMIN_API_KEYS &&
+    !process.env.SUPERVISOR_API_KEYS &&
+    !process.env.OPERATOR_API_KEYS &&
+    !process.env.JWT_SECRET &&
+    !warnedUnconfigured
+  ) {
+    warnedUnconfigured = true;
+    console.warn(
+      "⚠️ No API_KEYS or JWT_SECRET configured: all requests will be rejected"
+    );
+  }
+
+  if (!token || typeof token !== "string") return null;
+  // JWTs have three dot separated parts; anything else is treated as a key
+  return token.split(".").length === 3 ? verifyJwt(token) : verifyApiKey(token);
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  return match ? match[1].trim() : null;
+}
+
+// Express middleware: sets req.account or answers 401
+export function requireAuth(req, res, next) {
+  const token =
+    bearerToken(req.headers.authorization) || req.headers["x-api-key"];
+  const account = authenticateToken(token);
+
+  if (!account) {
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+  req.account = account;
+  next();
+}
+
+// Whether the account holds one of the roles; admins hold them all
+export function hasRole(account, ...roles) {
+  return account?.role === "admin" || roles.includes(account?.role);
+}
+
+// Express middleware, after requireAuth: keeps supervisors and operators to
+// the routes in ROLE_ROUTES (paths are relative to where it is mounted)
+export function restrictRoleRoutes(req, res, next) {
+  if (hasRole(req.account, "member")) return next();
+  const routes = ROLE_ROUTES[req.account?.role] || [];
+  if (
+    !routes.some(
+      ([method, path]) => req.method === method && path.test(req.path)
+    )
+  ) {
+    return res.status(403).json({ success: false, error: "Forbidden" });
+  }
+  next();
+}
+
+// Express middleware for routes that manage other workspaces
+export function requireAdmin(req, res, next) {
+  if (req.account?.role !== "admin") {
+    return res.status(403).json({ success: false, error: "Forbidden" });
+  }
+  next();
+}
+
+// socket.io middleware: the token comes from `auth: { token }` on the client,
+// an Authorization header, or a `token` query parameter
+export function authenticateSocket(socket, next) {
+  const { auth, headers, query } = socket.handshake;
+  const token =
+    auth?.token || bearerToken(headers.authorization) || query?.token;
+  const account = authenticateToken(token);
+
+  if (!account) {
+    return next(new Error("Unauthorized"));
+  }
+  socket.data.account = account;
+  next();
+}
+
+// socket.io middleware, after authenticateSocket, for namespaces open only
+// to some roles; admins are always let in
+export function requireSocketRole(...roles) {
+  return (socket, next) => {
+    if (!hasRole(socket.data.account, ...roles)) {
+      return next(new Error("Forbidden"));
+    }
+    next();
+  };
+}
+
+// Repository filter value limiting a list to the account's own records
+export function ownerFilter(account) {
+  return account.method === "none" ? undefined : account.id;
+}
+
+// Whether an account may see a stored record (agent, session, call, ...)
+export function canAccess(account, record) {
+  if (!account || !record) return false;
+  return account.method === "none" || record.ownerId === account.id;
+}
@@ -0,0 +1,174 @@
+// Context management for long calls. Two mechanisms work together:
+//
+// - Context window compression: the live API drops the oldest turns once the
+//   session reaches `triggerTokens`, keeping roughly `targetTokens`. Without
+//   it a long call fails when it hits the model's context limit.
+// - A running summary kept on the server. Older utterances are folded into it
+//   as the call goes on, and it is put back into the system instruction when
+//   a dropped connection has to start over without a resumption handle.
+//
+// Agents tune both through their `contextWindow` config:
+//
+//   compression             false to leave the context window unmanaged
+//   triggerTokens           context size that triggers compression
+//   targetTokens            context size compression reduces to
+//   summarizeAfterEntries   utterances collected before folding them into
+//                           the summary
+//   keepRecentEntries       latest utterances kept word for word
+
+export const DEFAULT_CONTEXT_WINDOW = {
+  compression: true,
+  // null leaves the provider's own default in place
+  triggerTokens: null,
+  targetTokens: null,
+  summarizeAfterEntries: 12,
+  keepRecentEntries: 6,
+};
+
+const TOKEN_FIELDS = ["triggerTokens", "targetTokens"];
+const ENTRY_FIELDS = ["summarizeAfterEntries", "keepRecentEntries"];
+
+const SUMMARY_INSTRUCTION = `You maintain the running summary of a phone call between a caller and a voice agent.
+Merge the new transcript lines into the existing summary. Keep the caller's name and contact details, what they asked for, facts and numbers the agent gave, decisions, promises and anything still open.
+Write plain prose of at most 200 words, without headings.`;
+
+export function resolveContextWindow(settings) {
+  return { ...DEFAULT_CONTEXT_WINDOW, ...settings };
+}
+
+// Returns a list of human readable problems; empty when the settings are usable
+export function validateContextWindow(settings) {
+  if (
+    settings === null ||
+    typeof settings !== "object" ||
+    Array.isArray(settings)
+  ) {
+    return ["contextWindow must be an object"];
+  }
+
+  const errors = [];
+  if (
+    settings.compression !== undefined &&
+    typeof settings.compression !== "boolean"
+  ) {
+    errors.push("contextWindow.compression must be a boolean");
+  }
+  for (const field of TOKEN_FIELDS) {
+    const value = settings[field];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (!Number.isInteger(value) || value < 1)
+    ) {
+      errors.push(`contextWindow.${field} must be a positive integer or null`);
+    }
+  }
+  for (const field of ENTRY_FIELDS) {
+    const value = settings[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      errors.push(`contextWindow.${field} must be a non-negative integer`);
+    }
+  }
+
+  const { triggerTokens, targetTokens } = resolveContextWindow(settings);
+  if (triggerTokens && targetTokens && targetTokens >= triggerTokens) {
+    errors.push("contextWindow.targetTokens must be below triggerTokens");
+  }
+  return errors;
+}
+
+// The live config's contextWindowCompression, or undefined when disabled
+export function contextWindowCompression(settings) {
+  const { compression, triggerTokens, targetTokens } =
+    resolveContextWindow(settings);
+  if (!compression) return undefined;
+
+  return {
+    ...(triggerTokens && { triggerTokens: String(triggerTokens) }),
+    slidingWindow: targetTokens ? { targetTokens: String(targetTokens) } : {},
+  };
+}
+
+const formatEntry = (entry) =>
+  `${entry.speaker === "caller" ? "Caller" : "Agent"}: ${entry.text}`;
+
+// Keeps a summary of everything but the latest utterances of one call.
+// `summarize({ instruction, text })` is the provider's text summarizer; when
+// it fails the utterances are kept and folded in on the next attempt.
+export function createRunningSummary({ settings, summarize }) {
+  const { summarizeAfterEntries, keepRecentEntries } =
+    resolveContextWindow(settings);
+  let summary = "";
+  let entries = [];
+  let summarizing = false;
+
+  async function fold() {
+    const older = entries.slice(0, entries.length - keepRecentEntries);
+    if (older.length === 0) return;
+
+    summarizing = true;
+    try {
+      const text = [
+        `Existing summary:\n${summary || "(none yet)"}`,
+        `New transcript lines:\n${older.map(formatEntry).join("\n")}`,
+      ].join("\n\n");
+      const result = await summarize({
+        instruction: SUMMARY_INSTRUCTION,
+        text,
+      });
+      if (result?.trim()) {
+        summary = result.trim();
+        entries = entries.slice(older.length);
+        console.log("🧾 Conversation summary updated:", {
+          summarizedEntries: older.length,
+          summaryLength: summary.length,
+        });
+      }
+    } catch (error) {
+      console.error("❌ Failed to summarize conversation:", error);
+    } finally {
+      summarizing = false;
+    }
+  }
+
+  return {
+    // Called with every final transcript utterance
+    add(entry) {
+      entries.push(entry);
+      if (
+        !summarizing &&
+        typeof summarize === "function" &&
+        entries.length >= summarizeAfterEntries + keepRecentEntries
+      ) {
+        fold();
+      }
+    },
+
+    hasContext() {
+      return Boolean(summary) || entries.length > 0;
+    },
+
+    // Plain-text account of the call so far, for whoever takes it over
+    toText() {
+      return [summary, entries.map(formatEntry).join("\n")]
+        .filter(Boolean)
+        .join("\n\n");
+    },
+
+    // System instruction section that brings a fresh connection up to date
+    toInstruction() {
+      if (!this.hasContext()) return "";
+      const sections = ["## CONVERSATION SO FAR"];
+      sections.push(
+        "This call is already in progress and the connection was restored. Continue it naturally; do not greet the caller again or repeat answers you already gave."
+      );
+      if (summary) sections.push(`### Summary of earlier turns:\n${summary}`);
+      if (entries.length > 0) {
+        sections.push(
+          `### Most recent turns:\n${entries.map(formatEntry).join("\n")}`
+        );
+      }
+      return sections.join("\n\n");
+    },
+  };
+}
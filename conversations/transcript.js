@@ -0,0 +1,159 @@
+import { getRepository } from "../storage/index.js";
+
+// Conversation logs, one record per voice session (a single call). Each
+// transcript line is a record of its own in `transcriptEntries`, so logging a
+// line writes just that line however long the call runs.
+export const conversations = getRepository("conversations");
+export const transcriptEntries = getRepository("transcript-entries");
+
+// Zero-padded so entry ids sort in the order they were spoken
+const entryId = (voiceSessionId, index) =>
+  `${voiceSessionId}:${String(index).padStart(6, "0")}`;
+
+async function storedEntries(voiceSessionId) {
+  return (await transcriptEntries.list({ voiceSessionId }))
+    .sort((a, b) => a.index - b.index)
+    .map(({ speaker, text, startedAt, endedAt }) => ({
+      speaker,
+      text,
+      startedAt,
+      endedAt,
+    }));
+}
+
+// The conversation record with its transcript lines. Calls logged before
+// lines were stored separately keep theirs in the record itself.
+export async function getTranscript(voiceSessionId) {
+  const record = await conversations.get(voiceSessionId);
+  if (!record) return null;
+  return {
+    ...record,
+    entries: [
+      ...(record.entries || []),
+      ...(await storedEntries(voiceSessionId)),
+    ],
+  };
+}
+
+// Conversation records with the number of transcript lines in each. Ended
+// calls carry their count; calls in progress are counted as they stand.
+export async function listConversations(filter) {
+  const calls = await conversations.list(filter);
+  return Promise.all(
+    calls.map(async ({ entries, ...call }) => ({
+      ...call,
+      entryCount:
+        call.entryCount ??
+        (entries?.length || 0) +
+          (await transcriptEntries.list({ voiceSessionId: call.id })).length,
+    }))
+  );
+}
+
+const SPEAKERS = { input: "caller", output: "agent" };
+
+// Turns the live API's incremental input/output transcription into
+// utterances. Every fragment produces a partial update; an utterance becomes
+// final when its speaker finishes, the other side starts talking or the turn
+// ends, and only final utterances are written to the conversation log,
+// after `redact` has masked personal data in them.
+export function createTranscriptRecorder({
+  voiceSessionId,
+  sessionId,
+  agentVersion = null,
+  ownerId = null,
+  socketId,
+  redact = (text) => text,
+  onUpdate = () => {},
+}) {
+  const current = { input: null, output: null };
+  let closed = false;
+  let entryCount = 0;
+  let pendingWrite = conversations.create(voiceSessionId, {
+    sessionId,
+    agentVersion,
+    ownerId,
+    socketId,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  });
+
+  const append = (entry) => {
+    const index = entryCount++;
+    pendingWrite = pendingWrite
+      .then(() =>
+        transcriptEntries.create(entryId(voiceSessionId, index), {
+          voiceSessionId,
+          ownerId,
+          index,
+          ...entry,
+        })
+      )
+      .catch((error) =>
+        console.error("❌ Failed to store transcript entry:", error)
+      );
+    return pendingWrite;
+  };
+
+  const finalize = (channel) => {
+    const utterance = current[channel];
+    if (!utterance) return;
+    current[channel] = null;
+
+    const text = utterance.text.trim();
+    if (!text) return;
+
+    const entry = {
+      speaker: SPEAKERS[channel],
+      text,
+      startedAt: utterance.startedAt,
+      endedAt: new Date().toISOString(),
+    };
+    onUpdate({ ...entry, partial: false });
+    append({ ...entry, text: redact(text) });
+  };
+
+  const addFragment = (channel, transcription) => {
+    const other = channel === "input" ? "output" : "input";
+    if (transcription.text) {
+      finalize(other);
+      if (!current[channel]) {
+        current[channel] = { text: "", startedAt: new Date().toISOString() };
+      }
+      current[channel].text += transcription.text;
+      onUpdate({
+        speaker: SPEAKERS[channel],
+        text: current[channel].text.trim(),
+        startedAt: current[channel].startedAt,
+        partial: true,
+      });
+    }
+    if (transcription.finished) finalize(channel);
+  };
+
+  return {
+    addInput: (transcription) => addFragment("input", transcription),
+    addOutput: (transcription) => addFragment("output", transcription),
+
+    // The model finished or was interrupted: close whatever is open
+    endTurn() {
+      finalize("input");
+      finalize("output");
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+      this.endTurn();
+      await pendingWrite;
+      await conversations
+        .update(voiceSessionId, {
+          endedAt: new Date().toISOString(),
+          entryCount,
+        })
+        .catch((error) =>
+          console.error("❌ Failed to close conversation log:", error)
+        );
+    },
+  };
+}
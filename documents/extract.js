@@ -0,0 +1,207 @@
+import path from "path";
+import mammoth from "mammoth";
+import { PDFParse } from "pdf-parse";
+
+// Server-side text extraction for uploaded documents. Each extractor takes the
+// raw file buffer and resolves to clean plain text suitable for the agent's
+// knowledge base.
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Collapse runs of spaces and blank lines left behind by markup removal
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function htmlToText(html) {
+  return normalizeWhitespace(
+    decodeEntities(
+      html
+        .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, "")
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<li[^>]*>/gi, "\n- ")
+        .replace(
+          /<\/(p|div|section|article|h[1-6]|tr|table|ul|ol|header|footer|blockquote)>/gi,
+          "\n"
+        )
+        .replace(/<\/t[dh]>/gi, "\t")
+        .replace(/<[^>]+>/g, "")
+    )
+  );
+}
+
+function markdownToText(markdown) {
+  return normalizeWhitespace(
+    markdown
+      .replace(/^```.*$/gm, "")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/^#{1,6}\s+/gm, "")
+      .replace(/^\s*>\s?/gm, "")
+      .replace(/^\s*[-*+]\s+/gm, "- ")
+      .replace(/^\s*([-*_]\s*){3,}$/gm, "")
+      .replace(/(\*\*|__)(.*?)\1/g, "$2")
+      .replace(/(^|\W)(\*|_)(\S(?:.*?\S)?)\2(?=\W|$)/gm, "$1$3")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/<[^>]+>/g, "")
+  );
+}
+
+// Parse CSV (RFC 4180 quoting) and render each row as "header: value" pairs
+// so the model sees which column every value belongs to
+function csvToText(csv) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (inQuotes) {
+      if (char === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && csv[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((f) => f.trim()));
+  if (!header) return "";
+
+  return records
+    .map((record) =>
+      header
+        .map((name, index) => `${name.trim()}: ${(record[index] ?? "").trim()}`)
+        .join(", ")
+    )
+    .join("\n");
+}
+
+async function pdfToText(buffer) {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText({ pageJoiner: "" });
+    return normalizeWhitespace(result.text);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function docxToText(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return normalizeWhitespace(result.value);
+}
+
+const decodeUtf8 = (buffer) => buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+const EXTRACTORS = {
+  pdf: pdfToText,
+  docx: docxToText,
+  html: (buffer) => htmlToText(decodeUtf8(buffer)),
+  markdown: (buffer) => markdownToText(decodeUtf8(buffer)),
+  csv: (buffer) => csvToText(decodeUtf8(buffer)),
+  text: (buffer) => normalizeWhitespace(decodeUtf8(buffer)),
+};
+
+const EXTENSION_FORMATS = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".html": "html",
+  ".htm": "html",
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".csv": "csv",
+  ".txt": "text",
+  ".text": "text",
+};
+
+const MIME_FORMATS = {
+  "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "docx",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "text/plain": "text",
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(EXTENSION_FORMATS);
+
+// Prefer the declared mime type, falling back to the file extension since
+// browsers frequently send application/octet-stream for .md and .csv
+export function detectFormat(filename, mimeType) {
+  const baseMime = (mimeType || "").split(";")[0].trim().toLowerCase();
+  return (
+    MIME_FORMATS[baseMime] ||
+    EXTENSION_FORMATS[path.extname(filename || "").toLowerCase()] ||
+    null
+  );
+}
+
+export async function extractText({ buffer, filename, mimeType }) {
+  const format = detectFormat(filename, mimeType);
+  if (!format) {
+    throw new Error(
+      `Unsupported file type "${
+        mimeType || "unknown"
+      }". Supported extensions: ${SUPPORTED_EXTENSIONS.join(", ")}`
+    );
+  }
+
+  const text = await EXTRACTORS[format](buffer);
+  if (!text) {
+    throw new Error("No text could be extracted from this file");
+  }
+
+  return { format, text };
+}
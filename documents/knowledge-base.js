@@ -0,0 +1,173 @@
+import { Type } from "@google/genai";
+
+// Retrieval over an agent's documents. Documents are split into overlapping
+// passages and scored with Okapi BM25, so the live session only ever receives
+// the handful of passages relevant to what the caller asked.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const DEFAULT_CHUNK_SIZE = 800;
+const DEFAULT_CHUNK_OVERLAP = 150;
+const DEFAULT_RESULT_LIMIT = 4;
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how i if in is it " +
+    "its me my of on or our so that the their them then there these they this to " +
+    "was we were what when where which who why will with you your"
+  ).split(" ")
+);
+
+export function tokenize(text) {
+  return (
+    text
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .match(/[\p{L}\p{N}]+/gu) || []
+  ).filter((token) => !STOP_WORDS.has(token));
+}
+
+// Sentence-sized units; a paragraph break always ends a unit
+function splitUnits(text, maxLength) {
+  const units = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const sentences = paragraph.trim().match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [];
+    for (let sentence of sentences) {
+      sentence = sentence.trim();
+      while (sentence.length > maxLength) {
+        units.push(sentence.slice(0, maxLength));
+        sentence = sentence.slice(maxLength);
+      }
+      if (sentence) units.push(sentence);
+    }
+  }
+  return units;
+}
+
+export function chunkText(
+  text,
+  { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}
+) {
+  const units = splitUnits(text, chunkSize);
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const unit of units) {
+    if (length + unit.length > chunkSize && current.length > 0) {
+      chunks.push(current.join(" "));
+
+      // Carry trailing sentences into the next chunk as overlap
+      const carried = [];
+      let carriedLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedLength + current[i].length > overlap) break;
+        carried.unshift(current[i]);
+        carriedLength += current[i].length + 1;
+      }
+      current = carried;
+      length = carriedLength;
+    }
+    current.push(unit);
+    length += unit.length + 1;
+  }
+
+  if (current.length > 0) chunks.push(current.join(" "));
+  return chunks;
+}
+
+export function createKnowledgeBase(documents = [], options = {}) {
+  const passages = [];
+
+  for (const doc of documents) {
+    if (!doc?.content) continue;
+    chunkText(doc.content, options).forEach((text, index) => {
+      const terms = tokenize(`${doc.name || ""} ${text}`);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      passages.push({
+        documentName: doc.name,
+        chunkIndex: index,
+        text,
+        length: terms.length,
+        frequencies,
+      });
+    });
+  }
+
+  const documentFrequency = new Map();
+  for (const passage of passages) {
+    for (const term of passage.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength =
+    passages.reduce((sum, passage) => sum + passage.length, 0) /
+      passages.length || 1;
+
+  const idf = (term) => {
+    const n = documentFrequency.get(term) || 0;
+    return Math.log(1 + (passages.length - n + 0.5) / (n + 0.5));
+  };
+
+  return {
+    passageCount: passages.length,
+    totalCharacters: documents.reduce(
+      (sum, doc) => sum + (doc?.content?.length || 0),
+      0
+    ),
+
+    search(query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+      const queryTerms = [...new Set(tokenize(query || ""))];
+      if (queryTerms.length === 0) return [];
+
+      return passages
+        .map((passage) => {
+          let score = 0;
+          for (const term of queryTerms) {
+            const tf = passage.frequencies.get(term);
+            if (!tf) continue;
+            score +=
+              (idf(term) * tf * (BM25_K1 + 1)) /
+              (tf +
+                BM25_K1 *
+                  (1 - BM25_B + (BM25_B * passage.length) / averageLength));
+          }
+          return { passage, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+          documentName: passage.documentName,
+          chunkIndex: passage.chunkIndex,
+          text: passage.text,
+          score: Number(score.toFixed(4)),
+        }));
+    },
+  };
+}
+
+export const KNOWLEDGE_SEARCH_TOOL_NAME = "search_knowledge_base";
+
+export const knowledgeSearchDeclaration = {
+  name: KNOWLEDGE_SEARCH_TOOL_NAME,
+  description:
+    "Search the organization's uploaded documents and return the passages most relevant to the query. Call this before answering any question about the organization's services, policies, people, prices or procedures.",
+  parameters: {
+    type: Type.OBJECT,
+    properties: {
+      query: {
+        type: Type.STRING,
+        description:
+          "What to look up, phrased as keywords or a short question, e.g. 'cancellation policy fee'",
+      },
+    },
+    required: ["query"],
+  },
+};
@@ -0,0 +1,251 @@
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { HumanMessage } from "@langchain/core/messages";
+import { toGeminiSchema } from "../tools/schema.js";
+
+// Document recommendations for a new agent, returned as structured JSON so
+// clients don't have to parse numbered markdown lines. The model is asked
+// for JSON matching RECOMMENDATIONS_SCHEMA; anything that does not validate
+// is sent back with the problems listed and retried.
+
+const MAX_ATTEMPTS = 3;
+
+export const RECOMMENDATION_PRIORITIES = ["high", "medium", "low"];
+
+export const RECOMMENDATIONS_SCHEMA = {
+  type: "object",
+  properties: {
+    agentCategory: {
+      type: "string",
+      description: "Short category for the agent, e.g. medical receptionist",
+    },
+    summary: {
+      type: "string",
+      description: "Two or three sentences for the user explaining the plan",
+    },
+    documents: {
+      type: "array",
+      description: "4-6 documents the user should upload",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          purpose: {
+            type: "string",
+            description: "Why the agent needs this document",
+          },
+          priority: { type: "string", enum: RECOMMENDATION_PRIORITIES },
+          required: { type: "boolean" },
+          exampleContents: {
+            type: "array",
+            description: "Examples of what the document should contain",
+            items: { type: "string" },
+          },
+        },
+        required: [
+          "title",
+          "purpose",
+          "priority",
+          "required",
+          "exampleContents",
+        ],
+      },
+    },
+    tasks: {
+      type: "array",
+      description:
+        "Tasks the agent will handle once the documents are uploaded",
+      items: { type: "string" },
+    },
+  },
+  required: ["agentCategory", "summary", "documents", "tasks"],
+};
+
+// One client per API key, reused across requests
+const models = new Map();
+
+export function createRecommendationModel({
+  apiKey = process.env.GEMINI_API_KEY,
+} = {}) {
+  if (!models.has(apiKey)) {
+    models.set(
+      apiKey,
+      new ChatGoogleGenerativeAI({
+        model: "gemini-2.0-flash",
+        apiKey,
+        maxOutputTokens: 2048,
+        json: true,
+      })
+    );
+  }
+  return models.get(apiKey);
+}
+
+export function buildRecommendationPrompt(agentType) {
+  return `You are an AI assistant helping to configure a voice agent. The user wants to create: "${agentType}"
+
+Based on this request, analyze what this voice agent needs to know and recommend the specific documents the user should upload.
+
+Be very specific about document types. For example:
+- "Patient intake forms" - to guide new patient registration
+- "Appointment scheduling procedures" - to book and manage appointments
+- "Insurance verification checklist" - to verify patient coverage
+- "Service price list" - to provide accurate cost information
+
+Provide 4-6 document recommendations that would make this voice agent most effective, and list the tasks the agent will be able to handle professionally and accurately once they are uploaded.
+
+Respond with a single JSON object matching this JSON schema, and nothing else:
+${JSON.stringify(RECOMMENDATIONS_SCHEMA, null, 2)}`;
+}
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+// Returns a list of human readable problems; empty when the value is usable
+export function validateRecommendations(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return ["response must be a JSON object"];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(value.agentCategory)) {
+    errors.push("agentCategory must be a non-empty string");
+  }
+  if (!isNonEmptyString(value.summary)) {
+    errors.push("summary must be a non-empty string");
+  }
+
+  if (!Array.isArray(value.documents) || value.documents.length === 0) {
+    errors.push("documents must be a non-empty array");
+  } else {
+    value.documents.forEach((doc, index) => {
+      const label = `documents[${index}]`;
+      if (!doc || typeof doc !== "object") {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!isNonEmptyString(doc.title)) {
+        errors.push(`${label}.title must be a non-empty string`);
+      }
+      if (!isNonEmptyString(doc.purpose)) {
+        errors.push(`${label}.purpose must be a non-empty string`);
+      }
+      if (!RECOMMENDATION_PRIORITIES.includes(doc.priority)) {
+        errors.push(
+          `${label}.priority must be one of ${RECOMMENDATION_PRIORITIES.join(
+            ", "
+          )}`
+        );
+      }
+      if (typeof doc.required !== "boolean") {
+        errors.push(`${label}.required must be true or false`);
+      }
+      if (
+        !Array.isArray(doc.exampleContents) ||
+        !doc.exampleContents.every(isNonEmptyString)
+      ) {
+        errors.push(`${label}.exampleContents must be an array of strings`);
+      }
+    });
+  }
+
+  if (
+    !Array.isArray(value.tasks) ||
+    value.tasks.length === 0 ||
+    !value.tasks.every(isNonEmptyString)
+  ) {
+    errors.push("tasks must be a non-empty array of strings");
+  }
+
+  return errors;
+}
+
+// Models sometimes wrap JSON in a markdown fence even when asked not to
+function parseJson(text) {
+  const unfenced = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  return JSON.parse(unfenced);
+}
+
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => part.text || "").join("");
+  }
+  return "";
+}
+
+// Returns { recommendations, attempts }; throws once every attempt failed
+export async function generateRecommendations(
+  agentType,
+  {
+    apiKey,
+    model = createRecommendationModel({ apiKey }),
+    maxAttempts = MAX_ATTEMPTS,
+  } = {}
+) {
+  const messages = [
+    new HumanMessage({ content: buildRecommendationPrompt(agentType) }),
+  ];
+  const responseSchema = toGeminiSchema(RECOMMENDATIONS_SCHEMA);
+  let problems = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await model.invoke(messages, { responseSchema });
+    const text = contentText(response.content);
+
+    let value;
+    try {
+      value = parseJson(text);
+      problems = validateRecommendations(value);
+    } catch (error) {
+      problems = [`response is not valid JSON (${error.message})`];
+    }
+
+    if (problems.length === 0) {
+      return { recommendations: value, attempts: attempt };
+    }
+
+    console.warn("⚠️ Malformed recommendations:", {
+      attempt,
+      problems,
+    });
+    messages.push(
+      response,
+      new HumanMessage({
+        content: `That response did not match the schema:\n- ${problems.join(
+          "\n- "
+        )}\n\nReply again with only the corrected JSON object.`,
+      })
+    );
+  }
+
+  throw new Error(
+    `Model returned malformed recommendations after ${maxAttempts} attempts: ${problems.join(
+      "; "
+    )}`
+  );
+}
+
+// Plain text rendering for the terminal tools
+export function formatRecommendations(recommendations) {
+  const documents = recommendations.documents
+    .map((doc, index) => {
+      const examples = doc.exampleContents.length
+        ? `\n     e.g. ${doc.exampleContents.join(", ")}`
+        : "";
+      return `${index + 1}. ${doc.title} (${doc.priority} priority, ${
+        doc.required ? "required" : "optional"
+      }) - ${doc.purpose}${examples}`;
+    })
+    .join("\n");
+
+  return `${recommendations.summary}
+
+📄 Documents to Upload (${recommendations.agentCategory}):
+${documents}
+
+✅ Tasks this agent will handle:
+${recommendations.tasks.map((task) => `- ${task}`).join("\n")}`;
+}
@@ -1,10 +1,20 @@
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
-import { HumanMessage } from "@langchain/core/messages";
-import { GoogleGenAI, Modality } from "@google/genai";
+import { ActivityHandling, Modality } from "@google/genai";
 import mic from "mic";
 import Speaker from "speaker";
 import readline from "readline";
 import dotenv from "dotenv";
+import { createPlaybackQueue } from "./audio/playback.js";
+import { getLiveProvider } from "./providers/index.js";
+import { connectResumable } from "./providers/resumable.js";
+import { buildSpeechConfig } from "./voices/index.js";
+import { getPromptTemplate, renderTemplate } from "./prompts/index.js";
+import { extractText } from "./documents/extract.js";
+import {
+  formatRecommendations,
+  generateRecommendations,
+} from "./documents/recommendations.js";
+import { existsSync, readFileSync, statSync } from "fs";
+import path from "path";
 
 dotenv.config();
 
@@ -15,6 +25,14 @@ const MIC_BIT_WIDTH = 16;
 const SPEAKER_SAMPLE_RATE = 24000;
 const SPEAKER_CHANNELS = 1;
 const SPEAKER_BIT_WIDTH = 16;
+// Prebuilt voice and BCP-47 language code (see voices/index.js for both)
+const VOICE_NAME = process.env.VOICE_NAME;
+const VOICE_LANGUAGE = process.env.VOICE_LANGUAGE;
+// Speaking over the AI cuts it off. Use headphones, or the AI hears itself;
+// BARGE_IN=false pauses the microphone while the AI speaks instead.
+const BARGE_IN = process.env.BARGE_IN !== "false";
+// Built-in prompt template (see prompts/builtin.js)
+const PROMPT_TEMPLATE_ID = "concise";
 
 // Global context storage
 let agentContext = {
@@ -30,20 +48,43 @@ const rl = readline.createInterface({
 // Function to collect documents from user
 async function collectDocuments() {
   return new Promise((resolve) => {
-    console.log("\n📄 Now please provide the documents as text:");
-    console.log("Enter each document content. Type 'DONE' when finished.\n");
+    console.log("\n📄 Now please provide the documents:");
+    console.log(
+      "Enter a file path (PDF, DOCX, HTML, Markdown, CSV, text) or paste the content. Type 'DONE' when finished.\n"
+    );
 
     let docCount = 1;
 
     function getNextDocument() {
       rl.question(
         `Document ${docCount} (or 'DONE' to finish):\n> `,
-        (input) => {
+        async (input) => {
           if (input.trim().toUpperCase() === "DONE") {
             resolve();
             return;
           }
 
+          // Treat input that names an existing file as an upload
+          const filePath = input.trim();
+          if (existsSync(filePath) && statSync(filePath).isFile()) {
+            try {
+              const { text } = await extractText({
+                buffer: readFileSync(filePath),
+                filename: filePath,
+              });
+              const name = path.basename(filePath);
+              agentContext.documents.push({ name, content: text });
+              console.log(`✅ Added: ${name} (${text.length} characters)\n`);
+              docCount++;
+            } catch (error) {
+              console.error(
+                `❌ Could not read ${filePath}: ${error.message}\n`
+              );
+            }
+            getNextDocument();
+            return;
+          }
+
           rl.question(`Name for this document: `, (name) => {
             agentContext.documents.push({
               name: name || `Document ${docCount}`,
@@ -64,13 +105,8 @@ async function collectDocuments() {
 
 // Function to run the live voice chat with context
 async function runLiveVoiceWithContext() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error(
-      "GEMINI_API_KEY is not set. Please create a .env file and add it."
-    );
-  }
-
-  const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  // LIVE_PROVIDER=mock runs without a Gemini key
+  const provider = getLiveProvider();
 
   // State management for the conversation
   let isAIResponding = false;
@@ -85,6 +121,10 @@ async function runLiveVoiceWithContext() {
 
   speaker.on("error", (err) => console.error("🔊 Speaker error:", err));
   speaker.on("open", () => console.log("🔊 Speaker is ready."));
+  const playback = createPlaybackQueue(speaker, {
+    sampleRate: SPEAKER_SAMPLE_RATE,
+    channels: SPEAKER_CHANNELS,
+  });
 
   // --- Microphone Setup ---
   const micInstance = mic({
@@ -97,31 +137,37 @@ async function runLiveVoiceWithContext() {
 
   const micStream = micInstance.getAudioStream();
 
-  // Build system instruction with context
-  let systemInstruction = `You are a ${
-    agentContext.agentType
-  } voice assistant. Your responses should be conversational, yet concise.
-
-You have access to the following documents and information:
-${agentContext.documents
-  .map(
-    (doc) => `
+  // Build system instruction with context from the built-in concise template
+  const systemInstruction = renderTemplate(
+    await getPromptTemplate(PROMPT_TEMPLATE_ID),
+    {
+      agentType: agentContext.agentType,
+      documents: agentContext.documents
+        .map(
+          (doc) => `
 ${doc.name}:
 ${doc.content}
 `
-  )
-  .join("\n")}
-
-Use this information to provide accurate, helpful responses. Always refer to the specific information in your documents when relevant.`;
+        )
+        .join("\n"),
+      documentCount: agentContext.documents.length,
+    }
+  );
 
   // --- AI Session Setup ---
-  const session = await ai.live.connect({
-    model: "gemini-2.5-flash-preview-native-audio-dialog",
+  // Dropped connections are resumed where the conversation left off
+  const session = await connectResumable(provider, {
     config: {
       responseModalities: [Modality.AUDIO],
       systemInstruction: systemInstruction,
-      speechConfig: {
-        voiceConfig: { prebuiltVoiceConfig: { voiceName: "Kore" } },
+      speechConfig: buildSpeechConfig({
+        voice: VOICE_NAME,
+        language: VOICE_LANGUAGE,
+      }),
+      realtimeInputConfig: {
+        activityHandling: BARGE_IN
+          ? ActivityHandling.START_OF_ACTIVITY_INTERRUPTS
+          : ActivityHandling.NO_INTERRUPTION,
       },
     },
     callbacks: {
@@ -132,25 +178,44 @@ Use this information to provide accurate, helpful responses. Always refer to the
         console.log("🎤 Microphone started. Listening...");
       },
       onmessage: (message) => {
+        // The user talked over the AI: stop playing the rest of its answer
+        if (message.serverContent?.interrupted) {
+          const droppedMs = playback.flush();
+          if (isAIResponding) {
+            isAIResponding = false;
+            console.log(
+              `✋ AI interrupted (${droppedMs} ms dropped). Listening...`
+            );
+          }
+        }
+
         if (message.serverContent?.modelTurn?.parts) {
           if (!isAIResponding) {
             isAIResponding = true;
-            console.log("🤖 AI Speaking, microphone paused...");
-            micInstance.pause();
+            if (BARGE_IN) {
+              console.log("🤖 AI Speaking...");
+            } else {
+              console.log("🤖 AI Speaking, microphone paused...");
+              micInstance.pause();
+            }
           }
 
           message.serverContent.modelTurn.parts.forEach((part) => {
             if (part.inlineData?.data) {
               const audioBuffer = Buffer.from(part.inlineData.data, "base64");
-              speaker.write(audioBuffer);
+              playback.play(audioBuffer);
             }
           });
         } else if (message.serverContent?.turnComplete) {
           if (isAIResponding) {
             isAIResponding = false;
-            console.log("✅ AI turn complete. Resuming microphone...");
-            micInstance.resume();
-            console.log("🎤 Listening...");
+            if (BARGE_IN) {
+              console.log("✅ AI turn complete.");
+            } else {
+              console.log("✅ AI turn complete. Resuming microphone...");
+              micInstance.resume();
+              console.log("🎤 Listening...");
+            }
           }
         } else if (message.usageMetadata) {
           console.log(
@@ -159,19 +224,34 @@ Use this information to provide accurate, helpful responses. Always refer to the
         }
       },
       onerror: (err) => {
+        // A failed connection also closes, and is resumed there if possible
         console.error("❌ Session error:", err);
-        cleanupAndExit();
       },
       onclose: (event) => {
         isConnected = false;
         console.log("🔒 Session closed:", event?.reason || "No reason given");
+        cleanupAndExit();
       },
     },
+    onReconnecting: (reason) => {
+      console.log(`🔄 Connection lost (${reason}). Reconnecting...`);
+      // The answer in progress does not carry over to the new connection
+      playback.flush();
+      if (isAIResponding) {
+        isAIResponding = false;
+        if (!BARGE_IN) micInstance.resume();
+      }
+    },
+    onReconnected: ({ bufferedChunks }) => {
+      console.log(
+        `✅ Reconnected (${bufferedChunks} audio chunks caught up). Listening...`
+      );
+    },
   });
 
   // --- Microphone Data Handling ---
   micStream.on("data", (chunk) => {
-    if (isConnected && !isAIResponding) {
+    if (isConnected && (BARGE_IN || !isAIResponding)) {
       try {
         session.sendRealtimeInput({
           audio: {
@@ -188,7 +268,10 @@ Use this information to provide accurate, helpful responses. Always refer to the
   micStream.on("error", (err) => console.error("🎤 Microphone error:", err));
 
   // --- Cleanup Logic ---
+  let exiting = false;
   function cleanupAndExit() {
+    if (exiting) return;
+    exiting = true;
     console.log("\n🧹 Cleaning up and exiting...");
 
     try {
@@ -198,6 +281,7 @@ Use this information to provide accurate, helpful responses. Always refer to the
     }
 
     try {
+      playback.flush();
       if (speaker && !speaker.destroyed) speaker.end();
     } catch (e) {
       console.error("Error closing speaker:", e);
@@ -224,48 +308,13 @@ Use this information to provide accurate, helpful responses. Always refer to the
 }
 
 async function main() {
-  const model = new ChatGoogleGenerativeAI({
-    model: "gemini-2.0-flash",
-    apiKey: process.env.GEMINI_API_KEY,
-    maxOutputTokens: 2048,
-  });
-
   rl.question(
     "🧠 What kind of voice agent do you want to create?\n> ",
     async (agentPrompt) => {
       agentContext.agentType = agentPrompt;
 
-      const messages = [
-        new HumanMessage({
-          content: `You are an AI assistant helping to configure a voice agent. The user wants to create: "${agentPrompt}"
-          
-          Based on this request, analyze what this voice agent needs to know and immediately provide a specific list of documents to upload.
-          
-          Respond in this exact format:
-          
-          "To create an effective [agent type] voice agent, please upload the following documents:
-          
-          📄 **Documents to Upload:**
-          1. [Specific document name - why it's needed]
-          2. [Specific document name - why it's needed]
-          3. [Specific document name - why it's needed]
-          4. [Specific document name - why it's needed]
-          5. [Specific document name - why it's needed]
-          
-          Once you upload these documents, I'll create a voice agent that can handle [specific tasks] professionally and accurately."
-          
-          Be very specific about document types. For example:
-          - "Patient intake forms - to guide new patient registration"
-          - "Appointment scheduling procedures - to book and manage appointments"
-          - "Insurance verification checklist - to verify patient coverage"
-          - "Service price list - to provide accurate cost information"
-          
-          Provide 4-6 specific document recommendations that would make this voice agent most effective.`,
-        }),
-      ];
-
-      const res = await model.invoke(messages);
-      console.log(`🤖 ${res.content}`);
+      const { recommendations } = await generateRecommendations(agentPrompt);
+      console.log(`🤖 ${formatRecommendations(recommendations)}`);
 
       // Collect documents
       await collectDocuments();
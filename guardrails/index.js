@@ -0,0 +1,222 @@
+import { randomUUID } from "crypto";
+import { getRepository } from "../storage/index.js";
+
+// Response policy for an agent, enforced on what the agent actually says.
+// Every output transcript update is checked while the call runs; violations
+// are stored, reported to supervisors and, with `correct: true`, answered
+// with a corrective instruction to the model.
+//
+// An agent's `guardrails` config:
+//
+//   forbiddenTopics       [{ topic, keywords }] (or plain strings, which are
+//                         their own keyword) the agent must not discuss
+//   requiredDisclaimers   [{ text, triggers }]: once the agent mentions a
+//                         trigger keyword it must say `text` in the same
+//                         utterance or have said it earlier in the call.
+//                         Without triggers, the first agent utterance must
+//                         contain it.
+//   blockedPhrases        phrases the agent must never say
+//   correct               true to send a corrective instruction on violation
+
+export const guardrailViolations = getRepository("guardrail-violations");
+
+export const VIOLATION_TYPES = [
+  "forbidden_topic",
+  "missing_disclaimer",
+  "blocked_phrase",
+];
+
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === "string" && item.trim());
+
+// Returns a list of human readable problems; empty when the config is usable
+export function validateGuardrails(guardrails) {
+  if (
+    !guardrails ||
+    typeof guardrails !== "object" ||
+    Array.isArray(guardrails)
+  ) {
+    return ["guardrails must be an object"];
+  }
+
+  const errors = [];
+  const { forbiddenTopics, requiredDisclaimers, blockedPhrases, correct } =
+    guardrails;
+
+  if (forbiddenTopics !== undefined) {
+    if (!Array.isArray(forbiddenTopics)) {
+      errors.push("guardrails.forbiddenTopics must be an array");
+    } else {
+      forbiddenTopics.forEach((entry, index) => {
+        if (typeof entry === "string" && entry.trim()) return;
+        if (
+          !entry ||
+          typeof entry.topic !== "string" ||
+          !entry.topic.trim() ||
+          !isStringList(entry.keywords) ||
+          entry.keywords.length === 0
+        ) {
+          errors.push(
+            `guardrails.forbiddenTopics[${index}] must be a string or { topic, keywords }`
+          );
+        }
+      });
+    }
+  }
+  if (requiredDisclaimers !== undefined) {
+    if (!Array.isArray(requiredDisclaimers)) {
+      errors.push("guardrails.requiredDisclaimers must be an array");
+    } else {
+      requiredDisclaimers.forEach((entry, index) => {
+        if (
+          !entry ||
+          typeof entry.text !== "string" ||
+          !entry.text.trim() ||
+          (entry.triggers !== undefined && !isStringList(entry.triggers))
+        ) {
+          errors.push(
+            `guardrails.requiredDisclaimers[${index}] must be { text, triggers? }`
+          );
+        }
+      });
+    }
+  }
+  if (blockedPhrases !== undefined && !isStringList(blockedPhrases)) {
+    errors.push("guardrails.blockedPhrases must be an array of strings");
+  }
+  if (correct !== undefined && typeof correct !== "boolean") {
+    errors.push("guardrails.correct must be a boolean");
+  }
+
+  return errors;
+}
+
+const normalizeTopics = (topics = []) =>
+  topics.map((entry) =>
+    typeof entry === "string" ? { topic: entry, keywords: [entry] } : entry
+  );
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive match that tolerates extra whitespace
+export function phrasePattern(phrase) {
+  const words = phrase.trim().split(/\s+/).map(escapeRegExp).join("\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+// Comparison form for disclaimers, which speech transcription may punctuate
+// differently from the configured text
+const looseText = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// System instruction section stating the policy up front
+export function guardrailInstruction(guardrails) {
+  if (!guardrails) return "";
+  const lines = [];
+
+  for (const { topic } of normalizeTopics(guardrails.forbiddenTopics)) {
+    lines.push(
+      `- Never discuss ${topic}. If the caller raises it, say you cannot help with that and offer what you can help with.`
+    );
+  }
+  for (const { text, triggers } of guardrails.requiredDisclaimers || []) {
+    lines.push(
+      triggers?.length
+        ? `- Whenever you talk about ${triggers.join(", ")}, say: "${text}"`
+        : `- Start the call by saying: "${text}"`
+    );
+  }
+  for (const phrase of guardrails.blockedPhrases || []) {
+    lines.push(`- Never say "${phrase}".`);
+  }
+
+  return lines.length > 0 ? `## GUARDRAILS\n${lines.join("\n")}` : "";
+}
+
+// The instruction sent to the model when it broke the policy
+export function correctiveInstruction(violation) {
+  const notice = "POLICY NOTICE (from the system, not the caller):";
+  switch (violation.type) {
+    case "forbidden_topic":
+      return `${notice} you just discussed ${violation.rule}, which you must not discuss. Briefly tell the caller you cannot help with that topic and return to what you can help with.`;
+    case "missing_disclaimer":
+      return `${notice} you left out a required disclaimer. Tell the caller now: "${violation.rule}"`;
+    default:
+      return `${notice} you said "${violation.rule}", which you must never say. Briefly retract it and rephrase.`;
+  }
+}
+
+// Checks one call's agent utterances against the agent's guardrails. Each
+// rule is reported at most once per utterance; partial transcripts are
+// checked too so violations surface while the agent is still speaking.
+export function createGuardrailMonitor({ guardrails, onViolation }) {
+  const topics = normalizeTopics(guardrails?.forbiddenTopics).map((entry) => ({
+    topic: entry.topic,
+    patterns: entry.keywords.map(phrasePattern),
+  }));
+  const phrases = (guardrails?.blockedPhrases || []).map((phrase) => ({
+    phrase,
+    pattern: phrasePattern(phrase),
+  }));
+  const disclaimers = (guardrails?.requiredDisclaimers || []).map((entry) => ({
+    text: entry.text,
+    loose: looseText(entry.text),
+    triggers: (entry.triggers || []).map(phrasePattern),
+    said: false,
+  }));
+
+  const enabled =
+    topics.length > 0 || phrases.length > 0 || disclaimers.length > 0;
+  const reported = new Set();
+  let agentUtterances = 0;
+
+  const report = (entry, type, rule) => {
+    const key = `${entry.startedAt}:${type}:${rule}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    onViolation({ type, rule, text: entry.text, partial: entry.partial });
+  };
+
+  return {
+    enabled,
+
+    // Called with every transcript update ({ speaker, text, partial, ... })
+    check(entry) {
+      if (!enabled || entry.speaker !== "agent") return;
+
+      for (const { topic, patterns } of topics) {
+        if (patterns.some((pattern) => pattern.test(entry.text))) {
+          report(entry, "forbidden_topic", topic);
+        }
+      }
+      for (const { phrase, pattern } of phrases) {
+        if (pattern.test(entry.text)) report(entry, "blocked_phrase", phrase);
+      }
+
+      // Disclaimers can only be judged once the utterance is complete
+      if (entry.partial) return;
+      agentUtterances++;
+      const spoken = looseText(entry.text);
+      for (const disclaimer of disclaimers) {
+        if (disclaimer.said) continue;
+        if (spoken.includes(disclaimer.loose)) {
+          disclaimer.said = true;
+          continue;
+        }
+        const due =
+          disclaimer.triggers.length > 0
+            ? disclaimer.triggers.some((pattern) => pattern.test(entry.text))
+            : agentUtterances === 1;
+        if (due) report(entry, "missing_disclaimer", disclaimer.text);
+      }
+    },
+  };
+}
+
+export function recordViolation(violation) {
+  return guardrailViolations.create(randomUUID(), violation);
+}
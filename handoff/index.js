@@ -0,0 +1,223 @@
+import { Type } from "@google/genai";
+import { randomUUID } from "crypto";
+import { getRepository } from "../storage/index.js";
+import { phrasePattern } from "../guardrails/index.js";
+
+// Warm transfer of a call from the agent to a human operator. The model asks
+// for one with the transfer tool, or a rule matches something the caller
+// said; the agent's workspace operators (accounts with the operator or admin
+// role; see auth/index.js) are offered the call on the /operators socket
+// namespace with a summary of the conversation, and the first to accept
+// takes over the caller's audio. Until then the agent keeps the caller
+// company; if nobody answers in time it takes the call back.
+//
+// An agent's `handoff` config:
+//
+//   enabled           true to let the agent transfer calls
+//   departments       names the model may route a transfer to
+//   rules             [{ keywords, reason, department? }]: a caller saying
+//                     any keyword requests a transfer without the model
+//   aiAfterTransfer   "pause" (default) keeps the live session open, so the
+//                     agent can take the call back if the operator leaves;
+//                     "close" ends it once the operator is connected
+//   timeoutMs         how long to wait for an operator to accept
+
+export const handoffs = getRepository("handoffs");
+
+export const HANDOFF_TOOL_NAME = "transfer_to_operator";
+
+export const HANDOFF_STATUSES = [
+  "waiting",
+  "connected",
+  "unanswered",
+  "cancelled",
+  "ended",
+];
+
+export const AI_AFTER_TRANSFER = ["pause", "close"];
+
+const MAX_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SUMMARY_INSTRUCTION = `You brief a human operator who is taking over a phone call from a voice agent.
+In at most 80 words, say who the caller is, what they want, what the agent already told or promised them, and why they are being transferred.
+Write plain prose without headings.`;
+
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => typeof item === "string" && item.trim());
+
+// Returns a list of human readable problems; empty when the config is usable
+export function validateHandoffConfig(handoff) {
+  if (!handoff || typeof handoff !== "object" || Array.isArray(handoff)) {
+    return ["handoff must be an object"];
+  }
+
+  const errors = [];
+  const { enabled, departments, rules, aiAfterTransfer, timeoutMs } = handoff;
+
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    errors.push("handoff.enabled must be a boolean");
+  }
+  if (departments !== undefined && !isStringList(departments)) {
+    errors.push("handoff.departments must be an array of strings");
+  }
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) {
+      errors.push("handoff.rules must be an array");
+    } else {
+      rules.forEach((rule, index) => {
+        const label = `handoff.rules[${index}]`;
+        if (!rule || !isStringList(rule.keywords) || !rule.keywords.length) {
+          errors.push(`${label}.keywords must be a non-empty array of strings`);
+        }
+        if (rule?.reason !== undefined && typeof rule.reason !== "string") {
+          errors.push(`${label}.reason must be a string`);
+        }
+        if (
+          rule?.department !== undefined &&
+          !(isStringList(departments) && departments.includes(rule.department))
+        ) {
+          errors.push(`${label}.department must be one of handoff.departments`);
+        }
+      });
+    }
+  }
+  if (
+    aiAfterTransfer !== undefined &&
+    !AI_AFTER_TRANSFER.includes(aiAfterTransfer)
+  ) {
+    errors.push(
+      `handoff.aiAfterTransfer must be one of: ${AI_AFTER_TRANSFER.join(", ")}`
+    );
+  }
+  if (
+    timeoutMs !== undefined &&
+    (!Number.isInteger(timeoutMs) ||
+      timeoutMs < 1 ||
+      timeoutMs > MAX_TIMEOUT_MS)
+  ) {
+    errors.push(
+      `handoff.timeoutMs must be an integer between 1 and ${MAX_TIMEOUT_MS}`
+    );
+  }
+
+  return errors;
+}
+
+// The tool the model calls to ask for an operator
+export function handoffDeclaration(handoff) {
+  const departments = handoff?.departments || [];
+  return {
+    name: HANDOFF_TOOL_NAME,
+    description:
+      "Transfer the call to a human operator. Call this when the caller asks to speak to a person, or needs help you cannot give. Tell the caller you are transferring them when you call it.",
+    parameters: {
+      type: Type.OBJECT,
+      properties: {
+        reason: {
+          type: Type.STRING,
+          description:
+            "Why the caller needs a person, in one sentence, e.g. 'Wants to dispute a charge on their last invoice'",
+        },
+        ...(departments.length > 0 && {
+          department: {
+            type: Type.STRING,
+            description: "The department best placed to help",
+            enum: departments,
+          },
+        }),
+      },
+      required: ["reason"],
+    },
+  };
+}
+
+// System instruction section on transfers. Agents that cannot transfer are
+// told so, instead of promising callers a person who never comes.
+export function handoffInstruction(handoff) {
+  if (!handoff?.enabled) {
+    return `## TRANSFERS
+- You cannot transfer calls to a person. When the caller needs someone else, offer to take a message or share the relevant contact details from the documents; never say you are connecting them.`;
+  }
+
+  const lines = [
+    `- When the caller asks for a person, or needs help you cannot give, call the ${HANDOFF_TOOL_NAME} tool with the reason.`,
+    "- Tell the caller you are transferring them and keep helping them until the operator joins. Never promise a transfer without calling the tool.",
+  ];
+  if (handoff.departments?.length) {
+    lines.push(
+      `- Route the transfer to one of these departments: ${handoff.departments.join(
+        ", "
+      )}.`
+    );
+  }
+  return `## TRANSFERS TO A HUMAN\n${lines.join("\n")}`;
+}
+
+// The notice sent to the model when the system, not the model, changed the
+// state of a transfer
+export function handoffNotice(event) {
+  const notice = "TRANSFER NOTICE (from the system, not the caller):";
+  switch (event) {
+    case "requested":
+      return `${notice} the caller asked for a person and an operator has been called. Tell the caller you are transferring them and keep helping until the operator joins.`;
+    case "unanswered":
+      return `${notice} no operator is available right now. Apologise to the caller, and offer to keep helping or to take a message.`;
+    default:
+      return `${notice} the operator has handed the call back to you. Tell the caller you are back and ask how you can help.`;
+  }
+}
+
+// Matches final caller utterances against the agent's transfer rules
+export function createHandoffRules(handoff) {
+  const rules = handoff?.enabled
+    ? (handoff.rules || []).map((rule) => ({
+        ...rule,
+        patterns: rule.keywords.map(phrasePattern),
+      }))
+    : [];
+
+  return {
+    // The first rule the utterance triggers, or null
+    match(entry) {
+      if (entry.speaker !== "caller" || entry.partial) return null;
+      const rule = rules.find(({ patterns }) =>
+        patterns.some((pattern) => pattern.test(entry.text))
+      );
+      return rule
+        ? {
+            reason: rule.reason || "The caller asked for a person",
+            department: rule.department ?? null,
+          }
+        : null;
+    },
+  };
+}
+
+// Short briefing for the operator from the conversation so far. Falls back
+// to the conversation itself when the provider cannot summarize.
+export async function summarizeForOperator({
+  reason,
+  conversation,
+  summarize,
+}) {
+  const text = `Transfer reason: ${reason}\n\nConversation:\n${
+    conversation || "(nothing said yet)"
+  }`;
+  if (typeof summarize === "function" && conversation) {
+    try {
+      const summary = await summarize({
+        instruction: SUMMARY_INSTRUCTION,
+        text,
+      });
+      if (summary?.trim()) return summary.trim();
+    } catch (error) {
+      console.error("❌ Failed to summarize call for operator:", error);
+    }
+  }
+  return text;
+}
+
+export function recordHandoff(handoff) {
+  return handoffs.create(randomUUID(), handoff);
+}
@@ -1,9 +1,13 @@
 // ===============================================================================================
 
-import { GoogleGenAI, Modality } from "@google/genai";
+import { ActivityHandling, Modality } from "@google/genai";
 import mic from "mic";
 import Speaker from "speaker";
 import dotenv from "dotenv";
+import { createPlaybackQueue } from "./audio/playback.js";
+import { getLiveProvider } from "./providers/index.js";
+import { connectResumable } from "./providers/resumable.js";
+import { buildSpeechConfig } from "./voices/index.js";
 
 // Load environment variables from a .env file
 dotenv.config();
@@ -17,19 +21,20 @@ const MIC_BIT_WIDTH = 16;
 const SPEAKER_SAMPLE_RATE = 24000;
 const SPEAKER_CHANNELS = 1;
 const SPEAKER_BIT_WIDTH = 16;
+// Prebuilt voice and BCP-47 language code (see voices/index.js for both)
+const VOICE_NAME = process.env.VOICE_NAME;
+const VOICE_LANGUAGE = process.env.VOICE_LANGUAGE;
+// Speaking over the AI cuts it off. Use headphones, or the AI hears itself;
+// BARGE_IN=false pauses the microphone while the AI speaks instead.
+const BARGE_IN = process.env.BARGE_IN !== "false";
 
 /**
  * Main function to run the live voice chat application.
  */
 async function runLiveVoice() {
   // --- Initialization ---
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error(
-      "GEMINI_API_KEY is not set. Please create a .env file and add it."
-    );
-  }
-
-  const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  // LIVE_PROVIDER=mock runs without a Gemini key
+  const provider = getLiveProvider();
 
   // State management for the conversation
   let isAIResponding = false;
@@ -45,6 +50,10 @@ async function runLiveVoice() {
 
   speaker.on("error", (err) => console.error("🔊 Speaker error:", err));
   speaker.on("open", () => console.log("🔊 Speaker is ready."));
+  const playback = createPlaybackQueue(speaker, {
+    sampleRate: SPEAKER_SAMPLE_RATE,
+    channels: SPEAKER_CHANNELS,
+  });
 
   // --- Microphone Setup ---
   // The 'mic' library captures audio from the default microphone
@@ -59,19 +68,23 @@ async function runLiveVoice() {
   const micStream = micInstance.getAudioStream();
 
   // --- AI Session Setup ---
-  // Connect to the Gemini Live Content API
-  const session = await ai.live.connect({
-    // Using a flash model for faster, more conversational responses.
-    // Update this to a model that supports native audio dialog if you have access.
-    model: "gemini-2.5-flash-preview-native-audio-dialog",
+  // Connect to the configured live model provider; dropped connections are
+  // resumed where the conversation left off
+  const session = await connectResumable(provider, {
     config: {
       // Tell the model to respond with audio
       responseModalities: [Modality.AUDIO],
       systemInstruction:
         "You are a helpful and friendly voice assistant. Your responses should be conversational, yet concise.",
       // Configure the voice for the AI's speech
-      speechConfig: {
-        voiceConfig: { prebuiltVoiceConfig: { voiceName: "Kore" } },
+      speechConfig: buildSpeechConfig({
+        voice: VOICE_NAME,
+        language: VOICE_LANGUAGE,
+      }),
+      realtimeInputConfig: {
+        activityHandling: BARGE_IN
+          ? ActivityHandling.START_OF_ACTIVITY_INTERRUPTS
+          : ActivityHandling.NO_INTERRUPTION,
       },
     },
     callbacks: {
@@ -83,29 +96,48 @@ async function runLiveVoice() {
         console.log("🎤 Microphone started. Listening...");
       },
       onmessage: (message) => {
+        // The user talked over the AI: stop playing the rest of its answer
+        if (message.serverContent?.interrupted) {
+          const droppedMs = playback.flush();
+          if (isAIResponding) {
+            isAIResponding = false;
+            console.log(
+              `✋ AI interrupted (${droppedMs} ms dropped). Listening...`
+            );
+          }
+        }
+
         // We are receiving a message from the server
         if (message.serverContent?.modelTurn?.parts) {
           // This is an audio response from the AI
           if (!isAIResponding) {
             isAIResponding = true;
-            console.log("🤖 AI Speaking, microphone paused...");
-            micInstance.pause();
+            if (BARGE_IN) {
+              console.log("🤖 AI Speaking...");
+            } else {
+              console.log("🤖 AI Speaking, microphone paused...");
+              micInstance.pause();
+            }
           }
 
           // Write each audio chunk to the speaker as it arrives
           message.serverContent.modelTurn.parts.forEach((part) => {
             if (part.inlineData?.data) {
               const audioBuffer = Buffer.from(part.inlineData.data, "base64");
-              speaker.write(audioBuffer);
+              playback.play(audioBuffer);
             }
           });
         } else if (message.serverContent?.turnComplete) {
           // The AI has finished its turn
           if (isAIResponding) {
             isAIResponding = false;
-            console.log("✅ AI turn complete. Resuming microphone...");
-            micInstance.resume();
-            console.log("🎤 Listening...");
+            if (BARGE_IN) {
+              console.log("✅ AI turn complete.");
+            } else {
+              console.log("✅ AI turn complete. Resuming microphone...");
+              micInstance.resume();
+              console.log("🎤 Listening...");
+            }
           }
         } else if (message.usageMetadata) {
           // Log token usage for monitoring
@@ -115,21 +147,36 @@ async function runLiveVoice() {
         }
       },
       onerror: (err) => {
+        // A failed connection also closes, and is resumed there if possible
         console.error("❌ Session error:", err);
-        cleanupAndExit();
       },
       onclose: (event) => {
         isConnected = false;
         console.log("🔒 Session closed:", event?.reason || "No reason given");
+        cleanupAndExit();
       },
     },
+    onReconnecting: (reason) => {
+      console.log(`🔄 Connection lost (${reason}). Reconnecting...`);
+      // The answer in progress does not carry over to the new connection
+      playback.flush();
+      if (isAIResponding) {
+        isAIResponding = false;
+        if (!BARGE_IN) micInstance.resume();
+      }
+    },
+    onReconnected: ({ bufferedChunks }) => {
+      console.log(
+        `✅ Reconnected (${bufferedChunks} audio chunks caught up). Listening...`
+      );
+    },
   });
 
   // --- Microphone Data Handling ---
   // This event fires whenever the microphone records a chunk of audio
   micStream.on("data", (chunk) => {
-    // If the connection is live and the AI is not talking, send the audio
-    if (isConnected && !isAIResponding) {
+    // Send the audio while connected; without barge-in, only between answers
+    if (isConnected && (BARGE_IN || !isAIResponding)) {
       try {
         session.sendRealtimeInput({
           audio: {
@@ -146,7 +193,10 @@ async function runLiveVoice() {
   micStream.on("error", (err) => console.error("🎤 Microphone error:", err));
 
   // --- Cleanup Logic ---
+  let exiting = false;
   function cleanupAndExit() {
+    if (exiting) return;
+    exiting = true;
     console.log("\n🧹 Cleaning up and exiting...");
 
     // Stop the microphone
@@ -158,6 +208,7 @@ async function runLiveVoice() {
 
     // Close the speaker
     try {
+      playback.flush();
       if (speaker && !speaker.destroyed) speaker.end();
     } catch (e) {
       console.error("Error closing speaker:", e);
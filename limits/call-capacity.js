@@ -0,0 +1,103 @@
+// Caps how many live sessions run at once, globally and per agent. Calls
+// over the cap wait in a FIFO queue and are told their position as it moves;
+// a waiter whose agent is still full does not hold up callers of other agents.
+
+export function createCallCapacity({
+  maxCalls = null,
+  maxCallsPerAgent = null,
+  maxQueue = 50,
+  queueTimeoutMs = 60000,
+}) {
+  let active = 0;
+  const activeByAgent = new Map();
+  const queue = [];
+
+  const hasRoom = (agentKey, agentLimit) => {
+    const limit = agentLimit ?? maxCallsPerAgent;
+    return (
+      (maxCalls == null || active < maxCalls) &&
+      (limit == null || (activeByAgent.get(agentKey) || 0) < limit)
+    );
+  };
+
+  function take(agentKey) {
+    active += 1;
+    activeByAgent.set(agentKey, (activeByAgent.get(agentKey) || 0) + 1);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active -= 1;
+      const remaining = activeByAgent.get(agentKey) - 1;
+      if (remaining > 0) activeByAgent.set(agentKey, remaining);
+      else activeByAgent.delete(agentKey);
+      drain();
+    };
+  }
+
+  function announcePositions() {
+    queue.forEach((waiter, index) => {
+      if (waiter.position !== index + 1) {
+        waiter.position = index + 1;
+        waiter.onQueued?.(waiter.position);
+      }
+    });
+  }
+
+  function remove(waiter) {
+    const index = queue.indexOf(waiter);
+    if (index !== -1) queue.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.signal?.removeEventListener("abort", waiter.onAbort);
+  }
+
+  // Admit every waiter that fits now, oldest first
+  function drain() {
+    for (const waiter of [...queue]) {
+      if (!hasRoom(waiter.agentKey, waiter.agentLimit)) continue;
+      remove(waiter);
+      waiter.resolve(take(waiter.agentKey));
+    }
+    announcePositions();
+  }
+
+  return {
+    // Resolves with a release function once the call may start. onQueued
+    // receives the 1-based queue position whenever it changes; aborting the
+    // signal gives up the place in the queue.
+    acquire(agentKey, { agentLimit, onQueued, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          return reject(new Error("Call cancelled"));
+        }
+        if (queue.length >= maxQueue && !hasRoom(agentKey, agentLimit)) {
+          return reject(
+            new Error("All lines are busy, please try again later")
+          );
+        }
+
+        const waiter = { agentKey, agentLimit, onQueued, signal, resolve };
+        queue.push(waiter);
+        drain();
+        if (!queue.includes(waiter)) return;
+
+        const fail = (message) => {
+          remove(waiter);
+          announcePositions();
+          reject(new Error(message));
+        };
+        waiter.timer = setTimeout(
+          () => fail("Timed out waiting for a free line"),
+          queueTimeoutMs
+        );
+        waiter.onAbort = () => fail("Call cancelled");
+        signal?.addEventListener("abort", waiter.onAbort);
+      });
+    },
+
+    stats() {
+      return { active, queued: queue.length };
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// Fixed-window request counters kept in process memory. One limiter counts
+// hits per key (client IP, account id, ...) and resets every window.
+
+export function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  // Forget finished windows so idle clients don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  // Counts one hit; returns { allowed, remaining, resetAt }
+  function consume(key) {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      resetAt: window.resetAt,
+    };
+  }
+
+  // Express middleware; keyFn picks what is limited, e.g. the client IP
+  function middleware(keyFn) {
+    return (req, res, next) => {
+      const result = consume(keyFn(req));
+      const resetSeconds = Math.ceil((result.resetAt - Date.now()) / 1000);
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(result.remaining));
+      res.set("RateLimit-Reset", String(resetSeconds));
+
+      if (!result.allowed) {
+        res.set("Retry-After", String(resetSeconds));
+        return res
+          .status(429)
+          .json({ success: false, error: "Too many requests" });
+      }
+      next();
+    };
+  }
+
+  return { consume, middleware };
+}
@@ -0,0 +1,423 @@
+import vm from "vm";
+
+// Detection and masking of personal data before it is stored or leaves the
+// server. Stored transcripts, guardrail reports, tool webhook payloads and
+// logs of caller input are redacted with the agent's policy; uploaded
+// documents always lose card numbers and SSNs, and everything else the
+// policy masks when it sets `redactDocuments`.
+//
+// An agent's `pii` policy:
+//
+//   mask              types to mask (default: every registered type)
+//   keep              types left in clear text, overriding `mask`
+//   patterns          extra [{ name, pattern, flags }] regular expressions
+//                     for this agent; masked unless listed in `keep`. They
+//                     run in the shared server process, so they are kept
+//                     short, may not nest quantifiers, put competing
+//                     unbounded quantifiers side by side or use
+//                     backreferences, and only see text in pieces of
+//                     CUSTOM_CHUNK_LENGTH. Each piece gets CUSTOM_TIME_LIMIT_MS;
+//                     a pattern that overruns it masks the piece whole.
+//   redactDocuments   true to apply the whole policy to uploaded documents
+//
+// Matches are replaced with "[REDACTED:<type>]". More detectors can be added
+// for every agent with registerPiiPattern.
+
+const DOCUMENT_TYPES = ["card", "ssn"];
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const MAX_CUSTOM_PATTERN_LENGTH = 200;
+const MAX_CUSTOM_PATTERNS = 20;
+const CUSTOM_CHUNK_LENGTH = 1000;
+const CUSTOM_FLAGS = /^[gimsu]*$/;
+const CUSTOM_TIME_LIMIT_MS = 50;
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+// Characters tried against pattern atoms to tell whether two of them can
+// match the same input
+const SAMPLE_CHARS = [
+  ..."\t\n",
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  "é",
+];
+
+// Inputs a custom pattern must get through within the time limit
+const PROBE_INPUTS = ["a", "A", "1", " ", "-", "."].map(
+  (char) => `${char.repeat(CUSTOM_CHUNK_LENGTH - 1)}\u0000`
+);
+
+const MONTHS =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const DATE = `\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2}(?:st|nd|rd|th)? (?:of )?(?:${MONTHS}),? \\d{4}`;
+
+// Card numbers must pass the Luhn check so order and phone numbers survive
+function passesLuhn(match) {
+  const digits = match.replace(/\D/g, "");
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Checked in order, so cards and SSNs are masked before the looser phone
+// pattern can claim their digits. `group` masks only that capture group.
+const detectors = [
+  {
+    name: "card",
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    validate: passesLuhn,
+  },
+  {
+    name: "ssn",
+    pattern: /(?<!\d)\d{3}[- ]\d{2}[- ]\d{4}(?!\d)/g,
+  },
+  {
+    name: "email",
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  },
+  {
+    name: "dateOfBirth",
+    pattern: new RegExp(
+      `\\b(?:date of birth|birth ?date|dob|born(?: on)?|birthday(?: is)?)[:\\s,]*(?:is\\s+)?(${DATE})`,
+      "gi"
+    ),
+    group: 1,
+  },
+  {
+    name: "phone",
+    pattern:
+      /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])?\d{3,4}[ .-]?\d{3,4}(?![ .-]?\d)/g,
+    validate: (match) => match.replace(/\D/g, "").length >= 7,
+  },
+];
+
+export function listPiiTypes() {
+  return detectors.map((detector) => detector.name);
+}
+
+// Adds a detector for every agent. `pattern` must be a global RegExp;
+// `validate(match)` may reject matches the pattern alone cannot rule out.
+export function registerPiiPattern(name, { pattern, validate, group }) {
+  if (!pattern.global) throw new Error("PII patterns must use the g flag");
+  const existing = detectors.findIndex((detector) => detector.name === name);
+  const detector = { name, pattern, validate, group };
+  if (existing >= 0) detectors[existing] = detector;
+  else detectors.push(detector);
+}
+
+// Sample characters an atom (a character, class, escape or group) can start
+// with when repeated
+function sampleAtom(atom, flags) {
+  try {
+    const regex = new RegExp(`^(?:${atom})`, flags.replace("g", ""));
+    return new Set(SAMPLE_CHARS.filter((char) => regex.test(char.repeat(4))));
+  } catch {
+    return new Set(SAMPLE_CHARS);
+  }
+}
+
+const overlaps = (first, second) => [...first].some((char) => second.has(char));
+
+// Rejects the constructs behind catastrophic backtracking:
+//   - a quantified group that itself contains a quantifier or an
+//     alternation, such as (a+)+ or (a|a)*
+//   - unbounded quantifiers that compete for the same characters with
+//     nothing in between to tell them apart, such as \w*\w* or \d+\d*
+//   - backreferences
+function checkBacktracking(source, flags = "") {
+  const newGroup = (start) => ({
+    start,
+    quantified: false,
+    alternation: false,
+    // Characters of the last unbounded atom not yet followed by an atom
+    // that cannot match them
+    open: null,
+  });
+  const groups = [newGroup(0)];
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    let atomStart = index;
+    let innerGroup = null;
+
+    if (char === "\\") {
+      if (/[1-9k]/.test(source[index + 1] || "")) {
+        throw new Error("backreferences are not allowed");
+      }
+      index++;
+    } else if (char === "[") {
+      // Skip the character class
+      for (index++; index < source.length && source[index] !== "]"; index++) {
+        if (source[index] === "\\") index++;
+      }
+    } else if (char === "(") {
+      groups.push(newGroup(index));
+      // Group modifiers such as ?: ?= ?<name> are not quantifiers
+      if (source[index + 1] === "?") {
+        const modifier = /^\?(?:<[A-Za-z_]\w*>|<=|<!|[:=!])/.exec(
+          source.slice(index + 1)
+        );
+        if (modifier) index += modifier[0].length;
+      }
+      continue;
+    } else if (char === ")") {
+      if (groups.length === 1) return;
+      innerGroup = groups.pop();
+      atomStart = innerGroup.start;
+    } else if (char === "|") {
+      const top = groups[groups.length - 1];
+      top.alternation = true;
+      top.open = null;
+      continue;
+    } else if (char === "^" || char === "$") {
+      continue;
+    }
+
+    const atom = source.slice(atomStart, index + 1);
+    const parent = groups[groups.length - 1];
+    const quantifier = QUANTIFIER.exec(source.slice(index + 1))?.[0];
+    if (quantifier) index += quantifier.length;
+
+    if (innerGroup) {
+      if (quantifier && (innerGroup.quantified || innerGroup.alternation)) {
+        throw new Error(
+          "quantified groups may not contain quantifiers or alternatives"
+        );
+      }
+      parent.quantified ||= innerGroup.quantified;
+    }
+    if (!quantifier) {
+      const chars = sampleAtom(atom, flags);
+      if (parent.open && !overlaps(parent.open, chars)) parent.open = null;
+      continue;
+    }
+
+    parent.quantified = true;
+    const unbounded = /^[*+]|,\}/.test(quantifier);
+    const optional = /^[*?]|^\{0[,}]/.test(quantifier);
+    const chars = sampleAtom(atom, flags);
+    if (unbounded && parent.open && overlaps(parent.open, chars)) {
+      throw new Error(
+        "unbounded quantifiers next to each other may not match the same characters"
+      );
+    }
+    if (unbounded) {
+      // An optional run does not separate what comes before it
+      parent.open =
+        optional && parent.open ? new Set([...parent.open, ...chars]) : chars;
+    } else if (!optional && parent.open && !overlaps(parent.open, chars)) {
+      parent.open = null;
+    }
+  }
+}
+
+function compilePattern({ pattern, flags = "" }) {
+  return new RegExp(pattern, flags.includes("g") ? flags : `${flags}g`);
+}
+
+// Returns a list of human readable problems; empty when the policy is usable
+export function validatePiiPolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return ["pii must be an object"];
+  }
+
+  const errors = [];
+  const names = new Set(listPiiTypes());
+
+  if (policy.patterns !== undefined) {
+    if (!Array.isArray(policy.patterns)) {
+      errors.push("pii.patterns must be an array");
+    } else if (policy.patterns.length > MAX_CUSTOM_PATTERNS) {
+      errors.push(
+        `pii.patterns may hold at most ${MAX_CUSTOM_PATTERNS} patterns`
+      );
+    } else {
+      policy.patterns.forEach((entry, index) => {
+        const label = `pii.patterns[${index}]`;
+        if (typeof entry?.name !== "string" || !NAME_PATTERN.test(entry.name)) {
+          errors.push(`${label}.name must be a valid identifier`);
+          return;
+        }
+        try {
+          if (typeof entry.pattern !== "string" || !entry.pattern) {
+            throw new Error("pattern must be a non-empty string");
+          }
+          if (entry.pattern.length > MAX_CUSTOM_PATTERN_LENGTH) {
+            throw new Error(
+              `pattern must be at most ${MAX_CUSTOM_PATTERN_LENGTH} characters`
+            );
+          }
+          if (
+            entry.flags !== undefined &&
+            (typeof entry.flags !== "string" || !CUSTOM_FLAGS.test(entry.flags))
+          ) {
+            throw new Error("flags may only use g, i, m, s and u");
+          }
+          const regex = compilePattern(entry);
+          checkBacktracking(entry.pattern, entry.flags);
+          if (PROBE_INPUTS.some((input) => overrunsTimeLimit(regex, input))) {
+            throw new Error("pattern is too slow on some inputs");
+          }
+          names.add(entry.name);
+        } catch (error) {
+          errors.push(`${label}: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  for (const field of ["mask", "keep"]) {
+    const value = policy[field];
+    if (value === undefined) continue;
+    if (!Array.isArray(value)) {
+      errors.push(`pii.${field} must be an array`);
+      continue;
+    }
+    const unknown = value.filter((type) => !names.has(type));
+    if (unknown.length > 0) {
+      errors.push(`pii.${field} has unknown types: ${unknown.join(", ")}`);
+    }
+  }
+  if (
+    policy.redactDocuments !== undefined &&
+    typeof policy.redactDocuments !== "boolean"
+  ) {
+    errors.push("pii.redactDocuments must be a boolean");
+  }
+
+  return errors;
+}
+
+const maskFor = (type) => `[REDACTED:${type}]`;
+
+// Pieces of at most CUSTOM_CHUNK_LENGTH characters, cut at whitespace where
+// possible so matches are rarely split
+function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CUSTOM_CHUNK_LENGTH, text.length);
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > start + CUSTOM_CHUNK_LENGTH / 2) end = space;
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
+
+// Custom patterns run in a context that can interrupt them after
+// CUSTOM_TIME_LIMIT_MS
+const sandbox = vm.createContext({});
+const sandboxedReplace = new vm.Script("text.replace(pattern, replacer)");
+
+function replaceWithTimeLimit(text, pattern, replacer) {
+  Object.assign(sandbox, { text, pattern, replacer });
+  try {
+    return sandboxedReplace.runInContext(sandbox, {
+      timeout: CUSTOM_TIME_LIMIT_MS,
+    });
+  } catch (error) {
+    if (error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return null;
+    throw error;
+  } finally {
+    Object.assign(sandbox, { text: null, pattern: null, replacer: null });
+  }
+}
+
+function overrunsTimeLimit(regex, input) {
+  return replaceWithTimeLimit(input, regex, () => "") === null;
+}
+
+// A custom pattern that overruns its time limit once is not run again for
+// this redactor: the text it would have checked is masked whole instead
+function applyCustomDetector(detector, text) {
+  if (text.length > CUSTOM_CHUNK_LENGTH) {
+    return chunkText(text)
+      .map((chunk) => applyCustomDetector(detector, chunk))
+      .join("");
+  }
+  if (!detector.overran) {
+    const result = replaceWithTimeLimit(text, detector.pattern, () =>
+      maskFor(detector.name)
+    );
+    if (result !== null) return result;
+    detector.overran = true;
+    console.error(
+      `❌ PII pattern "${detector.name}" overran ${CUSTOM_TIME_LIMIT_MS} ms; masking the text it checks`
+    );
+  }
+  return maskFor(detector.name);
+}
+
+function applyDetector(detector, text) {
+  if (detector.custom) return applyCustomDetector(detector, text);
+  return text.replace(detector.pattern, (match, ...groups) => {
+    if (detector.validate && !detector.validate(match)) return match;
+    if (!detector.group) return maskFor(detector.name);
+    const value = groups[detector.group - 1];
+    return value ? match.replace(value, maskFor(detector.name)) : match;
+  });
+}
+
+function redactWith(active, text) {
+  if (typeof text !== "string" || !text) return text;
+  return active.reduce(
+    (result, detector) => applyDetector(detector, result),
+    text
+  );
+}
+
+// Returns { redact(text), redactValue(value) } for an agent's policy;
+// redactValue masks every string inside objects and arrays
+export function createRedactor(policy = {}) {
+  const custom = (policy.patterns || []).map((entry) => ({
+    name: entry.name,
+    pattern: compilePattern(entry),
+    custom: true,
+  }));
+  const masked = new Set([
+    ...(policy.mask || listPiiTypes()),
+    ...custom.map((detector) => detector.name),
+  ]);
+  for (const type of policy.keep || []) masked.delete(type);
+  const active = [...detectors, ...custom].filter((detector) =>
+    masked.has(detector.name)
+  );
+
+  const redact = (text) => redactWith(active, text);
+  const redactValue = (value) => {
+    if (typeof value === "string") return redact(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, redactValue(item)])
+      );
+    }
+    return value;
+  };
+
+  return { redact, redactValue };
+}
+
+// Uploaded documents keep contact details the agent may need to share, but
+// never card numbers or SSNs unless the policy asks for more
+export function redactDocuments(documents, policy = {}) {
+  const { redact } = policy.redactDocuments
+    ? createRedactor(policy)
+    : createRedactor({ mask: DOCUMENT_TYPES });
+  return documents.map((document) =>
+    typeof document?.content === "string"
+      ? { ...document, content: redact(document.content) }
+      : document
+  );
+}
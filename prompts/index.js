@@ -0,0 +1,282 @@
+import Mustache from "mustache";
+import { randomUUID } from "crypto";
+import { getRepository } from "../storage/index.js";
+import { BUILTIN_TEMPLATES } from "./builtin.js";
+
+// System instruction templates. A template is a Mustache body plus the
+// variables it declares ({ name, description, required, default }); agents
+// pick one with `prompt.templateId` and fill its variables through
+// `prompt.variables`. The call supplies CALL_VARIABLES itself. Built-in
+// templates are shared by every workspace and cannot be edited; stored
+// templates belong to the workspace that created them.
+//
+// Values are inserted as they are: {{name}} and {{{name}}} behave alike, and
+// {{#name}}...{{/name}} / {{^name}}...{{/name}} render only when the value is
+// set / not set.
+
+export const promptTemplates = getRepository("prompt-templates");
+
+export const DEFAULT_TEMPLATE_ID = "default";
+
+// Filled in for every call; templates use them without declaring them
+export const CALL_VARIABLES = [
+  "agentType",
+  "documents",
+  "documentCount",
+  "callerInfo",
+];
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_BODY_LENGTH = 100000;
+const VALUE_TAGS = ["name", "&", "#", "^"];
+
+const renderOptions = { escape: (value) => String(value) };
+
+// Names a template body refers to, sections included. Throws on syntax errors.
+export function templateVariableNames(body) {
+  const names = new Set();
+  const walk = (tokens) => {
+    for (const [type, value, , , children] of tokens) {
+      if (type === ">") throw new Error("Partials are not supported");
+      if (VALUE_TAGS.includes(type)) names.add(value.split(".")[0]);
+      if (Array.isArray(children)) walk(children);
+    }
+  };
+  walk(Mustache.parse(body));
+  return [...names];
+}
+
+function validateVariableDeclarations(variables) {
+  if (!Array.isArray(variables)) return ["variables must be an array"];
+
+  const errors = [];
+  const seen = new Set();
+  variables.forEach((variable, index) => {
+    const label = `variables[${index}]`;
+    if (!variable || typeof variable !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (
+      typeof variable.name !== "string" ||
+      !VARIABLE_NAME.test(variable.name)
+    ) {
+      errors.push(`${label}.name must be a valid identifier`);
+      return;
+    }
+    if (CALL_VARIABLES.includes(variable.name)) {
+      errors.push(`${label}.name "${variable.name}" is set by the call`);
+    }
+    if (seen.has(variable.name)) {
+      errors.push(`Duplicate variable: ${variable.name}`);
+    }
+    seen.add(variable.name);
+    for (const field of ["description", "default"]) {
+      if (
+        variable[field] !== undefined &&
+        variable[field] !== null &&
+        typeof variable[field] !== "string"
+      ) {
+        errors.push(`${label}.${field} must be a string`);
+      }
+    }
+    if (
+      variable.required !== undefined &&
+      typeof variable.required !== "boolean"
+    ) {
+      errors.push(`${label}.required must be a boolean`);
+    }
+  });
+  return errors;
+}
+
+// Returns a list of human readable problems; empty when the template is usable
+export function validatePromptTemplate(template) {
+  const errors = [];
+
+  if (!template.name || typeof template.name !== "string") {
+    errors.push("name must be a non-empty string");
+  }
+  if (
+    template.description !== undefined &&
+    template.description !== null &&
+    typeof template.description !== "string"
+  ) {
+    errors.push("description must be a string");
+  }
+  if (template.variables !== undefined) {
+    errors.push(...validateVariableDeclarations(template.variables));
+  }
+
+  if (!template.body || typeof template.body !== "string") {
+    errors.push("body must be a non-empty string");
+    return errors;
+  }
+  if (template.body.length > MAX_BODY_LENGTH) {
+    errors.push(`body must be at most ${MAX_BODY_LENGTH} characters`);
+    return errors;
+  }
+
+  let used;
+  try {
+    used = templateVariableNames(template.body);
+  } catch (error) {
+    errors.push(`body: ${error.message}`);
+    return errors;
+  }
+  const declared = new Set(
+    (Array.isArray(template.variables) ? template.variables : []).map(
+      (variable) => variable?.name
+    )
+  );
+  const undeclared = used.filter(
+    (name) => !declared.has(name) && !CALL_VARIABLES.includes(name)
+  );
+  if (undeclared.length > 0) {
+    errors.push(`Undeclared template variables: ${undeclared.join(", ")}`);
+  }
+
+  return errors;
+}
+
+// Returns a list of human readable problems with an agent's `prompt` config
+export function validatePromptSelection(prompt) {
+  const errors = [];
+  if (
+    prompt.templateId !== undefined &&
+    prompt.templateId !== null &&
+    typeof prompt.templateId !== "string"
+  ) {
+    errors.push("prompt.templateId must be a string");
+  }
+  if (prompt.variables !== undefined) {
+    if (
+      !prompt.variables ||
+      typeof prompt.variables !== "object" ||
+      Array.isArray(prompt.variables)
+    ) {
+      errors.push("prompt.variables must be an object");
+    } else {
+      for (const [name, value] of Object.entries(prompt.variables)) {
+        if (!["string", "number", "boolean"].includes(typeof value)) {
+          errors.push(
+            `prompt.variables.${name} must be a string, number or boolean`
+          );
+        }
+      }
+    }
+  }
+  if (
+    prompt.instructions !== undefined &&
+    typeof prompt.instructions !== "string"
+  ) {
+    errors.push("prompt.instructions must be a string");
+  }
+  return errors;
+}
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+// Declared values with defaults applied
+function resolveValues(template, values = {}) {
+  const resolved = { ...values };
+  for (const variable of template.variables || []) {
+    if (!isSet(resolved[variable.name]) && isSet(variable.default)) {
+      resolved[variable.name] = variable.default;
+    }
+  }
+  return resolved;
+}
+
+// Required variables that have neither a value nor a default
+export function findMissingVariables(template, values) {
+  const resolved = resolveValues(template, values);
+  return (template.variables || [])
+    .filter((variable) => variable.required && !isSet(resolved[variable.name]))
+    .map((variable) => variable.name);
+}
+
+export function renderTemplate(template, values) {
+  const missing = findMissingVariables(template, values);
+  if (missing.length > 0) {
+    throw new Error(`Missing template variables: ${missing.join(", ")}`);
+  }
+  return Mustache.render(
+    template.body,
+    resolveValues(template, values),
+    {},
+    renderOptions
+  ).trim();
+}
+
+// The callerInfo variable: "Key: value" lines for an object, or the text
+export function formatCallerInfo(caller) {
+  if (!caller) return "";
+  if (typeof caller !== "object") return String(caller);
+  return Object.entries(caller)
+    .filter(([, value]) => isSet(value) && typeof value !== "object")
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+}
+
+const builtinTemplate = (template) => ({
+  ...template,
+  builtin: true,
+  ownerId: null,
+});
+
+export function isBuiltinTemplate(templateId) {
+  return BUILTIN_TEMPLATES.some((template) => template.id === templateId);
+}
+
+export async function getPromptTemplate(templateId = DEFAULT_TEMPLATE_ID) {
+  const builtin = BUILTIN_TEMPLATES.find(
+    (template) => template.id === templateId
+  );
+  if (builtin) return builtinTemplate(builtin);
+  return promptTemplates.get(templateId);
+}
+
+// Built-in templates followed by the workspace's own
+export async function listPromptTemplates(ownerId) {
+  const stored = await promptTemplates.list({ ownerId });
+  return [...BUILTIN_TEMPLATES.map(builtinTemplate), ...stored];
+}
+
+export function createPromptTemplate({
+  ownerId,
+  name,
+  description,
+  body,
+  variables,
+}) {
+  return promptTemplates.create(randomUUID(), {
+    ownerId: ownerId ?? null,
+    name,
+    description: description ?? null,
+    body,
+    variables: variables || [],
+  });
+}
+
+export function updatePromptTemplate(templateId, changes) {
+  return promptTemplates.update(templateId, changes);
+}
+
+export function deletePromptTemplate(templateId) {
+  return promptTemplates.delete(templateId);
+}
+
+// Counts with the provider's tokenizer when it has one, and estimates at
+// four characters per token otherwise
+export async function countInstructionTokens(text, provider) {
+  if (typeof provider?.countTokens === "function") {
+    try {
+      const tokens = await provider.countTokens({ text });
+      return { tokens, method: provider.name };
+    } catch (error) {
+      console.warn("⚠️ Token count failed, estimating:", error.message);
+    }
+  }
+  return { tokens: Math.ceil(text.length / 4), method: "estimate" };
+}
@@ -0,0 +1,64 @@
+import { GoogleGenAI } from "@google/genai";
+
+// Native audio dialog model used when an agent does not pick one itself
+export const DEFAULT_GEMINI_LIVE_MODEL =
+  "gemini-2.5-flash-preview-native-audio-dialog";
+
+// Text model for side tasks such as summarizing long calls
+export const DEFAULT_GEMINI_TEXT_MODEL = "gemini-2.0-flash";
+
+// Gemini Live provider. The returned session mirrors the subset of the
+// @google/genai live session API the server relies on.
+export function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+
+  let ai = null;
+  const client = () => {
+    if (!apiKey) {
+      throw new Error(
+        "GEMINI_API_KEY is not set. Please create a .env file and add it."
+      );
+    }
+    ai ||= new GoogleGenAI({ apiKey });
+    return ai;
+  };
+
+  return {
+    name: "gemini",
+    async connect({ model, config, callbacks }) {
+      const session = await client().live.connect({
+        model:
+          model ||
+          options.model ||
+          process.env.GEMINI_LIVE_MODEL ||
+          DEFAULT_GEMINI_LIVE_MODEL,
+        config,
+        callbacks,
+      });
+
+      return {
+        sendRealtimeInput: (params) => session.sendRealtimeInput(params),
+        sendClientContent: (params) => session.sendClientContent(params),
+        sendToolResponse: (params) => session.sendToolResponse(params),
+        close: () => session.close(),
+      };
+    },
+
+    async summarize({ instruction, text }) {
+      const response = await client().models.generateContent({
+        model: options.textModel || DEFAULT_GEMINI_TEXT_MODEL,
+        contents: text,
+        config: { systemInstruction: instruction, maxOutputTokens: 1024 },
+      });
+      return response.text;
+    },
+
+    async countTokens({ text }) {
+      const response = await client().models.countTokens({
+        model: options.textModel || DEFAULT_GEMINI_TEXT_MODEL,
+        contents: text,
+      });
+      return response.totalTokens;
+    },
+  };
+}
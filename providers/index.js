@@ -0,0 +1,101 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+
+// Live model provider registry.
+//
+// A provider exposes `connect({ model, config, callbacks })` and resolves to a
+// live session with `sendRealtimeInput`, `sendClientContent`,
+// `sendToolResponse` and `close`. Callbacks follow the Gemini Live shape:
+// `onopen`, `onmessage(LiveServerMessage)`, `onerror`, `onclose`.
+// Providers may also offer `summarize({ instruction, text })`, resolving to
+// plain text, which long calls use to keep a running summary, and
+// `countTokens({ text })`, used to size system instructions.
+
+// Options agents may set through `providerOptions`; anything else (API keys,
+// file paths) is server configuration and never taken from clients
+const PROVIDER_OPTION_FIELDS = {
+  model: "string",
+  textModel: "string",
+  script: "array",
+  turnDelayMs: "duration",
+  dropAfterMs: "duration",
+  goAwayAfterMs: "duration",
+  resumable: "boolean",
+};
+
+const MAX_SCRIPT_ENTRIES = 200;
+const MAX_OPTION_DURATION_MS = 10 * 60 * 1000;
+
+const providerFactories = new Map([
+  ["gemini", createGeminiProvider],
+  ["mock", createMockProvider],
+]);
+
+export function registerLiveProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+export function listLiveProviders() {
+  return [...providerFactories.keys()];
+}
+
+// Read lazily so dotenv has populated process.env by the time it is used
+export function getDefaultLiveProviderName() {
+  return process.env.LIVE_PROVIDER || "gemini";
+}
+
+// Returns a list of human readable problems; empty when the options are usable
+export function validateProviderOptions(options) {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    return ["providerOptions must be an object"];
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries(options)) {
+    const type = PROVIDER_OPTION_FIELDS[field];
+    const label = `providerOptions.${field}`;
+    if (!type) {
+      errors.push(`Unknown provider option: ${field}`);
+    } else if (type === "string" && typeof value !== "string") {
+      errors.push(`${label} must be a string`);
+    } else if (type === "boolean" && typeof value !== "boolean") {
+      errors.push(`${label} must be a boolean`);
+    } else if (
+      type === "duration" &&
+      (!Number.isInteger(value) || value < 0 || value > MAX_OPTION_DURATION_MS)
+    ) {
+      errors.push(
+        `${label} must be an integer between 0 and ${MAX_OPTION_DURATION_MS}`
+      );
+    } else if (
+      type === "array" &&
+      (!Array.isArray(value) ||
+        value.length > MAX_SCRIPT_ENTRIES ||
+        !value.every((entry) => entry && typeof entry === "object"))
+    ) {
+      errors.push(
+        `${label} must be an array of at most ${MAX_SCRIPT_ENTRIES} objects`
+      );
+    }
+  }
+  return errors;
+}
+
+// The known options only, for records stored before they were validated
+export function pickProviderOptions(options) {
+  if (!options || typeof options !== "object") return {};
+  return Object.fromEntries(
+    Object.entries(options).filter(([field]) =>
+      Object.hasOwn(PROVIDER_OPTION_FIELDS, field)
+    )
+  );
+}
+
+export function getLiveProvider(name, options = {}) {
+  name = name || getDefaultLiveProviderName();
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown live provider: ${name}`);
+  }
+  return factory(options);
+}
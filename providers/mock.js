@@ -0,0 +1,282 @@
+import { readFileSync } from "fs";
+import { randomUUID } from "crypto";
+import { resamplePcm16 } from "../audio/pcm.js";
+
+// Deterministic offline live provider. Every caller turn is answered with the
+// next entry of a script, emitted as Gemini-shaped LiveServerMessages so the
+// rest of the server cannot tell the difference.
+//
+// A script entry looks like { text, audio }, where audio is base64 24 kHz PCM.
+// Entries without audio echo the caller's turn back, resampled to 24 kHz.
+// An entry may instead carry `functionCalls: [{ name, args }]`: the mock then
+// issues a toolCall and speaks the tool response once it arrives.
+// When transcription is enabled in the session config, `callerTranscript`
+// (or the text the caller sent) and `text` are emitted as transcriptions.
+//
+// The mock "speaks" for as long as the audio it sent lasts; caller audio in
+// that window produces an `interrupted` message unless the session config
+// disables barge-in.
+//
+// With `sessionResumption` in the config the mock hands out resumption
+// handles after every turn, and connecting with one continues the script
+// where it left off. To exercise reconnection, `dropAfterMs` closes fresh
+// (non-resumed) connections after that long, and `goAwayAfterMs` sends them
+// a goAway one second before doing so; `resumable: false` never hands out
+// handles, so dropped calls have to start over from the running summary.
+// Only a connection's latest handle is kept, handles are used up by
+// resuming with them, and a closed connection's handle expires after
+// RESUMPTION_TTL_MS.
+//
+// `summarize` condenses the transcript lines it is given without any model,
+// so summaries are predictable in tests; `countTokens` estimates likewise.
+
+const INPUT_SAMPLE_RATE = 16000;
+const OUTPUT_SAMPLE_RATE = 24000;
+
+const DEFAULT_SCRIPT = [{ text: "Mock agent heard you." }];
+
+const RESUMPTION_TTL_MS = 5 * 60 * 1000;
+
+// Resumption handle -> script position, shared by all mock connections
+const resumableStates = new Map();
+
+function loadScript(options) {
+  if (Array.isArray(options.script) && options.script.length > 0) {
+    return options.script;
+  }
+
+  // Script files are server configuration, never a per-agent option
+  const scriptPath = process.env.MOCK_PROVIDER_SCRIPT;
+  if (scriptPath) {
+    const script = JSON.parse(readFileSync(scriptPath, "utf8"));
+    if (Array.isArray(script) && script.length > 0) return script;
+  }
+
+  return DEFAULT_SCRIPT;
+}
+
+export function createMockProvider(options = {}) {
+  const script = loadScript(options);
+  const turnDelayMs = options.turnDelayMs ?? 200;
+  const { dropAfterMs, goAwayAfterMs, resumable = true } = options;
+
+  return {
+    name: "mock",
+    async connect({ config, callbacks = {} }) {
+      const resumeHandle = config?.sessionResumption?.handle;
+      if (resumeHandle && !resumableStates.has(resumeHandle)) {
+        throw new Error("Unknown session resumption handle");
+      }
+
+      let isOpen = true;
+      let turnIndex = resumableStates.get(resumeHandle)?.turnIndex || 0;
+      resumableStates.delete(resumeHandle);
+      let currentHandle = null;
+      let pendingAudio = [];
+      let turnTimer = null;
+      let callCount = 0;
+      let speakingUntil = 0;
+      let completeTimer = null;
+
+      const bargeInEnabled =
+        config?.realtimeInputConfig?.activityHandling !== "NO_INTERRUPTION";
+
+      const emit = (message) => {
+        setImmediate(() => {
+          if (isOpen) callbacks.onmessage?.(message);
+        });
+      };
+
+      const respond = (callerText) => {
+        clearTimeout(turnTimer);
+        turnTimer = null;
+
+        const entry = script[turnIndex % script.length];
+        turnIndex++;
+
+        const callerAudio = Buffer.concat(pendingAudio);
+        pendingAudio = [];
+
+        const callerTranscript = entry.callerTranscript || callerText;
+        if (config?.inputAudioTranscription && callerTranscript) {
+          emit({
+            serverContent: {
+              inputTranscription: { text: callerTranscript, finished: true },
+            },
+          });
+        }
+
+        if (entry.functionCalls?.length) {
+          emit({
+            toolCall: {
+              functionCalls: entry.functionCalls.map((call) => ({
+                id: `mock-call-${++callCount}`,
+                name: call.name,
+                args: call.args || {},
+              })),
+            },
+          });
+          return;
+        }
+
+        const parts = [];
+        if (entry.text) parts.push({ text: entry.text });
+
+        const audio =
+          entry.audio ||
+          resamplePcm16(
+            callerAudio,
+            INPUT_SAMPLE_RATE,
+            OUTPUT_SAMPLE_RATE
+          ).toString("base64");
+        if (audio) {
+          const audioMs =
+            (Buffer.byteLength(audio, "base64") / 2 / OUTPUT_SAMPLE_RATE) *
+            1000;
+          speakingUntil = Date.now() + audioMs;
+          parts.push({
+            inlineData: {
+              data: audio,
+              mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`,
+            },
+          });
+        }
+
+        if (config?.outputAudioTranscription && entry.text) {
+          emit({
+            serverContent: { outputTranscription: { text: entry.text } },
+          });
+        }
+        const promptTokens = Math.ceil(
+          (callerAudio.length / 2 / INPUT_SAMPLE_RATE) * 32 +
+            (callerText?.length || 0) / 4
+        );
+        const responseTokens = Math.ceil((entry.text?.length || 0) / 4);
+        // Like Gemini, usage arrives on the same message as the model turn
+        emit({
+          ...(parts.length > 0 && { serverContent: { modelTurn: { parts } } }),
+          usageMetadata: {
+            promptTokenCount: promptTokens,
+            responseTokenCount: responseTokens,
+            totalTokenCount: promptTokens + responseTokens,
+          },
+        });
+
+        // Like native audio models, hold turnComplete until playback is over
+        clearTimeout(completeTimer);
+        completeTimer = setTimeout(
+          completeTurn,
+          Math.max(speakingUntil - Date.now(), 0)
+        );
+      };
+
+      const sendResumptionHandle = () => {
+        if (!config?.sessionResumption || !resumable) return;
+        const newHandle = `mock-${randomUUID()}`;
+        resumableStates.delete(currentHandle);
+        currentHandle = newHandle;
+        resumableStates.set(newHandle, { turnIndex });
+        emit({ sessionResumptionUpdate: { newHandle, resumable: true } });
+      };
+
+      const completeTurn = () => {
+        clearTimeout(completeTimer);
+        completeTimer = null;
+        speakingUntil = 0;
+        emit({ serverContent: { turnComplete: true } });
+        sendResumptionHandle();
+      };
+
+      const scheduleTurn = () => {
+        clearTimeout(turnTimer);
+        turnTimer = setTimeout(() => respond(), turnDelayMs);
+      };
+
+      const session = {
+        config,
+        sendRealtimeInput(params = {}) {
+          if (!isOpen) throw new Error("Mock session is closed");
+
+          if (params.audio?.data) {
+            if (bargeInEnabled && Date.now() < speakingUntil) {
+              emit({ serverContent: { interrupted: true } });
+              completeTurn();
+            }
+            pendingAudio.push(Buffer.from(params.audio.data, "base64"));
+            scheduleTurn();
+          }
+          if (params.text) respond(params.text);
+          if (params.audioStreamEnd && pendingAudio.length > 0) respond();
+        },
+        sendClientContent(params = {}) {
+          if (!isOpen) throw new Error("Mock session is closed");
+          if (params.turnComplete !== false) {
+            const turns = [].concat(params.turns || []);
+            const text = turns
+              .flatMap((turn) =>
+                typeof turn === "string" ? [turn] : turn.parts || []
+              )
+              .map((part) => (typeof part === "string" ? part : part.text))
+              .filter(Boolean)
+              .join(" ");
+            respond(text);
+          }
+        },
+        sendToolResponse(params = {}) {
+          if (!isOpen) throw new Error("Mock session is closed");
+          const text = (params.functionResponses || [])
+            .map((item) => `${item.name}: ${JSON.stringify(item.response)}`)
+            .join("\n");
+          emit({ serverContent: { modelTurn: { parts: [{ text }] } } });
+          emit({ serverContent: { turnComplete: true } });
+        },
+        close(reason = "Mock session closed") {
+          if (!isOpen) return;
+          isOpen = false;
+          clearTimeout(turnTimer);
+          clearTimeout(completeTimer);
+          clearTimeout(dropTimer);
+          const handle = currentHandle;
+          if (handle) {
+            setTimeout(
+              () => resumableStates.delete(handle),
+              RESUMPTION_TTL_MS
+            ).unref();
+          }
+          setImmediate(() => callbacks.onclose?.({ reason }));
+        },
+      };
+
+      // Simulated server-side disconnects, for fresh connections only
+      let dropTimer = null;
+      if (!resumeHandle && goAwayAfterMs != null) {
+        dropTimer = setTimeout(() => {
+          emit({ goAway: { timeLeft: "1s" } });
+          dropTimer = setTimeout(() => session.close("Mock goAway"), 1000);
+        }, goAwayAfterMs);
+      } else if (!resumeHandle && dropAfterMs != null) {
+        dropTimer = setTimeout(
+          () => session.close("Mock connection dropped"),
+          dropAfterMs
+        );
+      }
+
+      callbacks.onopen?.();
+      sendResumptionHandle();
+      return session;
+    },
+
+    async summarize({ text }) {
+      // Drop the section headings and keep the latest 1000 characters
+      const lines = text
+        .split("\n")
+        .filter((line) => line && !line.endsWith(":") && line !== "(none yet)");
+      return lines.join(" ").slice(-1000);
+    },
+
+    // Same four characters per token the mock's usage metadata assumes
+    async countTokens({ text }) {
+      return Math.ceil(text.length / 4);
+    },
+  };
+}
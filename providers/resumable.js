@@ -0,0 +1,149 @@
+// Live connection that survives drops, for the CLI clients. It follows the
+// server's voice sessions: the latest session resumption handle is kept, an
+// unexpected close or a goAway opens a new connection with it, and
+// microphone audio is held back until that connection is up. The server
+// keeps its own loop, which can also restart from a running summary and hand
+// calls to operators.
+//
+// Resolves to a session with the provider session's methods. `onopen` fires
+// for the first connection only and `onclose` once the conversation is over:
+// closed on purpose, or not resumable.
+
+const RECONNECT_ATTEMPTS = Number(process.env.LIVE_RECONNECT_ATTEMPTS || 3);
+const RECONNECT_DELAY_MS = 1000;
+// 15 seconds of 16 kHz microphone audio
+const AUDIO_BUFFER_BYTES = 16000 * 2 * 15;
+
+export async function connectResumable(
+  provider,
+  {
+    callbacks = {},
+    onReconnecting,
+    onReconnected,
+    attempts = RECONNECT_ATTEMPTS,
+    delayMs = RECONNECT_DELAY_MS,
+    ...connectOptions
+  }
+) {
+  let live = null;
+  let handle = null;
+  let generation = 0;
+  let reconnecting = false;
+  let closing = false;
+  let bufferedAudio = [];
+  let bufferedBytes = 0;
+
+  // Only the newest connection's callbacks are heard, so a replaced
+  // connection closing late does not end the conversation
+  function openLive() {
+    const current = ++generation;
+    const guard =
+      (callback) =>
+      (...args) => {
+        if (current === generation) callback(...args);
+      };
+
+    return provider.connect({
+      ...connectOptions,
+      config: {
+        ...connectOptions.config,
+        sessionResumption: handle ? { handle } : {},
+      },
+      callbacks: {
+        onopen: guard(() => {
+          if (!reconnecting) callbacks.onopen?.();
+        }),
+        onmessage: guard((message) => {
+          if (message.sessionResumptionUpdate) {
+            const { resumable, newHandle } = message.sessionResumptionUpdate;
+            if (resumable && newHandle) handle = newHandle;
+            return;
+          }
+          // The server is about to close this connection; move on before it does
+          if (message.goAway) {
+            if (handle) reconnect("Server going away");
+            return;
+          }
+          callbacks.onmessage?.(message);
+        }),
+        onerror: guard((error) => callbacks.onerror?.(error)),
+        onclose: guard((event) => {
+          if (!closing && handle) {
+            reconnect(event?.reason || "Connection closed");
+            return;
+          }
+          callbacks.onclose?.(event);
+        }),
+      },
+    });
+  }
+
+  async function reconnect(reason) {
+    if (reconnecting || closing) return;
+    reconnecting = true;
+    const previous = live;
+    live = null;
+    onReconnecting?.(reason);
+
+    for (let attempt = 1; attempt <= attempts && !closing; attempt++) {
+      try {
+        live = await openLive();
+        break;
+      } catch (error) {
+        console.error(`❌ Reconnect attempt ${attempt} failed:`, error);
+        await new Promise((resolve) => setTimeout(resolve, attempt * delayMs));
+      }
+    }
+
+    try {
+      previous?.close();
+    } catch (error) {
+      console.error("Error closing replaced live connection:", error);
+    }
+    reconnecting = false;
+
+    if (!live || closing) {
+      // Closed meanwhile, or the conversation could not resume
+      if (live) {
+        live.close();
+      } else {
+        callbacks.onclose?.({ reason: `Could not reconnect: ${reason}` });
+      }
+      return;
+    }
+
+    const pending = bufferedAudio;
+    bufferedAudio = [];
+    bufferedBytes = 0;
+    pending.forEach((audio) => live.sendRealtimeInput({ audio }));
+    onReconnected?.({ bufferedChunks: pending.length });
+  }
+
+  // Keep only the most recent audio if the gap runs long
+  function bufferAudio(audio) {
+    bufferedAudio.push(audio);
+    bufferedBytes += Buffer.byteLength(audio.data, "base64");
+    while (bufferedBytes > AUDIO_BUFFER_BYTES) {
+      const dropped = bufferedAudio.shift();
+      bufferedBytes -= Buffer.byteLength(dropped.data, "base64");
+    }
+  }
+
+  live = await openLive();
+
+  return {
+    sendRealtimeInput(params) {
+      if (reconnecting) {
+        if (params.audio) bufferAudio(params.audio);
+        return;
+      }
+      live.sendRealtimeInput(params);
+    },
+    sendClientContent: (params) => live?.sendClientContent(params),
+    sendToolResponse: (params) => live?.sendToolResponse(params),
+    close() {
+      closing = true;
+      if (!reconnecting) live?.close();
+    },
+  };
+}
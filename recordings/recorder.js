@@ -0,0 +1,262 @@
+import { mkdir, open } from "fs/promises";
+import path from "path";
+import { getRepository } from "../storage/index.js";
+import {
+  BYTES_PER_SAMPLE,
+  createWavHeader,
+  interleaveStereo,
+  resamplePcm16,
+} from "../audio/pcm.js";
+
+// Call recordings, one record per voice session. Audio lives in
+// <RECORDINGS_DIR>/<voiceSessionId>/{caller,agent,mixed}.wav
+export const recordings = getRepository("recordings");
+
+export const RECORDING_TRACKS = ["caller", "agent", "mixed"];
+
+const CALLER_SAMPLE_RATE = 16000;
+const AGENT_SAMPLE_RATE = 24000;
+const WAV_HEADER_SIZE = 44;
+// Late caller chunks within this window are treated as network jitter rather
+// than silence
+const JITTER_TOLERANCE_MS = 60;
+
+export function getRecordingsDir() {
+  return path.resolve(
+    process.env.RECORDINGS_DIR ||
+      path.join(process.env.DATA_DIR || "data", "recordings")
+  );
+}
+
+export function getRecordingPath(voiceSessionId, track) {
+  return path.join(getRecordingsDir(), voiceSessionId, `${track}.wav`);
+}
+
+// WAV file written incrementally; the header sizes are patched on close.
+// Writes are queued without waiting on them, so a failed write (a full
+// disk, say) is kept, later writes are skipped and close() throws it.
+async function createWavFile(filePath, { sampleRate, channels = 1 }) {
+  const handle = await open(filePath, "w");
+  let dataLength = 0;
+  let rewound = false;
+  let failure = null;
+  let pendingWrite = Promise.resolve();
+
+  const queueWrite = (buffer, position) => {
+    pendingWrite = pendingWrite
+      .then(() => {
+        if (!failure) return handle.write(buffer, 0, buffer.length, position);
+      })
+      .catch((error) => {
+        failure ??= error;
+      });
+    return pendingWrite;
+  };
+
+  queueWrite(createWavHeader({ sampleRate, channels, dataLength: 0 }), 0);
+
+  return {
+    sampleRate,
+    channels,
+    get samples() {
+      return dataLength / BYTES_PER_SAMPLE / channels;
+    },
+    get durationMs() {
+      return Math.round((this.samples / sampleRate) * 1000);
+    },
+    get dataLength() {
+      return dataLength;
+    },
+    write(buffer) {
+      const position = WAV_HEADER_SIZE + dataLength;
+      dataLength += buffer.length;
+      return queueWrite(buffer, position);
+    },
+    // Forget everything after `samples`; later writes continue from there
+    rewind(samples) {
+      const length = samples * BYTES_PER_SAMPLE * channels;
+      if (length < dataLength) {
+        dataLength = length;
+        rewound = true;
+      }
+    },
+    async close() {
+      try {
+        await pendingWrite;
+        if (failure) throw failure;
+        if (rewound) await handle.truncate(WAV_HEADER_SIZE + dataLength);
+        await handle.write(
+          createWavHeader({ sampleRate, channels, dataLength }),
+          0,
+          WAV_HEADER_SIZE,
+          0
+        );
+      } finally {
+        await handle.close();
+      }
+    },
+  };
+}
+
+// Places audio on a wall-clock timeline that starts with the call, filling
+// gaps with silence so both tracks line up when mixed. Agent audio arrives
+// faster than real time, so it simply queues behind the previous chunk.
+function appendOnTimeline(wav, buffer, startedAt) {
+  const target = Math.floor(((Date.now() - startedAt) * wav.sampleRate) / 1000);
+  const gap = target - wav.samples;
+  if (gap > (JITTER_TOLERANCE_MS * wav.sampleRate) / 1000) {
+    wav.write(Buffer.alloc(gap * BYTES_PER_SAMPLE));
+  }
+  // Drop a trailing odd byte so samples stay aligned
+  wav.write(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+}
+
+async function readBlock(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Stereo mix at the agent rate: caller on the left, agent on the right.
+// Processed a second at a time to keep memory flat on long calls.
+async function writeMixedTrack(voiceSessionId, caller, agent) {
+  const mixed = await createWavFile(getRecordingPath(voiceSessionId, "mixed"), {
+    sampleRate: AGENT_SAMPLE_RATE,
+    channels: 2,
+  });
+  const callerFile = await open(getRecordingPath(voiceSessionId, "caller"));
+  const agentFile = await open(getRecordingPath(voiceSessionId, "agent"));
+
+  try {
+    const callerBlock = CALLER_SAMPLE_RATE * BYTES_PER_SAMPLE;
+    const agentBlock = AGENT_SAMPLE_RATE * BYTES_PER_SAMPLE;
+    const seconds = Math.ceil(
+      Math.max(caller.dataLength / callerBlock, agent.dataLength / agentBlock)
+    );
+
+    for (let second = 0; second < seconds; second++) {
+      const callerPcm = await readBlock(
+        callerFile,
+        WAV_HEADER_SIZE + second * callerBlock,
+        Math.min(
+          callerBlock,
+          Math.max(caller.dataLength - second * callerBlock, 0)
+        )
+      );
+      const agentPcm = await readBlock(
+        agentFile,
+        WAV_HEADER_SIZE + second * agentBlock,
+        Math.min(
+          agentBlock,
+          Math.max(agent.dataLength - second * agentBlock, 0)
+        )
+      );
+      mixed.write(
+        interleaveStereo(
+          resamplePcm16(callerPcm, CALLER_SAMPLE_RATE, AGENT_SAMPLE_RATE),
+          agentPcm
+        )
+      );
+    }
+  } finally {
+    await callerFile.close();
+    await agentFile.close();
+    await mixed.close();
+  }
+
+  return mixed;
+}
+
+export async function createCallRecorder({
+  voiceSessionId,
+  sessionId,
+  ownerId = null,
+}) {
+  await mkdir(path.dirname(getRecordingPath(voiceSessionId, "caller")), {
+    recursive: true,
+  });
+
+  const startedAt = Date.now();
+  const caller = await createWavFile(
+    getRecordingPath(voiceSessionId, "caller"),
+    {
+      sampleRate: CALLER_SAMPLE_RATE,
+    }
+  );
+  const agent = await createWavFile(getRecordingPath(voiceSessionId, "agent"), {
+    sampleRate: AGENT_SAMPLE_RATE,
+  });
+  let closed = false;
+
+  await recordings.create(voiceSessionId, {
+    sessionId,
+    ownerId,
+    status: "recording",
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    tracks: [],
+  });
+
+  const append = (wav, base64Audio) => {
+    if (closed || !base64Audio) return;
+    try {
+      appendOnTimeline(wav, Buffer.from(base64Audio, "base64"), startedAt);
+    } catch (error) {
+      console.error("❌ Error recording audio:", error);
+    }
+  };
+
+  return {
+    writeCaller: (base64Audio) => append(caller, base64Audio),
+    writeAgent: (base64Audio) => append(agent, base64Audio),
+
+    // The caller barged in: agent audio queued past this moment was never
+    // heard, so drop it from the recording
+    interruptAgent() {
+      if (closed) return;
+      agent.rewind(
+        Math.floor(((Date.now() - startedAt) * agent.sampleRate) / 1000)
+      );
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+
+      try {
+        // Close both tracks even when one fails
+        const [callerClosed, agentClosed] = await Promise.allSettled([
+          caller.close(),
+          agent.close(),
+        ]);
+        for (const result of [callerClosed, agentClosed]) {
+          if (result.status === "rejected") throw result.reason;
+        }
+        const mixed = await writeMixedTrack(voiceSessionId, caller, agent);
+
+        const describe = (track, wav) => ({
+          track,
+          sampleRate: wav.sampleRate,
+          channels: wav.channels,
+          bytes: WAV_HEADER_SIZE + wav.dataLength,
+          durationMs: wav.durationMs,
+        });
+
+        await recordings.update(voiceSessionId, {
+          status: "complete",
+          endedAt: new Date().toISOString(),
+          tracks: [
+            describe("caller", caller),
+            describe("agent", agent),
+            describe("mixed", mixed),
+          ],
+        });
+      } catch (error) {
+        console.error("❌ Error finalizing recording:", error);
+        await recordings
+          .update(voiceSessionId, { status: "failed", error: error.message })
+          .catch(() => {});
+      }
+    },
+  };
+}
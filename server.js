@@ -793,9 +793,151 @@
 // server.js - MINIMAL FIX
 import express from "express";
 import cors from "cors";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
-import { HumanMessage } from "@langchain/core/messages";
-import { GoogleGenAI, Modality } from "@google/genai";
+import { ActivityHandling } from "@google/genai";
+import {
+  getLiveProvider,
+  listLiveProviders,
+  pickProviderOptions,
+  validateProviderOptions,
+} from "./providers/index.js";
+import { getRepository } from "./storage/index.js";
+import { extractText } from "./documents/extract.js";
+import { generateRecommendations } from "./documents/recommendations.js";
+import {
+  createKnowledgeBase,
+  KNOWLEDGE_SEARCH_TOOL_NAME,
+  knowledgeSearchDeclaration,
+} from "./documents/knowledge-base.js";
+import {
+  createToolSet,
+  listBuiltinHandlers,
+  validateToolDefinitions,
+} from "./tools/index.js";
+import { connectMcpServers, validateMcpServers } from "./tools/mcp.js";
+import {
+  createTranscriptRecorder,
+  getTranscript,
+  listConversations,
+} from "./conversations/transcript.js";
+import {
+  contextWindowCompression,
+  createRunningSummary,
+} from "./conversations/context.js";
+import {
+  DEFAULT_RESPONSE_MODALITY,
+  DEFAULT_VOICE,
+  LANGUAGES,
+  RESPONSE_MODALITIES,
+  VOICES,
+  buildSpeechConfig,
+  responseModalitiesFor,
+  speechInstruction,
+} from "./voices/index.js";
+import {
+  countInstructionTokens,
+  createPromptTemplate,
+  deletePromptTemplate,
+  findMissingVariables,
+  formatCallerInfo,
+  getPromptTemplate,
+  isBuiltinTemplate,
+  listPromptTemplates,
+  renderTemplate,
+  updatePromptTemplate,
+  validatePromptTemplate,
+} from "./prompts/index.js";
+import {
+  correctiveInstruction,
+  createGuardrailMonitor,
+  guardrailInstruction,
+  guardrailViolations,
+  recordViolation,
+  VIOLATION_TYPES,
+} from "./guardrails/index.js";
+import { createRedactor, redactDocuments } from "./pii/index.js";
+import {
+  listenRoom,
+  validateWhisper,
+  whisperInstruction,
+} from "./supervisors/index.js";
+import {
+  createHandoffRules,
+  HANDOFF_STATUSES,
+  handoffDeclaration,
+  handoffInstruction,
+  handoffNotice,
+  handoffs,
+  recordHandoff,
+  summarizeForOperator,
+} from "./handoff/index.js";
+import {
+  createCallRecorder,
+  getRecordingPath,
+  RECORDING_TRACKS,
+  recordings,
+} from "./recordings/recorder.js";
+import { attachMediaStreamServer } from "./telephony/media-stream.js";
+import { createRateLimiter } from "./limits/rate-limit.js";
+import { createCallCapacity } from "./limits/call-capacity.js";
+import {
+  authenticateSocket,
+  authenticateToken,
+  canAccess,
+  checkApiKeys,
+  hasRole,
+  ownerFilter,
+  requireAdmin,
+  requireAuth,
+  requireSocketRole,
+  restrictRoleRoutes,
+} from "./auth/index.js";
+import {
+  createUsageMeter,
+  getRateTable,
+  loadRateTable,
+  summarizeUsage,
+  toCsv,
+  USAGE_GROUPS,
+  usageRecords,
+} from "./usage/index.js";
+import {
+  addTokens,
+  admitCall,
+  countActiveCalls,
+  currentPeriod,
+  getMonthlyTokens,
+  getWorkspace,
+  isOverTokenBudget,
+  publicWorkspace,
+  saveWorkspace,
+  validateWorkspaceSettings,
+  workspaces,
+} from "./workspaces/index.js";
+import {
+  agents,
+  createAgent,
+  deleteAgent,
+  getAgentVersion,
+  listAgentVersions,
+  pickAgentConfig,
+  publishAgentVersion,
+  resolveAgentConfig,
+  rollbackAgent,
+  updateAgentDraft,
+  validateAgentConfig,
+  validateDocuments,
+} from "./agents/index.js";
+import {
+  INPUT_ENCODINGS,
+  OUTPUT_ENCODINGS,
+  createInputDecoder,
+  createOutputEncoder,
+  normalizeInputFormat,
+  normalizeOutputFormat,
+} from "./audio/codecs.js";
+import { resamplePcm16, sampleRateFromMimeType } from "./audio/pcm.js";
+import multer from "multer";
+import { randomUUID } from "crypto";
 // REMOVED: import mic from "mic";
 // REMOVED: import Speaker from "speaker";
 import dotenv from "dotenv";
@@ -804,202 +946,1470 @@ import { Server } from "socket.io";
 
 dotenv.config();
 
+// CORS_ORIGINS is the comma separated list of origins browsers may call the
+// API from. Without it only AUTH_DISABLED local development accepts every
+// origin; otherwise cross-origin requests are refused.
+const corsOrigin = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+  : process.env.AUTH_DISABLED === "true";
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: corsOrigin,
     methods: ["GET", "POST"],
   },
 });
 
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 app.use(express.json({ limit: "50mb" }));
 
+// Rate limits count requests per client IP before authentication and per
+// account after it; the LLM backed route and call starts have tighter limits
+const envNumber = (name, fallback) =>
+  process.env[name] ? Number(process.env[name]) : fallback;
+const RATE_LIMIT_WINDOW_MS = envNumber("RATE_LIMIT_WINDOW_MS", 60000);
+const apiLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envNumber("API_RATE_LIMIT", 120),
+});
+const llmLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envNumber("LLM_RATE_LIMIT", 10),
+});
+const callStartLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envNumber("CALL_START_RATE_LIMIT", 30),
+});
+
+// Live sessions beyond these caps wait in a queue for a free line
+const callCapacity = createCallCapacity({
+  maxCalls: envNumber("MAX_CONCURRENT_CALLS", null),
+  maxCallsPerAgent: envNumber("MAX_CONCURRENT_CALLS_PER_AGENT", null),
+  maxQueue: envNumber("CALL_QUEUE_MAX", 50),
+  queueTimeoutMs: envNumber("CALL_QUEUE_TIMEOUT_MS", 60000),
+});
+
+// Every API route needs an API key or JWT; see auth/index.js. Supervisor and
+// operator accounts only reach the routes their work needs.
+app.use(
+  "/api",
+  apiLimiter.middleware((req) => `ip:${req.ip}`),
+  requireAuth,
+  restrictRoleRoutes,
+  apiLimiter.middleware((req) => `account:${req.account.id}`)
+);
+io.use(authenticateSocket);
+io.use(requireSocketRole("member"));
+
+// Supervisors connect to this namespace to follow their workspace's calls,
+// listen in on them and whisper guidance to the agent; see
+// supervisors/index.js. It takes a supervisor or admin account.
+const supervisors = io.of("/supervisors");
+supervisors.use(authenticateSocket);
+supervisors.use(requireSocketRole("supervisor"));
+supervisors.on("connection", (socket) => {
+  const workspaceId = socket.data.account.id;
+  socket.join(workspaceId);
+  console.log("👀 Supervisor connected:", workspaceId);
+
+  const findCall = (voiceSessionId) => {
+    const call = listActiveCalls(workspaceId).find(
+      (voiceSession) => voiceSession.voiceSessionId === voiceSessionId
+    );
+    if (!call) {
+      socket.emit("supervisor-error", {
+        voiceSessionId,
+        message: "Call not found",
+      });
+    }
+    return call;
+  };
+
+  socket.on("list-sessions", () => {
+    socket.emit("active-sessions", {
+      sessions: listActiveCalls(workspaceId).map((call) => call.describe()),
+    });
+  });
+
+  socket.on("listen", ({ voiceSessionId } = {}) => {
+    const call = findCall(voiceSessionId);
+    if (!call) return;
+    socket.join(listenRoom(voiceSessionId));
+    socket.emit("listening", call.describe());
+  });
+
+  socket.on("stop-listening", ({ voiceSessionId } = {}) => {
+    socket.leave(listenRoom(voiceSessionId));
+  });
+
+  socket.on("whisper", ({ voiceSessionId, text } = {}) => {
+    const errors = validateWhisper(text);
+    if (errors.length > 0) {
+      socket.emit("supervisor-error", {
+        voiceSessionId,
+        message: errors.join("; "),
+      });
+      return;
+    }
+    const call = findCall(voiceSessionId);
+    if (!call) return;
+    try {
+      call.whisper(text);
+    } catch (error) {
+      socket.emit("supervisor-error", {
+        voiceSessionId,
+        message: error.message,
+      });
+    }
+  });
+});
+
+// Operators connect to this namespace to take over calls the agent transfers
+// to a human. Waiting transfers are offered to the whole workspace and go to
+// the first operator who accepts; see handoff/index.js. It takes an operator
+// or admin account.
+const operators = io.of("/operators");
+operators.use(authenticateSocket);
+operators.use(requireSocketRole("operator"));
+const waitingHandoffs = new Map();
+operators.on("connection", (socket) => {
+  const workspaceId = socket.data.account.id;
+  socket.join(workspaceId);
+  console.log("🎧 Operator connected:", workspaceId);
+
+  // Transfers requested before this operator came online
+  socket.emit("handoffs-waiting", {
+    handoffs: [...waitingHandoffs.values()]
+      .filter((entry) => entry.workspaceId === workspaceId)
+      .map((entry) => entry.handoff),
+  });
+
+  socket.on("accept-handoff", ({ handoffId, operatorName } = {}) => {
+    const entry = waitingHandoffs.get(handoffId);
+    if (!entry || entry.workspaceId !== workspaceId) {
+      socket.emit("handoff-error", {
+        handoffId,
+        message: "This call is no longer waiting for an operator",
+      });
+      return;
+    }
+    waitingHandoffs.delete(handoffId);
+    entry.connect(
+      socket,
+      typeof operatorName === "string" ? operatorName.slice(0, 100) : null
+    );
+  });
+});
+
 // --- Configuration ---
+const MAX_UPLOAD_FILE_SIZE = 20 * 1024 * 1024;
+const MAX_UPLOAD_FILES = 20;
+// Document sets larger than this are searched per question instead of being
+// placed in the system instruction
+const KNOWLEDGE_INLINE_LIMIT = Number(
+  process.env.KNOWLEDGE_INLINE_LIMIT || 12000
+);
 const MIC_SAMPLE_RATE = 16000;
 const MIC_CHANNELS = 1;
 const MIC_BIT_WIDTH = 16;
 const SPEAKER_SAMPLE_RATE = 24000;
 const SPEAKER_CHANNELS = 1;
 const SPEAKER_BIT_WIDTH = 16;
+// Dropped live connections are resumed this many times before giving up,
+// buffering up to this much caller audio while the new connection opens
+const LIVE_RECONNECT_ATTEMPTS = Number(
+  process.env.LIVE_RECONNECT_ATTEMPTS || 3
+);
+const LIVE_RECONNECT_DELAY_MS = 1000;
+const RECONNECT_AUDIO_BUFFER_BYTES = MIC_SAMPLE_RATE * 2 * 15;
+// Corrective instructions sent per call before violations are only reported
+const GUARDRAIL_MAX_CORRECTIONS = 3;
+// How long a transfer waits for an operator unless the agent sets timeoutMs
+const HANDOFF_TIMEOUT_MS = envNumber("HANDOFF_TIMEOUT_MS", 60000);
+
+// Agent sessions (agent type, documents, provider, owner) persist through the
+// storage subsystem so configured agents survive restarts
+const agentSessions = getRepository("sessions");
+
+// Create-or-update an agent session record
+function saveAgentSession(sessionId, changes, ownerId) {
+  return agentSessions.upsert(sessionId, changes, {
+    agentType: "",
+    documents: [],
+    ownerId: ownerId ?? null,
+  });
+}
+
+// Calls run either a versioned agent (agentId plus optional version) or a
+// legacy agent session keyed by sessionId, owned by the calling account
+async function loadCallConfig({ sessionId, agentId, version }, account) {
+  if (agentId) {
+    const agent = await agents.get(agentId);
+    if (!canAccess(account, agent)) throw new Error("Agent not found");
+    return resolveAgentConfig(agentId, version);
+  }
+
+  const session = await agentSessions.get(sessionId);
+  if (!canAccess(account, session)) throw new Error("Session not found");
+  return session;
+}
+
+// Session settings may only be changed by the account that created the
+// session; unknown ids are created for the caller
+async function checkSessionOwner(req, res, next) {
+  try {
+    const session = req.body?.sessionId
+      ? await agentSessions.get(req.body.sessionId)
+      : null;
+    if (session && !canAccess(req.account, session)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Session not found" });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
 
-// Global storage (use database in production)
-let agentSessions = new Map();
+function requireSessionId(req, res) {
+  const sessionId = req.body?.sessionId;
+  if (!sessionId || typeof sessionId !== "string") {
+    res.status(400).json({ success: false, error: "sessionId is required" });
+    return null;
+  }
+  return sessionId;
+}
 
-// Universal System Instruction Generator
-function generateSystemInstruction(sessionData) {
-  const documentContent = sessionData.documents
-    .map(
-      (doc) => `
+// Renders the agent's prompt template (see prompts/index.js), then adds the
+// language and style, guardrail and transfer sections and the agent's extra
+// instructions
+function generateSystemInstruction(
+  sessionData,
+  { template, useRetrieval = false, caller } = {}
+) {
+  const documentContent = useRetrieval
+    ? `${sessionData.documents.map((doc) => `- ${doc.name}`).join("\n")}
+
+These documents are too large to include here. Use the ${KNOWLEDGE_SEARCH_TOOL_NAME} tool to look up the relevant passages before answering any question about the organization, and search again with different keywords if the first results do not answer it.`
+    : sessionData.documents
+        .map(
+          (doc) => `
 === DOCUMENT: ${doc.name} ===
 ${doc.content}
 ============================
 `
-    )
-    .join("\n");
-
-  return `# VOICE AGENT ASSISTANT
-
-## ROLE & IDENTITY
-You are a professional ${sessionData.agentType} voice assistant. You represent this organization with expertise, professionalism, and helpfulness. Your primary goal is to assist callers efficiently while maintaining a warm, professional demeanor.
-
-## KNOWLEDGE BASE
-You have access to comprehensive company information through ${sessionData.documents.length} uploaded documents. Always reference specific information from these documents when answering questions.
-
-## DOCUMENT LIBRARY:
-${documentContent}
-
-## CONVERSATION GUIDELINES
-
-### Communication Style:
-- **Professional & Conversational**: Maintain business professionalism while being approachable and natural
-- **Concise & Complete**: Provide thorough answers without unnecessary verbosity  
-- **Reference-Based**: Always cite specific information from the documents when applicable
-- **Proactive**: Anticipate needs and offer relevant additional assistance
-
-### Response Framework:
-1. **Acknowledge** the request clearly
-2. **Reference specific information** from the uploaded documents 
-3. **Provide complete, actionable answers**
-4. **Offer additional relevant assistance**
-
-### When Referencing Documents:
-- Say "According to our [document name/policy/directory]..."
-- Quote specific information like names, numbers, procedures
-- Reference exact details like phone extensions, hours, policies
-- Cross-reference multiple documents when relevant
-
-### For Information You Don't Have:
-- "I don't have that specific information in my current knowledge base"
-- "Let me connect you with [relevant person/department] who can help with that"
-- "I'd be happy to take your contact information so someone can follow up"
-
-### Voice-Optimized Responses:
-- Use natural speech patterns and pausing
-- Spell out important information when needed
-- Confirm understanding of complex details
-- Ask clarifying questions when requests are unclear
-
-## QUALITY STANDARDS
-- **Accuracy First**: Only provide information you can verify from the documents
-- **Source Attribution**: Reference specific documents or sections when providing information  
-- **Professional Boundaries**: Know when to escalate or transfer calls
-- **Follow-up Excellence**: Always ask if there's anything else you can help with
-
-Remember: You are the voice of this organization. Every interaction should leave callers feeling valued, informed, and satisfied with the service they received.`;
+        )
+        .join("\n");
+
+  const instruction = renderTemplate(template, {
+    ...sessionData.prompt?.variables,
+    agentType: sessionData.agentType,
+    documents: documentContent,
+    documentCount: sessionData.documents.length,
+    callerInfo: formatCallerInfo(caller),
+  });
+
+  return [
+    instruction,
+    speechInstruction(sessionData),
+    guardrailInstruction(sessionData.guardrails),
+    handoffInstruction(sessionData.handoff),
+    sessionData.prompt?.instructions &&
+      `## ADDITIONAL INSTRUCTIONS\n${sessionData.prompt.instructions}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// Agents may pick their own provider; otherwise LIVE_PROVIDER decides.
+// Workspaces with their own provider key are billed on it. Failures are
+// logged rather than returned, since they can quote server configuration.
+function createProvider(sessionData, workspace) {
+  try {
+    return getLiveProvider(sessionData.provider, {
+      ...pickProviderOptions(sessionData.providerOptions),
+      ...(workspace.providerApiKey && { apiKey: workspace.providerApiKey }),
+    });
+  } catch (error) {
+    console.error("❌ Failed to create live provider:", error);
+    throw new Error("The live provider could not be started");
+  }
+}
+
+// Built-in templates are open to everyone, stored ones only where allowed
+async function loadPromptTemplate(templateId, isAllowed) {
+  const template = await getPromptTemplate(templateId || undefined);
+  if (!template || !(template.builtin || isAllowed(template))) {
+    throw new Error(`Prompt template not found: ${templateId}`);
+  }
+  return template;
+}
+
+// Everything the model is told up front for one call. Small document sets
+// go straight into the instruction; larger ones are indexed and retrieved
+// through the knowledge search tool.
+async function prepareInstruction(sessionData, { caller } = {}) {
+  const template = await loadPromptTemplate(
+    sessionData.prompt?.templateId,
+    (record) => record.ownerId === sessionData.ownerId
+  );
+  const knowledgeBase = createKnowledgeBase(sessionData.documents);
+  const useRetrieval = knowledgeBase.totalCharacters > KNOWLEDGE_INLINE_LIMIT;
+  const systemInstruction = generateSystemInstruction(sessionData, {
+    template,
+    useRetrieval,
+    caller,
+  });
+  return { template, knowledgeBase, useRetrieval, systemInstruction };
 }
 
 // API Routes
 
 // 1. Get document recommendations
-app.post("/api/agent-recommendations", async (req, res) => {
+app.post(
+  "/api/agent-recommendations",
+  llmLimiter.middleware((req) => req.account.id),
+  async (req, res) => {
+    try {
+      const { agentType } = req.body;
+      if (!agentType || typeof agentType !== "string") {
+        return res
+          .status(400)
+          .json({ success: false, error: "agentType is required" });
+      }
+
+      // Structured output: agentCategory, summary (free text), documents, tasks
+      const workspace = await getWorkspace(req.account.id);
+      const { recommendations, attempts } = await generateRecommendations(
+        agentType,
+        { apiKey: workspace.providerApiKey || undefined }
+      );
+
+      res.json({
+        success: true,
+        recommendations,
+        attempts,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 2. Store documents
+app.post("/api/documents", checkSessionOwner, async (req, res) => {
+  try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const errors = validateDocuments(req.body.documents);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    // Redacted like uploads, with the session's own policy
+    const existing = await agentSessions.get(sessionId);
+    const documents = redactDocuments(req.body.documents, existing?.pii);
+    await saveAgentSession(sessionId, { documents }, req.account.id);
+
+    res.json({
+      success: true,
+      message: "Documents stored successfully",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 2b. Upload document files (PDF, DOCX, HTML, Markdown, CSV, plain text)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_FILE_SIZE, files: MAX_UPLOAD_FILES },
+});
+
+app.post(
+  "/api/documents/upload",
+  (req, res, next) => {
+    upload.array("files")(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      next();
+    });
+  },
+  checkSessionOwner,
+  async (req, res) => {
+    try {
+      const sessionId = requireSessionId(req, res);
+      if (!sessionId) return;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: "No files uploaded" });
+      }
+
+      const uploaded = [];
+      const errors = [];
+
+      // Extract each file independently so one bad file does not sink the batch
+      for (const file of files) {
+        try {
+          const { format, text } = await extractText({
+            buffer: file.buffer,
+            filename: file.originalname,
+            mimeType: file.mimetype,
+          });
+          uploaded.push({
+            name: file.originalname,
+            content: text,
+            originalFilename: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            format,
+            uploadedAt: new Date().toISOString(),
+          });
+        } catch (error) {
+          console.error(`❌ Failed to extract ${file.originalname}:`, error);
+          errors.push({ name: file.originalname, error: error.message });
+        }
+      }
+
+      if (uploaded.length > 0) {
+        const existing = await agentSessions.get(sessionId);
+        const replace = req.body.replace === "true";
+        const documents = [
+          ...(replace ? [] : existing?.documents || []),
+          ...redactDocuments(uploaded, existing?.pii),
+        ];
+        await saveAgentSession(sessionId, { documents }, req.account.id);
+      }
+
+      res.status(uploaded.length > 0 ? 200 : 422).json({
+        success: uploaded.length > 0,
+        documents: uploaded.map(({ content, ...metadata }) => ({
+          ...metadata,
+          characters: content.length,
+        })),
+        errors,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 3. Update agent type
+app.post("/api/agent-type", checkSessionOwner, async (req, res) => {
   try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
     const { agentType } = req.body;
 
-    const model = new ChatGoogleGenerativeAI({
-      model: "gemini-2.0-flash",
-      apiKey: process.env.GEMINI_API_KEY,
-      maxOutputTokens: 2048,
+    await saveAgentSession(sessionId, { agentType }, req.account.id);
+
+    res.json({
+      success: true,
+      message: "Agent type updated",
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const messages = [
-      new HumanMessage({
-        content: `You are an AI assistant helping to configure a voice agent. The user wants to create: "${agentType}"
-        
-        Based on this request, analyze what this voice agent needs to know and immediately provide a specific list of documents to upload.
-        
-        Respond in this exact format:
-        
-        "To create an effective [agent type] voice agent, please upload the following documents:
-        
-        📄 **Documents to Upload:**
-        1. [Specific document name - why it's needed]
-        2. [Specific document name - why it's needed]
-        3. [Specific document name - why it's needed]
-        4. [Specific document name - why it's needed]
-        5. [Specific document name - why it's needed]
-        
-        Once you upload these documents, I'll create a voice agent that can handle [specific tasks] professionally and accurately."
-        
-        Be very specific about document types and provide 4-6 specific document recommendations.`,
-      }),
-    ];
+// 4. Select the live model provider for an agent
+app.post("/api/agent-provider", checkSessionOwner, async (req, res) => {
+  try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const { provider, providerOptions, model } = req.body;
+
+    if (provider && !listLiveProviders().includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown live provider: ${provider}`,
+      });
+    }
+    const errors =
+      providerOptions === undefined || providerOptions === null
+        ? []
+        : validateProviderOptions(providerOptions);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
 
-    const response = await model.invoke(messages);
+    await saveAgentSession(
+      sessionId,
+      { provider, providerOptions, model },
+      req.account.id
+    );
 
     res.json({
       success: true,
-      recommendations: response.content,
+      message: "Live provider updated",
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 2. Store documents
-app.post("/api/documents", (req, res) => {
+// 5. Configure the tools an agent can call during live sessions
+app.post("/api/agent-tools", checkSessionOwner, async (req, res) => {
   try {
-    const { sessionId, documents } = req.body;
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const { tools = [] } = req.body;
 
-    if (!agentSessions.has(sessionId)) {
-      agentSessions.set(sessionId, {
-        agentType: "",
-        documents: [],
-      });
+    const errors = validateToolDefinitions(tools, {
+      builtinNames: listBuiltinHandlers(),
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    await saveAgentSession(sessionId, { tools }, req.account.id);
+
+    res.json({
+      success: true,
+      message: "Agent tools updated",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 6. Configure the MCP servers whose tools an agent can use
+app.post("/api/agent-mcp-servers", checkSessionOwner, async (req, res) => {
+  try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const { mcpServers = [] } = req.body;
+
+    const errors = validateMcpServers(mcpServers);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    await saveAgentSession(sessionId, { mcpServers }, req.account.id);
+
+    res.json({
+      success: true,
+      message: "Agent MCP servers updated",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 7. Turn call recording on or off for an agent
+app.post("/api/agent-recording", checkSessionOwner, async (req, res) => {
+  try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const { enabled } = req.body;
+
+    await saveAgentSession(
+      sessionId,
+      { recording: { enabled: Boolean(enabled) } },
+      req.account.id
+    );
+
+    res.json({
+      success: true,
+      message: `Call recording ${enabled ? "enabled" : "disabled"}`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 8. Choose between barge-in (caller may interrupt) and half-duplex
+app.post("/api/agent-barge-in", checkSessionOwner, async (req, res) => {
+  try {
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+    const { enabled } = req.body;
+
+    await saveAgentSession(
+      sessionId,
+      { bargeIn: Boolean(enabled) },
+      req.account.id
+    );
+
+    res.json({
+      success: true,
+      message: `Barge-in ${enabled ? "enabled" : "disabled"}`,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 9. Get session data
+app.get("/api/session/:sessionId", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await agentSessions.get(sessionId);
+
+    if (!canAccess(req.account, session)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Session not found" });
+    }
+
+    res.json({
+      success: true,
+      session,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 10. List the voice sessions (calls) held with an agent
+app.get("/api/voice-sessions", async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const calls = await listConversations({
+      sessionId,
+      ownerId: ownerFilter(req.account),
+    });
+
+    res.json({
+      success: true,
+      voiceSessions: calls.sort((a, b) =>
+        b.startedAt.localeCompare(a.startedAt)
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 11. Get the transcript of one voice session
+app.get("/api/voice-sessions/:voiceSessionId/transcript", async (req, res) => {
+  try {
+    const transcript = await getTranscript(req.params.voiceSessionId);
+
+    if (!canAccess(req.account, transcript)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Voice session not found" });
+    }
+
+    res.json({
+      success: true,
+      transcript,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 12. List call recordings, optionally for one agent session
+app.get("/api/recordings", async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const items = await recordings.list({
+      sessionId,
+      ownerId: ownerFilter(req.account),
+    });
+
+    res.json({
+      success: true,
+      recordings: items.sort((a, b) => b.startedAt.localeCompare(a.startedAt)),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 13. Get the recording tracks of one voice session
+app.get("/api/voice-sessions/:voiceSessionId/recordings", async (req, res) => {
+  try {
+    const { voiceSessionId } = req.params;
+    const recording = await recordings.get(voiceSessionId);
+
+    if (!canAccess(req.account, recording)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Recording not found" });
     }
 
-    const session = agentSessions.get(sessionId);
-    session.documents = documents;
+    res.json({
+      success: true,
+      recording: {
+        ...recording,
+        tracks: recording.tracks.map((track) => ({
+          ...track,
+          url: `/api/voice-sessions/${voiceSessionId}/recordings/${track.track}`,
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 14. Download one recording track as WAV
+app.get(
+  "/api/voice-sessions/:voiceSessionId/recordings/:track",
+  async (req, res) => {
+    try {
+      const { voiceSessionId, track } = req.params;
+      const recording = await recordings.get(voiceSessionId);
+
+      if (!RECORDING_TRACKS.includes(track)) {
+        return res
+          .status(400)
+          .json({ success: false, error: `Unknown track: ${track}` });
+      }
+      if (
+        !canAccess(req.account, recording) ||
+        recording.status !== "complete"
+      ) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Recording not found" });
+      }
+
+      res.download(
+        getRecordingPath(voiceSessionId, track),
+        `${voiceSessionId}-${track}.wav`,
+        (error) => {
+          if (error && !res.headersSent) {
+            res
+              .status(404)
+              .json({ success: false, error: "Recording file missing" });
+          }
+        }
+      );
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 15. List the audio formats clients can negotiate at start-voice-session
+app.get("/api/audio-formats", (req, res) => {
+  res.json({
+    success: true,
+    input: INPUT_ENCODINGS,
+    output: OUTPUT_ENCODINGS,
+    defaults: {
+      input: normalizeInputFormat(),
+      output: normalizeOutputFormat(),
+    },
+  });
+});
+
+// Problems with the prompt template an agent config selects. Drafts may
+// still lack variables; published versions must fill every required one.
+async function checkPromptSelection(
+  config,
+  account,
+  { complete = false } = {}
+) {
+  let template;
+  try {
+    template = await loadPromptTemplate(config.prompt?.templateId, (record) =>
+      canAccess(account, record)
+    );
+  } catch (error) {
+    return [error.message];
+  }
+  if (!complete) return [];
+
+  const missing = findMissingVariables(template, config.prompt?.variables);
+  return missing.length > 0
+    ? [`Missing template variables: ${missing.join(", ")}`]
+    : [];
+}
+
+// 16. Create an agent; the body holds its name and draft configuration
+app.post("/api/agents", async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, error: "name is required" });
+    }
+
+    const config = pickAgentConfig(req.body);
+    const errors = validateAgentConfig(config);
+    if (config.prompt && errors.length === 0) {
+      errors.push(...(await checkPromptSelection(config, req.account)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    if (config.documents) {
+      config.documents = redactDocuments(config.documents, config.pii);
+    }
+    const agent = await createAgent({
+      name,
+      ownerId: req.account.id,
+      config,
+    });
+
+    res.status(201).json({
+      success: true,
+      agent,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 17. List the caller's agents
+app.get("/api/agents", async (req, res) => {
+  try {
+    const list = await agents.list({ ownerId: ownerFilter(req.account) });
+
+    res.json({
+      success: true,
+      agents: list
+        .map(({ draft, ...agent }) => ({
+          ...agent,
+          agentType: draft.agentType,
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Loads req.params.agentId into req.agent or answers 404
+async function loadAgent(req, res, next) {
+  try {
+    const agent = await agents.get(req.params.agentId);
+    if (!canAccess(req.account, agent)) {
+      return res.status(404).json({ success: false, error: "Agent not found" });
+    }
+    req.agent = agent;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// 18. Get an agent with its draft
+app.get("/api/agents/:agentId", loadAgent, (req, res) => {
+  res.json({
+    success: true,
+    agent: req.agent,
+  });
+});
+
+// 19. Edit an agent's name or draft; published versions never change
+app.patch("/api/agents/:agentId", loadAgent, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (name !== undefined && (!name || typeof name !== "string")) {
+      return res
+        .status(400)
+        .json({ success: false, error: "name must be a non-empty string" });
+    }
+
+    const config = pickAgentConfig(req.body);
+    const errors = validateAgentConfig(config);
+    if (config.prompt && errors.length === 0) {
+      errors.push(...(await checkPromptSelection(config, req.account)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    if (config.documents) {
+      config.documents = redactDocuments(
+        config.documents,
+        config.pii ?? req.agent.draft.pii
+      );
+    }
+    const agent = await updateAgentDraft(req.agent, { name, config });
+
+    res.json({
+      success: true,
+      agent,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 20. Delete an agent and all of its versions
+app.delete("/api/agents/:agentId", loadAgent, async (req, res) => {
+  try {
+    await deleteAgent(req.agent.id);
+
+    res.json({
+      success: true,
+      message: "Agent deleted",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 21. Publish the current draft as a new immutable version
+app.post("/api/agents/:agentId/versions", loadAgent, async (req, res) => {
+  try {
+    const errors = await checkPromptSelection(req.agent.draft, req.account, {
+      complete: true,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const version = await publishAgentVersion(req.agent, {
+      note: req.body?.note,
+    });
+
+    res.status(201).json({
+      success: true,
+      version,
+    });
+  } catch (error) {
+    if (/not found/i.test(error.message)) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    // Raced another publish for the same version number
+    if (/already exists/.test(error.message)) {
+      return res.status(409).json({
+        success: false,
+        error: "Another version was published at the same time; try again",
+      });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 22. List an agent's published versions, newest first
+app.get("/api/agents/:agentId/versions", loadAgent, async (req, res) => {
+  try {
+    const versions = await listAgentVersions(req.agent.id);
+
+    res.json({
+      success: true,
+      activeVersion: req.agent.activeVersion,
+      versions: versions.map(({ config, ...version }) => version),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 23. Get one published version with its full configuration
+app.get(
+  "/api/agents/:agentId/versions/:version",
+  loadAgent,
+  async (req, res) => {
+    try {
+      const version = await getAgentVersion(
+        req.agent.id,
+        Number(req.params.version)
+      );
+      if (!version) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Agent version not found" });
+      }
+
+      res.json({
+        success: true,
+        version,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 24. Roll back: callers get an earlier version, which also becomes the draft
+app.post("/api/agents/:agentId/rollback", loadAgent, async (req, res) => {
+  try {
+    const agent = await rollbackAgent(req.agent, Number(req.body?.version));
+    if (!agent) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Agent version not found" });
+    }
+
+    res.json({
+      success: true,
+      agent,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Workspace view with this month's token use and the calls in progress
+async function describeWorkspace(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  return {
+    ...publicWorkspace(workspace),
+    usage: {
+      period: currentPeriod(),
+      tokens: await getMonthlyTokens(workspaceId),
+      activeCalls: countActiveCalls(workspaceId),
+    },
+  };
+}
+
+// 25. Get the caller's workspace, its limits and current usage
+app.get("/api/workspace", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      workspace: await describeWorkspace(req.account.id),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 26. Rename the caller's workspace or set its own provider API key. Limits
+// are managed by admins through /api/workspaces.
+app.patch("/api/workspace", async (req, res) => {
+  try {
+    const { name, providerApiKey } = req.body;
+    const changes = { name, providerApiKey };
+    const errors = validateWorkspaceSettings(changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    await saveWorkspace(
+      req.account.id,
+      Object.fromEntries(
+        Object.entries(changes).filter(([, value]) => value !== undefined)
+      )
+    );
+
+    res.json({
+      success: true,
+      workspace: await describeWorkspace(req.account.id),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 27. List configured workspaces (admins only)
+app.get("/api/workspaces", requireAdmin, async (req, res) => {
+  try {
+    const list = await workspaces.list();
+
+    res.json({
+      success: true,
+      workspaces: await Promise.all(
+        list.map((workspace) => describeWorkspace(workspace.id))
+      ),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 28. Create or update any workspace, including its limits (admins only)
+app.put("/api/workspaces/:workspaceId", requireAdmin, async (req, res) => {
+  try {
+    const changes = Object.fromEntries(
+      ["name", "providerApiKey", "maxConcurrentCalls", "monthlyTokenBudget"]
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]])
+    );
+    const errors = validateWorkspaceSettings(changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    await saveWorkspace(req.params.workspaceId, changes);
+
+    res.json({
+      success: true,
+      workspace: await describeWorkspace(req.params.workspaceId),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Date-only bounds cover the whole day, so from=to=2026-10-01 is one day
+function parseDateBound(value, { end = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+// 29. Usage and cost report. Filters: from, to, agentId, sessionId; groupBy
+// voiceSession (default), agent, workspace or day; format=csv to download.
+// Admins may pass workspaceId, or "all" for every workspace.
+app.get("/api/usage", async (req, res) => {
+  try {
+    const { agentId, sessionId, groupBy = "voiceSession", format } = req.query;
+    const from = parseDateBound(req.query.from);
+    const to = parseDateBound(req.query.to, { end: true });
+
+    if (from === undefined || to === undefined) {
+      return res
+        .status(400)
+        .json({ success: false, error: "from and to must be dates" });
+    }
+    if (!USAGE_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of ${USAGE_GROUPS.join(", ")}`,
+      });
+    }
+
+    let ownerId = ownerFilter(req.account);
+    if (req.account.role === "admin" && req.query.workspaceId) {
+      ownerId =
+        req.query.workspaceId === "all" ? undefined : req.query.workspaceId;
+    }
+
+    const records = (
+      await usageRecords.list({ ownerId, agentId, sessionId })
+    ).filter(
+      (record) =>
+        (!from || record.startedAt >= from) && (!to || record.startedAt < to)
+    );
+    const { rows, totals } = summarizeUsage(
+      records.sort((a, b) => a.startedAt.localeCompare(b.startedAt)),
+      { groupBy }
+    );
+
+    if (format === "csv") {
+      res.type("text/csv");
+      res.attachment(`usage-${groupBy}.csv`);
+      return res.send(toCsv(rows));
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      groupBy,
+      totals,
+      rows,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 30. The rate table usage is priced with
+app.get("/api/usage/rates", (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rates: getRateTable(),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 31. Voices, languages and response modalities agents can choose from
+app.get("/api/voices", (req, res) => {
+  res.json({
+    success: true,
+    voices: VOICES,
+    languages: LANGUAGES,
+    responseModalities: Object.keys(RESPONSE_MODALITIES),
+    defaults: {
+      voice: DEFAULT_VOICE,
+      responseModality: DEFAULT_RESPONSE_MODALITY,
+    },
+  });
+});
+
+// 32. List prompt templates: the built-in ones plus the workspace's own
+app.get("/api/prompt-templates", async (req, res) => {
+  try {
+    const templates = await listPromptTemplates(ownerFilter(req.account));
+
+    res.json({
+      success: true,
+      templates,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 33. Create a prompt template: { name, description, body, variables }
+app.post("/api/prompt-templates", async (req, res) => {
+  try {
+    const { name, description, body, variables } = req.body;
+    const errors = validatePromptTemplate({
+      name,
+      description,
+      body,
+      variables,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join("; ") });
+    }
+
+    const template = await createPromptTemplate({
+      ownerId: req.account.id,
+      name,
+      description,
+      body,
+      variables,
+    });
+
+    res.status(201).json({
+      success: true,
+      template,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 34. Render a template without starting a call, with its token count. The
+// template comes from templateId, an unsaved { body, variables } template,
+// or the agent's own selection; agentId/version (or sessionId) supplies the
+// agent's documents and variables, overridden by `variables` and `caller`.
+app.post(
+  "/api/prompt-templates/preview",
+  llmLimiter.middleware((req) => req.account.id),
+  async (req, res) => {
+    try {
+      const { agentId, version, sessionId, templateId, variables, caller } =
+        req.body;
+
+      const sessionData =
+        agentId || sessionId
+          ? await loadCallConfig({ agentId, version, sessionId }, req.account)
+          : { agentType: req.body.agentType || "", documents: [] };
+
+      let template;
+      if (req.body.template) {
+        const errors = validatePromptTemplate({
+          name: "preview",
+          ...req.body.template,
+        });
+        if (errors.length > 0) {
+          return res
+            .status(400)
+            .json({ success: false, error: errors.join("; ") });
+        }
+        template = { id: null, ...req.body.template };
+      } else {
+        template = await loadPromptTemplate(
+          templateId || sessionData.prompt?.templateId,
+          (record) => canAccess(req.account, record)
+        );
+      }
+
+      const previewData = {
+        ...sessionData,
+        prompt: {
+          ...sessionData.prompt,
+          variables: { ...sessionData.prompt?.variables, ...variables },
+        },
+      };
+      const missing = findMissingVariables(
+        template,
+        previewData.prompt.variables
+      );
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Missing template variables: ${missing.join(", ")}`,
+          missing,
+        });
+      }
+
+      const knowledgeBase = createKnowledgeBase(previewData.documents);
+      const instruction = generateSystemInstruction(previewData, {
+        template,
+        useRetrieval: knowledgeBase.totalCharacters > KNOWLEDGE_INLINE_LIMIT,
+        caller,
+      });
+
+      // Counted with the agent's provider, on the workspace's key if it has one
+      const workspace = await getWorkspace(req.account.id);
+      const provider = createProvider(sessionData, workspace);
+      const tokens = await countInstructionTokens(instruction, provider);
+
+      res.json({
+        success: true,
+        templateId: template.id,
+        instruction,
+        characters: instruction.length,
+        tokenCount: tokens.tokens,
+        tokenCountMethod: tokens.method,
+      });
+    } catch (error) {
+      if (/not found/i.test(error.message)) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      console.error("❌ Prompt preview failed:", error);
+      res.status(500).json({ success: false, error: "Preview failed" });
+    }
+  }
+);
+
+// Stored templates may only be changed by their own workspace
+async function loadOwnTemplate(req, res, next) {
+  try {
+    const { templateId } = req.params;
+    if (isBuiltinTemplate(templateId)) {
+      return res.status(403).json({
+        success: false,
+        error: "Built-in templates cannot be changed; create a copy instead",
+      });
+    }
+    const template = await getPromptTemplate(templateId);
+    if (!canAccess(req.account, template)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Prompt template not found" });
+    }
+    req.template = template;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// 35. Get one prompt template
+app.get("/api/prompt-templates/:templateId", async (req, res) => {
+  try {
+    const template = await loadPromptTemplate(req.params.templateId, (record) =>
+      canAccess(req.account, record)
+    ).catch(() => null);
+    if (!template) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Prompt template not found" });
+    }
 
     res.json({
       success: true,
-      message: "Documents stored successfully",
+      template,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 3. Update agent type
-app.post("/api/agent-type", (req, res) => {
-  try {
-    const { sessionId, agentType } = req.body;
+// 36. Edit a stored prompt template. Agents pick up the change on their next
+// call, so check it with the preview route first.
+app.patch(
+  "/api/prompt-templates/:templateId",
+  loadOwnTemplate,
+  async (req, res) => {
+    try {
+      const changes = Object.fromEntries(
+        ["name", "description", "body", "variables"]
+          .filter((field) => req.body[field] !== undefined)
+          .map((field) => [field, req.body[field]])
+      );
+      const errors = validatePromptTemplate({ ...req.template, ...changes });
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: errors.join("; ") });
+      }
+
+      const template = await updatePromptTemplate(req.template.id, changes);
+
+      res.json({
+        success: true,
+        template,
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// 37. Delete a stored prompt template
+app.delete(
+  "/api/prompt-templates/:templateId",
+  loadOwnTemplate,
+  async (req, res) => {
+    try {
+      await deletePromptTemplate(req.template.id);
+
+      res.json({
+        success: true,
+        message: "Prompt template deleted",
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
 
-    if (!agentSessions.has(sessionId)) {
-      agentSessions.set(sessionId, {
-        agentType: "",
-        documents: [],
+// 38. List guardrail violations. Filters: voiceSessionId, agentId, type
+app.get("/api/guardrail-violations", async (req, res) => {
+  try {
+    const { voiceSessionId, agentId, type } = req.query;
+    if (type !== undefined && !VIOLATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${VIOLATION_TYPES.join(", ")}`,
       });
     }
 
-    const session = agentSessions.get(sessionId);
-    session.agentType = agentType;
+    const violations = await guardrailViolations.list({
+      voiceSessionId,
+      agentId,
+      type,
+      ownerId: ownerFilter(req.account),
+    });
 
     res.json({
       success: true,
-      message: "Agent type updated",
+      violations: violations.sort((a, b) =>
+        b.createdAt.localeCompare(a.createdAt)
+      ),
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// 4. Get session data
-app.get("/api/session/:sessionId", (req, res) => {
+// 39. List transfers to human operators. Filters: voiceSessionId, agentId,
+// status
+app.get("/api/handoffs", async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const session = agentSessions.get(sessionId);
-
-    if (!session) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Session not found" });
+    const { voiceSessionId, agentId, status } = req.query;
+    if (status !== undefined && !HANDOFF_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${HANDOFF_STATUSES.join(", ")}`,
+      });
     }
 
+    const records = await handoffs.list({
+      voiceSessionId,
+      agentId,
+      status,
+      ownerId: ownerFilter(req.account),
+    });
+
     res.json({
       success: true,
-      session,
+      handoffs: records.sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1009,25 +2419,102 @@ app.get("/api/session/:sessionId", (req, res) => {
 // Voice session management
 let activeVoiceSessions = new Map();
 
+// Calls in progress for one workspace, from browsers and phone lines alike
+function listActiveCalls(workspaceId) {
+  return [...activeVoiceSessions.values()].filter(
+    (voiceSession) => voiceSession.workspaceId === workspaceId
+  );
+}
+
+// Feed one chunk of caller audio, in the format negotiated for the call,
+// into a voice session. Returns false when the session is not accepting
+// audio right now.
+function sendCallerAudio(voiceSession, audioData) {
+  if (!voiceSession) return false;
+
+  // Decode every chunk, even ones we drop: compressed streams are stateful
+  const pcm = voiceSession.audioInput.decode(audioData);
+  if (pcm.length === 0) return true;
+  const data = pcm.toString("base64");
+  voiceSession.recorder?.writeCaller(data);
+  voiceSession.monitorCallerAudio(data);
+
+  // Barge-in agents keep listening while they talk; half-duplex agents
+  // ignore the caller until their turn is over
+  if (
+    !voiceSession.isConnected ||
+    (!voiceSession.bargeIn && voiceSession.isAIResponding)
+  ) {
+    return false;
+  }
+
+  voiceSession.session.sendRealtimeInput({
+    audio: {
+      data,
+      mimeType: `audio/pcm;rate=${MIC_SAMPLE_RATE}`,
+    },
+  });
+  return true;
+}
+
 // WebSocket for voice communication
 io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
 
+  // Aborted when the client leaves while its call is still queued
+  let pendingStart = null;
+
   socket.on("start-voice-session", async (data) => {
     try {
-      const { sessionId } = data;
-      const session = agentSessions.get(sessionId);
-
-      if (!session) {
-        socket.emit("error", { message: "Session not found" });
+      // One call per connection; a second would orphan the first one's
+      // live session and call slots. Calls that already ended don't count.
+      if (pendingStart || activeVoiceSessions.get(socket.id)?.isConnected) {
+        socket.emit("error", {
+          message: "A voice session is already running; stop it first",
+        });
+        return;
+      }
+      if (!callStartLimiter.consume(socket.data.account.id).allowed) {
+        socket.emit("error", { message: "Too many calls, slow down" });
         return;
       }
 
-      // Create voice session
-      const voiceSession = await createVoiceSession(session, socket);
-      activeVoiceSessions.set(socket.id, voiceSession);
+      pendingStart = new AbortController();
+      const { signal } = pendingStart;
+      try {
+        // Either { agentId, version? } or a legacy { sessionId }
+        const session = await loadCallConfig(data, socket.data.account);
+
+        // Clients declare what they send and what they can play; omitted
+        // formats fall back to 16 kHz PCM in and 24 kHz PCM out
+        const inputFormat = normalizeInputFormat(data.inputFormat);
+        const outputFormat = normalizeOutputFormat(data.outputFormat);
+
+        // Create voice session
+        const voiceSession = await createVoiceSession(session, socket, {
+          inputFormat,
+          outputFormat,
+          caller: data.caller,
+          signal,
+        });
 
-      socket.emit("voice-session-started");
+        // The client stopped or left while the call was being set up
+        if (signal.aborted || socket.disconnected) {
+          voiceSession.session.close();
+          return;
+        }
+        activeVoiceSessions.set(socket.id, voiceSession);
+
+        socket.emit("voice-session-started", {
+          voiceSessionId: voiceSession.voiceSessionId,
+          agentId: session.agentId,
+          agentVersion: session.agentVersion,
+          inputFormat,
+          outputFormat,
+        });
+      } finally {
+        pendingStart = null;
+      }
     } catch (error) {
       console.error("Error starting voice session:", error);
       socket.emit("error", { message: error.message });
@@ -1042,33 +2529,24 @@ io.on("connection", (socket) => {
     );
 
     const voiceSession = activeVoiceSessions.get(socket.id);
-    if (
-      voiceSession &&
-      voiceSession.isConnected &&
-      !voiceSession.isAIResponding
-    ) {
-      try {
-        console.log("🎤 Sending audio to Gemini...");
-        voiceSession.session.sendRealtimeInput({
-          audio: {
-            data: audioData,
-            mimeType: `audio/pcm;rate=${MIC_SAMPLE_RATE}`,
-          },
+    try {
+      if (sendCallerAudio(voiceSession, audioData)) {
+        console.log("🎤 Sent audio to Gemini");
+      } else {
+        console.log("⚠️ Voice session not ready:", {
+          hasSession: !!voiceSession,
+          isConnected: voiceSession?.isConnected,
+          isAIResponding: voiceSession?.isAIResponding,
         });
-      } catch (error) {
-        console.error("❌ Error sending audio:", error);
-        socket.emit("error", { message: "Error processing audio" });
       }
-    } else {
-      console.log("⚠️ Voice session not ready:", {
-        hasSession: !!voiceSession,
-        isConnected: voiceSession?.isConnected,
-        isAIResponding: voiceSession?.isAIResponding,
-      });
+    } catch (error) {
+      console.error("❌ Error sending audio:", error);
+      socket.emit("error", { message: "Error processing audio" });
     }
   });
 
   socket.on("stop-voice-session", () => {
+    pendingStart?.abort();
     const voiceSession = activeVoiceSessions.get(socket.id);
     if (voiceSession) {
       try {
@@ -1085,6 +2563,7 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     console.log("Client disconnected:", socket.id);
+    pendingStart?.abort();
     const voiceSession = activeVoiceSessions.get(socket.id);
     if (voiceSession) {
       try {
@@ -1099,38 +2578,763 @@ io.on("connection", (socket) => {
   });
 });
 
-// Create voice session with enhanced system instruction
-async function createVoiceSession(sessionData, socket) {
-  const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+// Telephony media streams (Twilio-style) share the same voice sessions
+attachMediaStreamServer(server, {
+  path: "/media-stream",
+  async startCall({
+    sessionId,
+    agentId,
+    version,
+    token,
+    channel,
+    caller,
+    audioFormat,
+    signal,
+  }) {
+    const account = authenticateToken(token);
+    if (!account) {
+      throw new Error("Unauthorized");
+    }
+    if (!hasRole(account, "member")) {
+      throw new Error("Forbidden");
+    }
+    if (!callStartLimiter.consume(account.id).allowed) {
+      throw new Error("Too many calls, slow down");
+    }
+
+    const session = await loadCallConfig(
+      { sessionId, agentId, version },
+      account
+    );
+
+    const voiceSession = await createVoiceSession(session, channel, {
+      inputFormat: audioFormat,
+      outputFormat: audioFormat,
+      caller,
+      signal,
+    });
+    activeVoiceSessions.set(channel.id, voiceSession);
+    return voiceSession;
+  },
+  sendCallerAudio,
+  endCall(channelId, voiceSession) {
+    try {
+      if (voiceSession.session && voiceSession.isConnected) {
+        voiceSession.session.close();
+      }
+    } catch (error) {
+      console.error("Error cleaning up media stream call:", error);
+    }
+    activeVoiceSessions.delete(channelId);
+  },
+});
+
+// Admits a call under the workspace and line limits, then starts it
+async function createVoiceSession(
+  sessionData,
+  socket,
+  { inputFormat, outputFormat, caller, signal } = {}
+) {
+  // Template problems such as missing variables fail the call up front
+  const instruction = await prepareInstruction(sessionData, { caller });
+
+  // Every call holds one of its workspace's concurrent call slots, then
+  // waits for a free line under the global and per-agent caps
+  const { workspace, release: releaseWorkspaceCall } = await admitCall(
+    sessionData.ownerId || "local"
+  );
+  let releaseLine;
+  try {
+    releaseLine = await callCapacity.acquire(sessionData.id, {
+      agentLimit: sessionData.maxConcurrentCalls,
+      signal,
+      onQueued: (position) => {
+        console.log("⏳ Call queued:", { agentId: sessionData.id, position });
+        socket.emit("voice-session-queued", { position });
+      },
+    });
+  } catch (error) {
+    releaseWorkspaceCall();
+    throw error;
+  }
+  // Released once: when the call ends, or when setting it up fails
+  let released = false;
+  const releaseCall = () => {
+    if (released) return;
+    released = true;
+    releaseLine();
+    releaseWorkspaceCall();
+  };
+
+  try {
+    return await startVoiceSession(sessionData, socket, {
+      ...instruction,
+      workspace,
+      releaseCall,
+      inputFormat,
+      outputFormat,
+    });
+  } catch (error) {
+    releaseCall();
+    throw error;
+  }
+}
+
+// Sets up and connects an admitted call; its finishCall releases the call's
+// slots once the call is over
+async function startVoiceSession(
+  sessionData,
+  socket,
+  {
+    template,
+    knowledgeBase,
+    useRetrieval,
+    systemInstruction,
+    workspace,
+    releaseCall,
+    inputFormat,
+    outputFormat,
+  }
+) {
+  const provider = createProvider(sessionData, workspace);
 
   let isAIResponding = false;
   let isConnected = false;
+  const bargeIn = sessionData.bargeIn !== false;
+  const speaksAudio =
+    (sessionData.responseModality || DEFAULT_RESPONSE_MODALITY) === "audio";
+
+  // The live connection can be replaced mid-call (see reconnect below)
+  let liveSession = null;
+  let connectionCount = 0;
+  let resumptionHandle = null;
+  let reconnecting = false;
+  let closing = false;
+  let bufferedAudio = [];
+  let bufferedBytes = 0;
+
+  // A transfer to a human operator (see requestHandoff below). While an
+  // operator holds the call the caller's audio goes to them instead of the
+  // model; `aiReleased` marks a live session closed for good by the transfer.
+  let handoff = null;
+  let handoffTimer = null;
+  let operator = null;
+  let detachOperator = null;
+  let aiReleased = false;
+
+  // Caller audio is decoded to 16 kHz PCM and agent audio encoded for
+  // playback in whatever formats this client negotiated
+  const audioInput = createInputDecoder(inputFormat);
+  const audioOutput = createOutputEncoder(outputFormat);
+
+  // Every call gets its own id for transcripts and other per-call records
+  const voiceSessionId = randomUUID();
+  const startedAt = new Date().toISOString();
+
+  // Supervisors listening in get the call's audio and transcript as it
+  // happens; nothing is sent while nobody listens
+  const listenerRoom = listenRoom(voiceSessionId);
+  function toListeners(event, data) {
+    if (!supervisors.adapter.rooms.has(listenerRoom)) return;
+    supervisors.to(listenerRoom).emit(event, { voiceSessionId, ...data });
+  }
+  // Personal data is masked in everything stored, logged or sent out
+  const redactor = createRedactor(sessionData.pii);
+  const transcript = createTranscriptRecorder({
+    voiceSessionId,
+    sessionId: sessionData.id,
+    agentVersion: sessionData.agentVersion,
+    ownerId: sessionData.ownerId,
+    socketId: socket.id,
+    redact: redactor.redact,
+    onUpdate: (entry) => {
+      socket.emit("transcript", { voiceSessionId, ...entry });
+      toListeners("transcript", entry);
+      guardrails.check(entry);
+      if (!entry.partial) runningSummary.add(entry);
+      const rule = handoffRules.match(entry);
+      if (rule) requestHandoff({ ...rule, trigger: "rule" });
+    },
+  });
+  const guardrails = createGuardrailMonitor({
+    guardrails: sessionData.guardrails,
+    onViolation: handleGuardrailViolation,
+  });
+  const handoffRules = createHandoffRules(sessionData.handoff);
+  // Lets a dropped call start over on a fresh connection when it cannot be
+  // resumed
+  const runningSummary = createRunningSummary({
+    settings: sessionData.contextWindow,
+    summarize: provider.summarize,
+  });
+  const usage = createUsageMeter({
+    voiceSessionId,
+    workspaceId: workspace.id,
+    sessionId: sessionData.id,
+    agentId: sessionData.agentId,
+    agentVersion: sessionData.agentVersion,
+    provider: provider.name,
+    model: sessionData.model,
+  });
+  const recorder = sessionData.recording?.enabled
+    ? await createCallRecorder({
+        voiceSessionId,
+        sessionId: sessionData.id,
+        ownerId: sessionData.ownerId,
+      })
+    : null;
+
+  // Discover MCP tools before connecting so they can be declared up front
+  const mcp = await connectMcpServers(sessionData.mcpServers, {
+    reservedNames: (sessionData.tools || []).map((tool) => tool.name),
+  });
+  if (sessionData.mcpServers?.length) {
+    socket.emit("mcp-status", { servers: mcp.status });
+  }
+
+  const knowledgeTools = useRetrieval
+    ? [
+        {
+          declaration: knowledgeSearchDeclaration,
+          handler: async (args) => {
+            const results = knowledgeBase.search(args.query);
+            console.log("📚 Knowledge search:", {
+              query: redactor.redact(args.query),
+              results: results.length,
+            });
+            return { results };
+          },
+        },
+      ]
+    : [];
+
+  const handoffTools = sessionData.handoff?.enabled
+    ? [
+        {
+          declaration: handoffDeclaration(sessionData.handoff),
+          handler: async (args) =>
+            requestHandoff({
+              reason: args.reason,
+              department: args.department ?? null,
+              trigger: "tool",
+            }),
+        },
+      ]
+    : [];
+
+  const toolSet = createToolSet({
+    tools: sessionData.tools,
+    sessionId: sessionData.id,
+    extraTools: [...knowledgeTools, ...handoffTools, ...mcp.extraTools],
+    redactPayload: redactor.redactValue,
+  });
+
+  // Run every requested function server-side, mirror each step to the client
+  // so the UI can show what the agent did, then answer the model in one go
+  async function handleToolCall(toolCall) {
+    const functionResponses = await Promise.all(
+      (toolCall.functionCalls || []).map(async (call) => {
+        const startedAt = Date.now();
+        socket.emit("tool-call", {
+          id: call.id,
+          name: call.name,
+          args: call.args || {},
+        });
+
+        const response = await toolSet.execute(call);
+
+        socket.emit("tool-result", {
+          id: call.id,
+          name: call.name,
+          ...response,
+          durationMs: Date.now() - startedAt,
+        });
+        return { id: call.id, name: call.name, response };
+      })
+    );
 
-  // Generate comprehensive system instruction with actual document content
-  const systemInstruction = generateSystemInstruction(sessionData);
+    if (!isConnected) return;
+    try {
+      session.sendToolResponse({ functionResponses });
+    } catch (error) {
+      console.error("❌ Error sending tool response:", error);
+    }
+  }
 
   console.log("🧠 System Instruction Generated:", {
     agentType: sessionData.agentType,
+    template: template.id,
     documentCount: sessionData.documents.length,
     instructionLength: systemInstruction.length,
+    knowledgeMode: useRetrieval ? "retrieval" : "inline",
+    passageCount: knowledgeBase.passageCount,
+    toolCount: toolSet.size,
+    provider: provider.name,
   });
 
-  const session = await ai.live.connect({
-    model: "gemini-2.5-flash-preview-native-audio-dialog",
+  // Violations are stored and reported to the workspace's supervisors; the
+  // model is told to correct itself when the agent asks for it
+  let corrections = 0;
+  function handleGuardrailViolation(violation) {
+    const correct =
+      sessionData.guardrails?.correct === true &&
+      isConnected &&
+      corrections < GUARDRAIL_MAX_CORRECTIONS;
+    console.warn("🚧 Guardrail violation:", {
+      voiceSessionId,
+      type: violation.type,
+      rule: violation.rule,
+      correct,
+    });
+
+    recordViolation({
+      ...violation,
+      text: redactor.redact(violation.text),
+      voiceSessionId,
+      ownerId: workspace.id,
+      sessionId: sessionData.id,
+      agentId: sessionData.agentId ?? null,
+      agentVersion: sessionData.agentVersion ?? null,
+      corrected: correct,
+    })
+      .then((record) =>
+        supervisors.to(workspace.id).emit("guardrail-violation", record)
+      )
+      .catch((error) =>
+        console.error("❌ Failed to record guardrail violation:", error)
+      );
+
+    if (!correct) return;
+    corrections++;
+    try {
+      session.sendClientContent({
+        turns: [
+          {
+            role: "user",
+            parts: [{ text: correctiveInstruction(violation) }],
+          },
+        ],
+        turnComplete: true,
+      });
+    } catch (error) {
+      console.error("❌ Error sending corrective instruction:", error);
+    }
+  }
+
+  // Transfers are asked for by the model through its tool or by a transfer
+  // rule. The tool is answered right away; the operators are offered the
+  // call once the summary for them is ready.
+  function requestHandoff({ reason, department, trigger }) {
+    if (handoff) {
+      return {
+        status: handoff.status,
+        message: "A transfer to an operator is already in progress.",
+      };
+    }
+    const available = operators.adapter.rooms.get(workspace.id)?.size > 0;
+    handoff = { status: available ? "waiting" : "unanswered" };
+    offerToOperators({ reason, department, trigger, available });
+
+    if (!available) {
+      if (trigger === "rule") sendHandoffNotice("unanswered");
+      return {
+        status: "unavailable",
+        message:
+          "No operator is available right now. Apologise, and offer to keep helping or to take a message.",
+      };
+    }
+    if (trigger === "rule") sendHandoffNotice("requested");
+    return {
+      status: "waiting",
+      message:
+        "An operator has been called. Tell the caller you are transferring them and keep helping until the operator joins.",
+    };
+  }
+
+  async function offerToOperators({ reason, department, trigger, available }) {
+    try {
+      const summary = await summarizeForOperator({
+        reason,
+        conversation: runningSummary.toText(),
+        summarize: provider.summarize,
+      });
+      const record = await recordHandoff({
+        ownerId: workspace.id,
+        voiceSessionId,
+        sessionId: sessionData.id,
+        agentId: sessionData.agentId ?? null,
+        agentVersion: sessionData.agentVersion ?? null,
+        trigger,
+        reason: redactor.redact(reason),
+        department,
+        summary: redactor.redact(summary),
+        status: handoff.status,
+        operatorName: null,
+      });
+      console.log("🙋 Transfer requested:", {
+        voiceSessionId,
+        handoffId: record.id,
+        trigger,
+        status: record.status,
+      });
+
+      // The caller may have hung up while the summary was written
+      if (!available || finished) {
+        handoff = null;
+        if (finished) await handoffs.update(record.id, { status: "cancelled" });
+        return;
+      }
+
+      handoff = record;
+      waitingHandoffs.set(record.id, {
+        workspaceId: workspace.id,
+        handoff: record,
+        connect: connectOperator,
+      });
+      operators.to(workspace.id).emit("handoff-requested", record);
+      socket.emit("handoff-requested", {
+        handoffId: record.id,
+        reason: record.reason,
+        department,
+      });
+      handoffTimer = setTimeout(
+        () => handoffUnanswered(record.id),
+        sessionData.handoff.timeoutMs || HANDOFF_TIMEOUT_MS
+      );
+    } catch (error) {
+      console.error("❌ Failed to request transfer:", error);
+      handoff = null;
+    }
+  }
+
+  function updateHandoff(status, changes = {}) {
+    const { id } = handoff;
+    handoff = ["waiting", "connected"].includes(status)
+      ? { ...handoff, status, ...changes }
+      : null;
+    handoffs
+      .update(id, { status, ...changes })
+      .catch((error) => console.error("❌ Failed to update transfer:", error));
+  }
+
+  function sendHandoffNotice(event) {
+    if (!isConnected || aiReleased) return;
+    try {
+      session.sendClientContent({
+        turns: [{ role: "user", parts: [{ text: handoffNotice(event) }] }],
+        turnComplete: true,
+      });
+    } catch (error) {
+      console.error("❌ Error sending transfer notice:", error);
+    }
+  }
+
+  // Nobody accepted in time: the agent takes the call back
+  function handoffUnanswered(handoffId) {
+    if (handoff?.id !== handoffId || handoff.status !== "waiting") return;
+    const reason = "No operator answered";
+    waitingHandoffs.delete(handoffId);
+    operators.to(workspace.id).emit("handoff-cancelled", { handoffId, reason });
+    socket.emit("handoff-failed", { handoffId, reason });
+    updateHandoff("unanswered");
+    sendHandoffNotice("unanswered");
+  }
+
+  // The operator takes over the caller's audio; the model stops hearing and
+  // speaking to the caller, and is closed if the agent asks for that
+  function connectOperator(operatorSocket, operatorName) {
+    clearTimeout(handoffTimer);
+    const handoffId = handoff.id;
+    operator = operatorSocket;
+    updateHandoff("connected", {
+      operatorName,
+      connectedAt: new Date().toISOString(),
+    });
+    console.log("🎧 Operator took the call:", { voiceSessionId, handoffId });
+
+    transcript.endTurn();
+    socket.emit("ai-interrupted");
+    if (isAIResponding) {
+      isAIResponding = false;
+      socket.emit("ai-speaking-end");
+    }
+
+    const forThisCall =
+      (listener) =>
+      (data = {}) => {
+        if (data.handoffId === handoffId && operator === operatorSocket) {
+          listener(data);
+        }
+      };
+    const listeners = {
+      "operator-audio": forThisCall(({ audioData }) =>
+        relayOperatorAudio(audioData)
+      ),
+      "return-to-agent": forThisCall(() =>
+        releaseOperator("Operator returned the call to the agent")
+      ),
+      "end-handoff": forThisCall(() =>
+        releaseOperator("Operator ended the call", { hangUp: true })
+      ),
+      disconnect: () => {
+        if (operator === operatorSocket) {
+          releaseOperator("Operator disconnected");
+        }
+      },
+    };
+    for (const [event, listener] of Object.entries(listeners)) {
+      operatorSocket.on(event, listener);
+    }
+    detachOperator = () => {
+      for (const [event, listener] of Object.entries(listeners)) {
+        operatorSocket.off(event, listener);
+      }
+    };
+
+    operators.to(workspace.id).emit("handoff-taken", { handoffId });
+    operatorSocket.emit("handoff-connected", {
+      handoff,
+      // Caller audio arrives, and operator audio is expected, in this format
+      audioFormat: { encoding: "pcm16", sampleRate: MIC_SAMPLE_RATE },
+    });
+    socket.emit("handoff-connected", { handoffId });
+
+    if (sessionData.handoff?.aiAfterTransfer === "close") {
+      aiReleased = true;
+      liveSession?.close();
+    }
+  }
+
+  // Operator speech is played to the caller and recorded as the agent track
+  function relayOperatorAudio(audioData) {
+    if (typeof audioData !== "string" || !audioData) return;
+    const pcm = Buffer.from(audioData, "base64");
+    toListeners("agent-audio", {
+      speaker: "operator",
+      audioData,
+      mimeType: `audio/pcm;rate=${MIC_SAMPLE_RATE}`,
+    });
+    recorder?.writeAgent(
+      resamplePcm16(pcm, MIC_SAMPLE_RATE, SPEAKER_SAMPLE_RATE).toString(
+        "base64"
+      )
+    );
+    audioOutput.encode(pcm, MIC_SAMPLE_RATE).forEach((chunk) => {
+      socket.emit("audio-response", {
+        audioData: chunk.data,
+        mimeType: chunk.mimeType,
+      });
+    });
+  }
+
+  // The operator is done with the call. The agent picks it up again unless
+  // the operator hung up or the live session was already closed.
+  function releaseOperator(reason, { hangUp = false } = {}) {
+    const handoffId = handoff.id;
+    detachOperator();
+    operator.emit("handoff-ended", { handoffId, reason });
+    operator = null;
+    updateHandoff("ended", { endedAt: new Date().toISOString() });
+    console.log("🎧 Operator left the call:", { voiceSessionId, reason });
+
+    if (hangUp || aiReleased || !isConnected) {
+      session.close();
+      return;
+    }
+    socket.emit("handoff-ended", { handoffId, reason });
+    sendHandoffNotice("returned");
+  }
+
+  // The caller hung up during a transfer
+  function abandonHandoff() {
+    clearTimeout(handoffTimer);
+    if (!handoff?.id) return;
+    const handoffId = handoff.id;
+    const reason = "Caller hung up";
+    if (operator) {
+      detachOperator();
+      operator.emit("handoff-ended", { handoffId, reason });
+      operator = null;
+      updateHandoff("ended", { endedAt: new Date().toISOString() });
+    } else if (waitingHandoffs.delete(handoffId)) {
+      operators
+        .to(workspace.id)
+        .emit("handoff-cancelled", { handoffId, reason });
+      updateHandoff("cancelled");
+    }
+  }
+
+  // Stable handle for the rest of the server. It forwards to whichever live
+  // connection is current and holds caller audio back while reconnecting.
+  const session = {
+    sendRealtimeInput(params) {
+      if (operator) {
+        if (params.audio) {
+          operator.emit("caller-audio", {
+            handoffId: handoff.id,
+            audioData: params.audio.data,
+          });
+        }
+        return;
+      }
+      if (reconnecting) {
+        if (params.audio) bufferCallerAudio(params.audio);
+        return;
+      }
+      liveSession.sendRealtimeInput(params);
+    },
+    sendClientContent: (params) => liveSession.sendClientContent(params),
+    sendToolResponse: (params) => liveSession.sendToolResponse(params),
+    close() {
+      closing = true;
+      // The live session already closed when the operator took over
+      if (aiReleased) {
+        finishCall();
+        socket.emit("voice-disconnected");
+        return;
+      }
+      if (!reconnecting) liveSession?.close();
+    },
+  };
+
+  // Keep only the most recent audio if the gap runs long
+  function bufferCallerAudio(audio) {
+    bufferedAudio.push(audio);
+    bufferedBytes += Buffer.byteLength(audio.data, "base64");
+    while (bufferedBytes > RECONNECT_AUDIO_BUFFER_BYTES) {
+      const dropped = bufferedAudio.shift();
+      bufferedBytes -= Buffer.byteLength(dropped.data, "base64");
+    }
+  }
+
+  function recordUsage(usageMetadata) {
+    socket.emit("token-usage", {
+      totalTokens: usageMetadata.totalTokenCount,
+    });
+    usage.add(usageMetadata);
+
+    // Hang up once the workspace has spent its monthly budget
+    addTokens(workspace.id, usageMetadata.totalTokenCount)
+      .then(() => isOverTokenBudget(workspace))
+      .then((over) => {
+        if (!over || !isConnected) return;
+        console.log("💸 Token budget exhausted for", workspace.id);
+        socket.emit("voice-error", {
+          message: "Workspace monthly token budget exhausted",
+        });
+        session.close();
+      })
+      // A failed budget check must not end the call, or the process
+      .catch((error) =>
+        console.error("❌ Failed to check the token budget:", error)
+      );
+  }
+
+  // Release everything the call holds once the live session is gone for good
+  let finished = false;
+  function finishCall() {
+    if (finished) return;
+    finished = true;
+    try {
+      abandonHandoff();
+      supervisors.to(workspace.id).emit("session-ended", { voiceSessionId });
+      supervisors.in(listenerRoom).socketsLeave(listenerRoom);
+      mcp.close();
+      transcript.close();
+      recorder?.close();
+      audioInput.close();
+      audioOutput.close();
+      usage.close();
+    } catch (error) {
+      console.error("❌ Error releasing call resources:", error);
+    } finally {
+      releaseCall();
+    }
+  }
+
+  const connectOptions = {
+    model: sessionData.model,
     config: {
-      responseModalities: [Modality.AUDIO],
+      responseModalities: responseModalitiesFor(sessionData.responseModality),
       systemInstruction: systemInstruction,
-      speechConfig: {
-        voiceConfig: { prebuiltVoiceConfig: { voiceName: "Kore" } },
+      speechConfig: buildSpeechConfig(sessionData),
+      realtimeInputConfig: {
+        activityHandling: bargeIn
+          ? ActivityHandling.START_OF_ACTIVITY_INTERRUPTS
+          : ActivityHandling.NO_INTERRUPTION,
       },
+      inputAudioTranscription: {},
+      outputAudioTranscription: speaksAudio ? {} : undefined,
+      contextWindowCompression: contextWindowCompression(
+        sessionData.contextWindow
+      ),
+      tools:
+        toolSet.size > 0
+          ? [{ functionDeclarations: toolSet.declarations() }]
+          : undefined,
     },
     callbacks: {
       onopen: () => {
         isConnected = true;
         console.log("Voice session connected for", socket.id);
-        socket.emit("voice-connected");
+        if (!reconnecting) socket.emit("voice-connected");
       },
       onmessage: (message) => {
+        // Usage rides along on content and tool messages alike
+        if (message.usageMetadata) recordUsage(message.usageMetadata);
+
+        // Remember the latest point the conversation can be resumed from
+        if (message.sessionResumptionUpdate) {
+          const { resumable, newHandle } = message.sessionResumptionUpdate;
+          if (resumable && newHandle) resumptionHandle = newHandle;
+          return;
+        }
+
+        // The server is about to close this connection; move on before it does
+        if (message.goAway) {
+          console.log("👋 Live server going away:", message.goAway.timeLeft);
+          if (canReconnect()) reconnect("Server going away");
+          return;
+        }
+
+        if (message.toolCall) {
+          handleToolCall(message.toolCall);
+          return;
+        }
+
+        if (message.toolCallCancellation) {
+          toolSet.cancel(message.toolCallCancellation.ids);
+          socket.emit("tool-cancelled", {
+            ids: message.toolCallCancellation.ids || [],
+          });
+          return;
+        }
+
+        // A paused agent neither hears nor speaks to the caller
+        if (operator && message.serverContent) return;
+
+        const { inputTranscription, outputTranscription } =
+          message.serverContent || {};
+        if (inputTranscription) transcript.addInput(inputTranscription);
+        if (outputTranscription) transcript.addOutput(outputTranscription);
+        if (
+          message.serverContent?.turnComplete ||
+          message.serverContent?.interrupted
+        ) {
+          transcript.endTurn();
+        }
+
+        if (message.serverContent?.interrupted) {
+          // The caller talked over the agent: the client must drop whatever
+          // audio it still has queued for playback
+          recorder?.interruptAgent();
+          socket.emit("ai-interrupted");
+          if (isAIResponding) {
+            isAIResponding = false;
+            socket.emit("ai-speaking-end");
+          }
+        }
+
         if (message.serverContent?.modelTurn?.parts) {
           if (!isAIResponding) {
             isAIResponding = true;
@@ -1138,6 +3342,11 @@ async function createVoiceSession(sessionData, socket) {
           }
 
           message.serverContent.modelTurn.parts.forEach((part) => {
+            // Text-only agents answer in text parts instead of audio
+            if (!speaksAudio && part.text) {
+              transcript.addOutput({ text: part.text });
+              socket.emit("ai-text", { text: part.text });
+            }
             if (part.inlineData?.data) {
               const audioData = part.inlineData.data;
               console.log("🎵 Audio chunk details:", {
@@ -1146,10 +3355,28 @@ async function createVoiceSession(sessionData, socket) {
                 binarySize: atob(audioData).length,
               });
 
+              recorder?.writeAgent(audioData);
+              toListeners("agent-audio", {
+                speaker: "agent",
+                audioData,
+                mimeType:
+                  part.inlineData.mimeType ||
+                  `audio/pcm;rate=${SPEAKER_SAMPLE_RATE}`,
+              });
+
               // Send audio data to frontend
-              socket.emit("audio-response", {
-                audioData: audioData,
-                mimeType: part.inlineData.mimeType || "audio/pcm",
+              const chunks = audioOutput.encode(
+                Buffer.from(audioData, "base64"),
+                sampleRateFromMimeType(
+                  part.inlineData.mimeType,
+                  SPEAKER_SAMPLE_RATE
+                )
+              );
+              chunks.forEach((chunk) => {
+                socket.emit("audio-response", {
+                  audioData: chunk.data,
+                  mimeType: chunk.mimeType,
+                });
               });
             }
           });
@@ -1158,10 +3385,6 @@ async function createVoiceSession(sessionData, socket) {
             isAIResponding = false;
             socket.emit("ai-speaking-end");
           }
-        } else if (message.usageMetadata) {
-          socket.emit("token-usage", {
-            totalTokens: message.usageMetadata.totalTokenCount,
-          });
         }
       },
       onerror: (err) => {
@@ -1174,16 +3397,176 @@ async function createVoiceSession(sessionData, socket) {
           "Voice session closed:",
           event?.reason || "No reason given"
         );
+
+        // Closed on purpose after a transfer; the operator still has the call
+        if (aiReleased && !finished) return;
+
+        // Closes we did not ask for are resumed when possible
+        if (!closing && canReconnect()) {
+          reconnect(event?.reason || "Connection closed");
+          return;
+        }
+        finishCall();
         socket.emit("voice-disconnected");
       },
     },
+  };
+
+  // A resumed connection keeps the model's own context; otherwise a call in
+  // progress starts over from the running summary
+  const canReconnect = () =>
+    Boolean(resumptionHandle) || runningSummary.hasContext();
+
+  // Only the newest connection's callbacks are heard, so a replaced
+  // connection closing late does not end the call
+  function openLive(handle) {
+    const restoredContext =
+      !handle && connectionCount > 0 ? runningSummary.toInstruction() : "";
+    if (restoredContext) {
+      console.log("🧾 Restoring conversation context:", {
+        voiceSessionId,
+        length: restoredContext.length,
+      });
+    }
+    const generation = ++connectionCount;
+    const callbacks = Object.fromEntries(
+      Object.entries(connectOptions.callbacks).map(([name, callback]) => [
+        name,
+        (...args) => {
+          if (generation === connectionCount) callback(...args);
+        },
+      ])
+    );
+    return provider.connect({
+      ...connectOptions,
+      config: {
+        ...connectOptions.config,
+        ...(restoredContext && {
+          systemInstruction: `${systemInstruction}\n\n${restoredContext}`,
+        }),
+        sessionResumption: handle ? { handle } : {},
+      },
+      callbacks,
+    });
+  }
+
+  // Continue the conversation on a new connection after the old one dropped
+  // or announced it is going away. Caller audio is buffered in the gap.
+  async function reconnect(reason) {
+    if (reconnecting || closing) return;
+    reconnecting = true;
+    const previous = liveSession;
+    liveSession = null;
+
+    console.log("🔄 Reconnecting voice session:", { voiceSessionId, reason });
+    socket.emit("voice-reconnecting", { reason });
+    transcript.endTurn();
+    if (isAIResponding) {
+      isAIResponding = false;
+      socket.emit("ai-speaking-end");
+    }
+
+    for (let attempt = 1; attempt <= LIVE_RECONNECT_ATTEMPTS; attempt++) {
+      try {
+        liveSession = await openLive(resumptionHandle);
+        break;
+      } catch (error) {
+        console.error(`❌ Reconnect attempt ${attempt} failed:`, error);
+        if (closing) break;
+        // Handles expire; try again without one from the running summary
+        if (resumptionHandle && runningSummary.hasContext()) {
+          resumptionHandle = null;
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, attempt * LIVE_RECONNECT_DELAY_MS)
+        );
+      }
+    }
+
+    try {
+      previous?.close();
+    } catch (error) {
+      console.error("Error closing replaced live connection:", error);
+    }
+    reconnecting = false;
+
+    if (!liveSession || closing) {
+      // The caller hung up meanwhile, or the conversation could not resume
+      if (liveSession) {
+        liveSession.close();
+      } else {
+        finishCall();
+        socket.emit("voice-disconnected");
+      }
+      return;
+    }
+
+    const pending = bufferedAudio;
+    bufferedAudio = [];
+    bufferedBytes = 0;
+    pending.forEach((audio) => liveSession.sendRealtimeInput({ audio }));
+
+    console.log("✅ Voice session reconnected:", voiceSessionId);
+    socket.emit("voice-reconnected", { bufferedChunks: pending.length });
+  }
+
+  // Supervisor guidance is added to the model's context without completing
+  // the turn, so the model acts on it without answering it out loud
+  function whisper(text) {
+    if (operator || aiReleased) {
+      throw new Error("An operator has taken over this call");
+    }
+    if (!isConnected) throw new Error("The agent is not connected right now");
+    session.sendClientContent({
+      turns: [{ role: "user", parts: [{ text: whisperInstruction(text) }] }],
+      turnComplete: false,
+    });
+    console.log("🤫 Supervisor whisper:", {
+      voiceSessionId,
+      text: redactor.redact(text),
+    });
+    toListeners("whisper-sent", { text });
+  }
+
+  const describe = () => ({
+    voiceSessionId,
+    sessionId: sessionData.id,
+    agentId: sessionData.agentId ?? null,
+    agentVersion: sessionData.agentVersion ?? null,
+    agentType: sessionData.agentType,
+    startedAt,
+    handoffStatus: handoff?.status ?? null,
+    listeners: supervisors.adapter.rooms.get(listenerRoom)?.size || 0,
   });
 
+  // Release per-call resources when the live session never opens
+  const connecting = openLive(null);
+  connecting.catch(finishCall);
+  liveSession = await connecting;
+  supervisors.to(workspace.id).emit("session-started", describe());
+
   // Return object with direct access to the variables
   return {
+    voiceSessionId,
+    workspaceId: workspace.id,
     session,
+    recorder,
+    bargeIn,
+    audioInput,
+    describe,
+    whisper,
+    monitorCallerAudio: (data) =>
+      toListeners("caller-audio", {
+        audioData: data,
+        mimeType: `audio/pcm;rate=${MIC_SAMPLE_RATE}`,
+      }),
     get isConnected() {
-      return isConnected;
+      return (
+        isConnected ||
+        reconnecting ||
+        Boolean(operator) ||
+        (aiReleased && !finished)
+      );
     },
     get isAIResponding() {
       return isAIResponding;
@@ -1191,8 +3574,17 @@ async function createVoiceSession(sessionData, socket) {
   };
 }
 
+// Fail at startup rather than when the first call is priced
+try {
+  loadRateTable();
+} catch (error) {
+  console.error("❌", error.message);
+  process.exit(1);
+}
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
+  checkApiKeys();
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 WebSocket ready for voice connections`);
 });
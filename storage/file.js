@@ -0,0 +1,100 @@
+import { createHash } from "crypto";
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { rename, rm, writeFile } from "fs/promises";
+import path from "path";
+
+const MAX_FILE_NAME_LENGTH = 200;
+
+// Ids become file names; ids too long for one are hashed. The id itself is
+// read back from the record, so the name never has to be decoded.
+function fileNameFor(id) {
+  const encoded = encodeURIComponent(id);
+  return encoded.length <= MAX_FILE_NAME_LENGTH
+    ? `${encoded}.json`
+    : `${createHash("sha256").update(id).digest("hex")}.json`;
+}
+
+// Keeps a collection in `<dataDir>/<name>/`, one JSON file per record, so a
+// mutation only rewrites the record it changed. Writes go to a temporary
+// file first and are renamed into place so a crash never leaves a torn file.
+// Writes to one record are chained so they land in order, and while one is
+// in progress later changes are coalesced into a single follow-up write.
+export function createFileDriver(name, dataDir) {
+  const dirPath = path.join(dataDir, name);
+  const legacyPath = path.join(dataDir, `${name}.json`);
+  const recordPath = (id) => path.join(dirPath, fileNameFor(id));
+  // id -> { writing, next }: the latest write, and the one queued behind it
+  const queues = new Map();
+
+  // Collections used to live in a single `<name>.json`; split it up once
+  function migrateLegacyFile() {
+    if (!existsSync(legacyPath)) return;
+    const records = JSON.parse(readFileSync(legacyPath, "utf8"));
+    for (const [id, record] of Object.entries(records)) {
+      writeFileSync(recordPath(id), JSON.stringify(record, null, 2));
+    }
+    unlinkSync(legacyPath);
+  }
+
+  function schedule(id, record) {
+    let queue = queues.get(id);
+    if (!queue) {
+      queue = { writing: Promise.resolve(), next: null };
+      queues.set(id, queue);
+    }
+    if (queue.next) {
+      queue.next.record = record;
+      return queue.next.promise;
+    }
+
+    const next = { record };
+    queue.next = next;
+    next.promise = queue.writing
+      .catch(() => {})
+      .then(async () => {
+        queue.next = null;
+        const filePath = recordPath(id);
+        if (next.record === null) {
+          await rm(filePath, { force: true });
+          return;
+        }
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, JSON.stringify(next.record, null, 2));
+        await rename(tempPath, filePath);
+      });
+    queue.writing = next.promise;
+    next.promise
+      .catch(() => {})
+      .then(() => {
+        if (queue.writing === next.promise && !queue.next) queues.delete(id);
+      });
+    return next.promise;
+  }
+
+  return {
+    load() {
+      mkdirSync(dirPath, { recursive: true });
+      migrateLegacyFile();
+      const records = {};
+      for (const file of readdirSync(dirPath)) {
+        if (!file.endsWith(".json")) continue;
+        const record = JSON.parse(
+          readFileSync(path.join(dirPath, file), "utf8")
+        );
+        records[record.id] = record;
+      }
+      return records;
+    },
+
+    write: (id, record) => schedule(id, record),
+
+    remove: (id) => schedule(id, null),
+  };
+}
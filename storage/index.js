@@ -0,0 +1,36 @@
+import path from "path";
+import { createFileDriver } from "./file.js";
+import { createRepository } from "./repository.js";
+
+// Storage subsystem entry point. STORAGE_DRIVER picks where collections live:
+//   file   - a JSON file per record under DATA_DIR (default ./data), survives
+//            restarts
+//   memory - process memory only, for local experiments
+const repositories = new Map();
+
+function createDriver(name) {
+  const driver = process.env.STORAGE_DRIVER || "file";
+
+  switch (driver) {
+    case "file":
+      return createFileDriver(
+        name,
+        path.resolve(process.env.DATA_DIR || "data")
+      );
+    case "memory":
+      return {
+        load: () => ({}),
+        write: async () => {},
+        remove: async () => {},
+      };
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+export function getRepository(name) {
+  if (!repositories.has(name)) {
+    repositories.set(name, createRepository(createDriver(name)));
+  }
+  return repositories.get(name);
+}
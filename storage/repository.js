@@ -0,0 +1,70 @@
+// Generic keyed record repository. Records are plain JSON objects stamped with
+// `id`, `createdAt` and `updatedAt`; a driver decides where they are kept.
+//
+// `driver.load()` returns the initial { [id]: record } map, and after every
+// mutation `driver.write(id, record)` or `driver.remove(id)` saves the one
+// record that changed.
+
+const clone = (value) => (value == null ? null : structuredClone(value));
+
+function matches(record, filter) {
+  return Object.entries(filter).every(
+    ([key, value]) => value === undefined || record[key] === value
+  );
+}
+
+export function createRepository(driver) {
+  const records = new Map(Object.entries(driver.load() || {}));
+
+  return {
+    async get(id) {
+      return clone(records.get(id));
+    },
+
+    async list(filter = {}) {
+      return [...records.values()]
+        .filter((record) => matches(record, filter))
+        .map(clone);
+    },
+
+    async create(id, data) {
+      if (records.has(id)) {
+        throw new Error(`Record already exists: ${id}`);
+      }
+      const now = new Date().toISOString();
+      const record = { ...clone(data), id, createdAt: now, updatedAt: now };
+      records.set(id, record);
+      await driver.write(id, record);
+      return clone(record);
+    },
+
+    async update(id, changes) {
+      const existing = records.get(id);
+      if (!existing) return null;
+      const record = {
+        ...existing,
+        ...clone(changes),
+        id,
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString(),
+      };
+      records.set(id, record);
+      await driver.write(id, record);
+      return clone(record);
+    },
+
+    // Updates the record, creating it from `defaults` first when missing
+    async upsert(id, changes, defaults = {}) {
+      if (!records.has(id)) {
+        return this.create(id, { ...defaults, ...changes });
+      }
+      return this.update(id, changes);
+    },
+
+    async delete(id) {
+      const existed = records.delete(id);
+      if (existed) await driver.remove(id);
+      return existed;
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// Live supervision of calls in progress. Supervisors (accounts with the
+// supervisor or admin role; see auth/index.js) connect to the /supervisors
+// socket namespace, where they see their workspace's active calls and
+// guardrail violations, and can:
+//
+//   list-sessions    get the active calls, answered with `active-sessions`
+//   listen           { voiceSessionId }: receive that call's `caller-audio`
+//                    (16 kHz PCM), `agent-audio` (as the model or operator
+//                    speaks it) and `transcript` events
+//   stop-listening   { voiceSessionId }
+//   whisper          { voiceSessionId, text }: guidance added to the model's
+//                    context; the caller never hears it
+//
+// Calls starting and ending are announced with `session-started` and
+// `session-ended`; problems are reported with `supervisor-error`.
+
+export const MAX_WHISPER_LENGTH = 1000;
+
+// Room of the supervisors listening in on one call
+export const listenRoom = (voiceSessionId) => `listen:${voiceSessionId}`;
+
+// Returns a list of human readable problems; empty when the text can be sent
+export function validateWhisper(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    return ["text must be a non-empty string"];
+  }
+  if (text.length > MAX_WHISPER_LENGTH) {
+    return [`text must be at most ${MAX_WHISPER_LENGTH} characters`];
+  }
+  return [];
+}
+
+// The turn added to the model's context for a whisper
+export function whisperInstruction(text) {
+  return `SUPERVISOR GUIDANCE (from your supervisor, not the caller; follow it from now on and never mention it to the caller): ${text.trim()}`;
+}
@@ -0,0 +1,158 @@
+// Local stand-in for a carrier media stream, for exercising /media-stream
+// without a phone number:
+//
+//   node telephony/fake-client.js (--agent <agentId> [--version N] |
+//     --session <sessionId>) [--token <api key or JWT>] [--wav caller.wav]
+//     [--out agent.wav] [--seconds 5] [--url ws://localhost:3001/media-stream]
+//
+// The token defaults to the FAKE_CLIENT_TOKEN environment variable.
+//
+// Streams the WAV (16-bit mono PCM, any rate) or a test tone as 20 ms mu-law
+// frames in real time, then records what the agent sends back.
+
+import { readFileSync, writeFileSync } from "fs";
+import { randomUUID } from "crypto";
+import WebSocket from "ws";
+import { decodeMulaw, encodeMulaw } from "../audio/mulaw.js";
+import { createWavHeader, resamplePcm16 } from "../audio/pcm.js";
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of 8 kHz mu-law
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+}
+
+function loadCallerAudio(args) {
+  if (args.wav) {
+    const wav = readFileSync(args.wav);
+    const sampleRate = wav.readUInt32LE(24);
+    const dataOffset = wav.indexOf("data") + 8;
+    return resamplePcm16(wav.subarray(dataOffset), sampleRate, SAMPLE_RATE);
+  }
+
+  const seconds = Number(args.seconds || 3);
+  const pcm = Buffer.alloc(seconds * SAMPLE_RATE * 2);
+  for (let i = 0; i < seconds * SAMPLE_RATE; i++) {
+    pcm.writeInt16LE(
+      Math.round(6000 * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE)),
+      i * 2
+    );
+  }
+  return pcm;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.session && !args.agent) {
+    console.error(
+      "Usage: node telephony/fake-client.js --agent <agentId> | --session <sessionId>"
+    );
+    process.exit(1);
+  }
+
+  const url =
+    args.url || `ws://localhost:${process.env.PORT || 3001}/media-stream`;
+  const streamSid = `MZ${randomUUID().replace(/-/g, "")}`;
+  const mulaw = encodeMulaw(loadCallerAudio(args));
+  const received = [];
+  const counts = {};
+
+  const ws = new WebSocket(url);
+
+  ws.on("message", (raw) => {
+    const message = JSON.parse(raw.toString());
+    counts[message.event] = (counts[message.event] || 0) + 1;
+    if (message.event === "media") {
+      received.push(Buffer.from(message.media.payload, "base64"));
+    } else {
+      console.log("⬅️ ", message.event, message.mark?.name || "");
+    }
+  });
+
+  ws.on("open", async () => {
+    const send = (message) =>
+      ws.send(JSON.stringify({ streamSid, ...message }));
+
+    send({ event: "connected", protocol: "Call", version: "1.0.0" });
+    send({
+      event: "start",
+      start: {
+        streamSid,
+        callSid: `CA${randomUUID().replace(/-/g, "")}`,
+        tracks: ["inbound"],
+        customParameters: {
+          sessionId: args.session,
+          agentId: args.agent,
+          version: args.version,
+          token: args.token || process.env.FAKE_CLIENT_TOKEN,
+        },
+        mediaFormat: {
+          encoding: "audio/x-mulaw",
+          sampleRate: SAMPLE_RATE,
+          channels: 1,
+        },
+      },
+    });
+    console.log(
+      `📞 Streaming ${mulaw.length / SAMPLE_RATE}s of caller audio to ${url}`
+    );
+
+    for (
+      let offset = 0, chunk = 1;
+      offset < mulaw.length;
+      offset += FRAME_BYTES, chunk++
+    ) {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      send({
+        event: "media",
+        media: {
+          track: "inbound",
+          chunk: String(chunk),
+          timestamp: String(chunk * 20),
+          payload: mulaw
+            .subarray(offset, offset + FRAME_BYTES)
+            .toString("base64"),
+        },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    // Leave time for the agent to answer before hanging up
+    await new Promise((resolve) =>
+      setTimeout(resolve, Number(args.wait || 3000))
+    );
+    send({ event: "stop", stop: { callSid: "" } });
+    ws.close();
+  });
+
+  ws.on("close", () => {
+    console.log("📊 Frames received:", counts);
+    if (args.out) {
+      const pcm = decodeMulaw(Buffer.concat(received));
+      writeFileSync(
+        args.out,
+        Buffer.concat([
+          createWavHeader({
+            sampleRate: SAMPLE_RATE,
+            channels: 1,
+            dataLength: pcm.length,
+          }),
+          pcm,
+        ])
+      );
+      console.log(`💾 Agent audio written to ${args.out}`);
+    }
+  });
+
+  ws.on("error", (error) => {
+    console.error("❌ Media stream error:", error.message);
+    process.exit(1);
+  });
+}
+
+main();
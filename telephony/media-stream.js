@@ -0,0 +1,172 @@
+import { WebSocketServer } from "ws";
+
+// Telephony endpoint speaking the Twilio Media Streams protocol. Carriers
+// send JSON frames (connected/start/media/mark/stop) carrying 8 kHz mu-law,
+// which the voice session's codec layer transcodes in both directions.
+//
+// The agent comes from the `agentId` (plus optional `version`) or legacy
+// `sessionId` custom parameters of the <Stream> (TwiML <Parameter>), or the
+// same names as query parameters on the stream URL. Calls authenticate with
+// a `token` parameter holding an API key or JWT. Optional `callerName` and
+// `callerNumber` parameters reach the prompt template as caller info.
+
+const TELEPHONY_AUDIO_FORMAT = { encoding: "mulaw", sampleRate: 8000 };
+
+// Media frames carry 20 ms of audio, a few hundred bytes of JSON
+const MAX_FRAME_BYTES = 64 * 1024;
+
+function handleMediaStream(ws, req, { startCall, sendCallerAudio, endCall }) {
+  const query = new URL(req.url, "http://localhost").searchParams;
+  let streamSid = null;
+  let voiceSession = null;
+  let starting = null;
+  let markCount = 0;
+  // Gives up a queued call when the carrier hangs up first
+  const hangup = new AbortController();
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  // Stands in for the socket.io socket that createVoiceSession talks to,
+  // translating its events into media stream frames
+  const channel = {
+    id: null,
+    emit(event, data) {
+      switch (event) {
+        case "audio-response":
+          send({
+            event: "media",
+            streamSid,
+            media: { payload: data.audioData },
+          });
+          break;
+        case "ai-interrupted":
+          // Drop agent audio the carrier has buffered but not yet played
+          send({ event: "clear", streamSid });
+          break;
+        case "ai-speaking-end":
+          send({
+            event: "mark",
+            streamSid,
+            mark: { name: `agent-turn-${++markCount}` },
+          });
+          break;
+        case "voice-error":
+          console.error("❌ Media stream voice error:", streamSid, data);
+          break;
+        case "voice-disconnected":
+          ws.close();
+          break;
+      }
+    },
+  };
+
+  ws.on("message", async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+
+    switch (message.event) {
+      case "start": {
+        // One call per stream; a second start would orphan the first call
+        if (streamSid !== null) {
+          ws.close(1008, "Stream already started");
+          return;
+        }
+        const start = message.start || {};
+        streamSid = start.streamSid || message.streamSid || "";
+        channel.id = `media-stream:${streamSid}`;
+
+        const encoding = start.mediaFormat?.encoding;
+        if (encoding && encoding !== "audio/x-mulaw") {
+          console.error("❌ Unsupported media stream encoding:", encoding);
+          ws.close(1003, "Only audio/x-mulaw is supported");
+          return;
+        }
+
+        const param = (name) =>
+          start.customParameters?.[name] || query.get(name) || undefined;
+        const sessionId = param("sessionId");
+        const agentId = param("agentId");
+        const version = param("version");
+        const token = param("token");
+        const caller = {
+          name: param("callerName"),
+          number: param("callerNumber"),
+        };
+        console.log("📞 Media stream started:", {
+          streamSid,
+          callSid: start.callSid,
+          sessionId,
+          agentId,
+          version,
+        });
+
+        starting = startCall({
+          sessionId,
+          agentId,
+          version,
+          token,
+          channel,
+          caller,
+          callSid: start.callSid,
+          audioFormat: TELEPHONY_AUDIO_FORMAT,
+          signal: hangup.signal,
+        });
+        try {
+          voiceSession = await starting;
+        } catch (error) {
+          console.error("❌ Could not start media stream call:", error);
+          ws.close(1011, "Could not start the call");
+        }
+        break;
+      }
+
+      case "media": {
+        // Audio that arrives before the live session is up is dropped
+        if (!voiceSession || !message.media?.payload) return;
+        if (message.media.track && message.media.track !== "inbound") return;
+
+        try {
+          sendCallerAudio(voiceSession, message.media.payload);
+        } catch (error) {
+          console.error("❌ Error sending media stream audio:", error);
+        }
+        break;
+      }
+
+      case "stop":
+        console.log("📞 Media stream stopped:", streamSid);
+        ws.close();
+        break;
+    }
+  });
+
+  ws.on("close", async () => {
+    hangup.abort();
+    const session = voiceSession || (await starting?.catch(() => null));
+    if (session) endCall(channel.id, session);
+  });
+}
+
+export function attachMediaStreamServer(server, { path, ...handlers }) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_FRAME_BYTES,
+  });
+
+  // socket.io handles its own upgrades; only claim requests for our path
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== path) return;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleMediaStream(ws, req, handlers);
+    });
+  });
+
+  return wss;
+}
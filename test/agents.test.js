@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  agentVersions,
+  createAgent,
+  listAgentVersions,
+  publishAgentVersion,
+  resolveAgentConfig,
+  rollbackAgent,
+  updateAgentDraft,
+} = await import("../agents/index.js");
+
+describe("agent versions", () => {
+  it("gives concurrent publishes consecutive versions", async () => {
+    const agent = await createAgent({ name: "Support", ownerId: "acme" });
+
+    const published = await Promise.all(
+      Array.from({ length: 5 }, (_, index) =>
+        publishAgentVersion(agent, { note: `publish ${index}` })
+      )
+    );
+
+    assert.deepEqual(
+      published.map((version) => version.version),
+      [1, 2, 3, 4, 5]
+    );
+    assert.equal((await listAgentVersions(agent.id)).length, 5);
+    assert.equal((await resolveAgentConfig(agent.id)).agentVersion, 5);
+  });
+
+  it("freezes the draft and rolls back to an earlier version", async () => {
+    const agent = await createAgent({
+      name: "Sales",
+      config: { agentType: "first" },
+    });
+    await publishAgentVersion(agent);
+    const edited = await updateAgentDraft(agent, {
+      config: { agentType: "second" },
+    });
+    await publishAgentVersion(edited);
+
+    assert.equal((await resolveAgentConfig(agent.id, 1)).agentType, "first");
+    assert.equal((await resolveAgentConfig(agent.id)).agentType, "second");
+    assert.equal(
+      (await resolveAgentConfig(agent.id, "draft")).agentVersion,
+      "draft"
+    );
+
+    const rolledBack = await rollbackAgent(edited, 1);
+    assert.equal(rolledBack.activeVersion, 1);
+    assert.equal(rolledBack.draft.agentType, "first");
+    assert.equal(await rollbackAgent(edited, 9), null);
+  });
+
+  it("reports a version number that is already taken", async () => {
+    const agent = await createAgent({ name: "Billing" });
+    await agentVersions.create(`${agent.id}@1`, { agentId: agent.id });
+
+    await assert.rejects(publishAgentVersion(agent), /already exists/);
+    // The queue moves on after a failure
+    await assert.rejects(publishAgentVersion(agent), /already exists/);
+  });
+});
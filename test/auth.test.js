@@ -0,0 +1,322 @@
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import jwt from "jsonwebtoken";
+import {
+  authenticateToken,
+  canAccess,
+  hasRole,
+  ownerFilter,
+  requireAdmin,
+  requireSocketRole,
+  restrictRoleRoutes,
+} from "../auth/index.js";
+import { nextEvent, startServer } from "./helpers/server.js";
+
+const AUTH_VARIABLES = [
+  "API_KEYS",
+  "ADMIN_API_KEYS",
+  "SUPERVISOR_API_KEYS",
+  "OPERATOR_API_KEYS",
+  "JWT_SECRET",
+  "JWT_ISSUER",
+  "JWT_AUDIENCE",
+  "AUTH_DISABLED",
+];
+
+const saved = {};
+
+beforeEach(() => {
+  for (const name of AUTH_VARIABLES) {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  }
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  for (const name of AUTH_VARIABLES) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+  mock.restoreAll();
+});
+
+describe("authenticateToken", () => {
+  it("rejects everything when nothing is configured", () => {
+    assert.equal(authenticateToken("anything"), null);
+    assert.equal(authenticateToken(undefined), null);
+  });
+
+  it("maps API keys to their workspace and role", () => {
+    process.env.API_KEYS = "acme:acme-key, globex:globex-key";
+    process.env.ADMIN_API_KEYS = "ops:admin-key";
+    process.env.SUPERVISOR_API_KEYS = "acme:supervisor-key";
+    process.env.OPERATOR_API_KEYS = "acme:operator-key";
+
+    assert.deepEqual(authenticateToken("globex-key"), {
+      id: "globex",
+      method: "api-key",
+      role: "member",
+    });
+    assert.equal(authenticateToken("admin-key").role, "admin");
+    assert.equal(authenticateToken("supervisor-key").role, "supervisor");
+    assert.equal(authenticateToken("operator-key").role, "operator");
+    assert.equal(authenticateToken("acme-key").id, "acme");
+    assert.equal(authenticateToken("unknown-key"), null);
+  });
+
+  it("keeps colons inside keys", () => {
+    process.env.API_KEYS = "acme:part:with:colons";
+    assert.equal(authenticateToken("part:with:colons").id, "acme");
+  });
+
+  it("skips malformed entries instead of guessing an account", () => {
+    process.env.API_KEYS = "no-separator,:no-account,no-key:,acme:good";
+
+    assert.equal(authenticateToken("no-separator"), null);
+    assert.equal(authenticateToken("no-account"), null);
+    assert.equal(authenticateToken(""), null);
+    assert.equal(authenticateToken("good").id, "acme");
+    assert.ok(console.warn.mock.callCount() > 0);
+    for (const call of console.warn.mock.calls) {
+      assert.doesNotMatch(call.arguments.join(" "), /no-separator|no-key/);
+    }
+  });
+
+  it("accepts JWTs signed with the secret", () => {
+    process.env.JWT_SECRET = "secret";
+    const token = jwt.sign({ sub: "user-1", workspace: "acme" }, "secret");
+
+    assert.deepEqual(authenticateToken(token), {
+      id: "acme",
+      userId: "user-1",
+      method: "jwt",
+      role: "member",
+    });
+  });
+
+  it("only honours known JWT roles", () => {
+    process.env.JWT_SECRET = "secret";
+    const sign = (role) => jwt.sign({ sub: "acme", role }, "secret");
+
+    assert.equal(authenticateToken(sign("supervisor")).role, "supervisor");
+    assert.equal(authenticateToken(sign("operator")).role, "operator");
+    assert.equal(authenticateToken(sign("admin")).role, "admin");
+    assert.equal(authenticateToken(sign("owner")).role, "member");
+  });
+
+  it("rejects JWTs with a wrong secret, algorithm, issuer or audience", () => {
+    process.env.JWT_SECRET = "secret";
+    process.env.JWT_ISSUER = "issuer";
+    process.env.JWT_AUDIENCE = "audience";
+    const claims = { sub: "acme" };
+    const options = { issuer: "issuer", audience: "audience" };
+
+    assert.equal(
+      authenticateToken(jwt.sign(claims, "secret", options)).id,
+      "acme"
+    );
+    assert.equal(authenticateToken(jwt.sign(claims, "other", options)), null);
+    assert.equal(
+      authenticateToken(
+        jwt.sign(claims, "secret", { ...options, algorithm: "HS512" })
+      ),
+      null
+    );
+    assert.equal(
+      authenticateToken(
+        jwt.sign(claims, "secret", { ...options, issuer: "x" })
+      ),
+      null
+    );
+    assert.equal(
+      authenticateToken(
+        jwt.sign(claims, "secret", { ...options, audience: "x" })
+      ),
+      null
+    );
+  });
+
+  it("treats every caller as the local admin when auth is disabled", () => {
+    process.env.AUTH_DISABLED = "true";
+    assert.deepEqual(authenticateToken(undefined), {
+      id: "local",
+      method: "none",
+      role: "admin",
+    });
+  });
+});
+
+const response = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => ((res.statusCode = code), res);
+  res.json = (body) => ((res.body = body), res);
+  return res;
+};
+
+describe("role checks", () => {
+  const runSocket = (middleware, account) => {
+    let result;
+    middleware({ data: { account } }, (error) => (result = error ?? "ok"));
+    return result;
+  };
+
+  it("requireSocketRole lets in the listed roles and admins only", () => {
+    const supervisors = requireSocketRole("supervisor");
+
+    assert.equal(runSocket(supervisors, { role: "supervisor" }), "ok");
+    assert.equal(runSocket(supervisors, { role: "admin" }), "ok");
+    assert.equal(
+      runSocket(supervisors, { role: "member" }).message,
+      "Forbidden"
+    );
+    assert.equal(
+      runSocket(supervisors, { role: "operator" }).message,
+      "Forbidden"
+    );
+    assert.equal(runSocket(supervisors, undefined).message, "Forbidden");
+  });
+
+  it("requireAdmin answers 403 to other roles", () => {
+    const forbidden = response();
+    let nextCalled = false;
+    requireAdmin({ account: { role: "supervisor" } }, forbidden, () => {
+      nextCalled = true;
+    });
+    assert.equal(forbidden.statusCode, 403);
+    assert.equal(nextCalled, false);
+
+    requireAdmin({ account: { role: "admin" } }, response(), () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, true);
+  });
+
+  it("hasRole treats admins as holding every role", () => {
+    assert.equal(hasRole({ role: "admin" }, "member"), true);
+    assert.equal(hasRole({ role: "member" }, "member"), true);
+    assert.equal(hasRole({ role: "supervisor" }, "member"), false);
+    assert.equal(hasRole(undefined, "member"), false);
+  });
+
+  it("restrictRoleRoutes keeps supervisors and operators to their routes", () => {
+    const allowed = (role, method, path) => {
+      let passed = false;
+      const res = response();
+      restrictRoleRoutes({ account: { role }, method, path }, res, () => {
+        passed = true;
+      });
+      assert.equal(passed, res.statusCode === null);
+      return passed;
+    };
+
+    assert.equal(allowed("member", "POST", "/documents"), true);
+    assert.equal(allowed("admin", "PATCH", "/agents/a1"), true);
+
+    assert.equal(allowed("supervisor", "GET", "/voice-sessions"), true);
+    assert.equal(
+      allowed("supervisor", "GET", "/voice-sessions/v1/transcript"),
+      true
+    );
+    assert.equal(allowed("supervisor", "GET", "/handoffs"), true);
+    assert.equal(
+      allowed("supervisor", "GET", "/voice-sessions/v1/recordings"),
+      false
+    );
+    assert.equal(allowed("supervisor", "PATCH", "/agents/a1"), false);
+    assert.equal(allowed("supervisor", "POST", "/documents"), false);
+
+    assert.equal(allowed("operator", "GET", "/handoffs"), true);
+    assert.equal(allowed("operator", "GET", "/voice-sessions"), false);
+    assert.equal(allowed("operator", "POST", "/agents"), false);
+  });
+});
+
+describe("authentication on the server", () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      AUTH_DISABLED: "false",
+      API_KEYS: "acme:member-key",
+      SUPERVISOR_API_KEYS: "acme:supervisor-key",
+      OPERATOR_API_KEYS: "acme:operator-key",
+    });
+  });
+  after(() => server.stop());
+
+  const get = (route, token, headers = {}) =>
+    fetch(server.url + route, {
+      headers: { authorization: `Bearer ${token}`, ...headers },
+    });
+
+  it("rejects requests without a valid key", async () => {
+    assert.equal((await fetch(`${server.url}/api/agents`)).status, 401);
+    assert.equal((await get("/api/agents", "wrong-key")).status, 401);
+    assert.equal((await get("/api/agents", "member-key")).status, 200);
+  });
+
+  it("keeps supervisor and operator keys to their own routes", async () => {
+    assert.equal((await get("/api/agents", "supervisor-key")).status, 403);
+    assert.equal((await get("/api/handoffs", "supervisor-key")).status, 200);
+    assert.equal((await get("/api/agents", "operator-key")).status, 403);
+    assert.equal((await get("/api/handoffs", "operator-key")).status, 200);
+  });
+
+  it("lets only members start calls on the default namespace", async () => {
+    const refused = server.connect({ auth: { token: "supervisor-key" } });
+    try {
+      assert.equal(
+        (await nextEvent(refused, "connect_error")).message,
+        "Forbidden"
+      );
+    } finally {
+      refused.close();
+    }
+
+    const member = server.connect({ auth: { token: "member-key" } });
+    try {
+      await nextEvent(member, "connect");
+    } finally {
+      member.close();
+    }
+  });
+
+  it("does not allow cross-origin requests unless configured", async () => {
+    const reply = await get("/api/agents", "member-key", {
+      origin: "https://evil.example",
+    });
+    assert.equal(reply.headers.get("access-control-allow-origin"), null);
+  });
+});
+
+describe("tenancy", () => {
+  const acme = { id: "acme", method: "api-key", role: "member" };
+  const local = { id: "local", method: "none", role: "admin" };
+
+  it("canAccess limits records to their owner", () => {
+    assert.equal(canAccess(acme, { ownerId: "acme" }), true);
+    assert.equal(canAccess(acme, { ownerId: "globex" }), false);
+    assert.equal(canAccess(acme, { ownerId: undefined }), false);
+    assert.equal(canAccess(acme, null), false);
+    assert.equal(canAccess(null, { ownerId: "acme" }), false);
+  });
+
+  it("admins of other workspaces get no special access to records", () => {
+    const admin = { id: "ops", method: "api-key", role: "admin" };
+    assert.equal(canAccess(admin, { ownerId: "acme" }), false);
+  });
+
+  it("only the local development account sees everything", () => {
+    assert.equal(canAccess(local, { ownerId: "globex" }), true);
+    assert.equal(ownerFilter(local), undefined);
+    assert.equal(ownerFilter(acme), "acme");
+  });
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createCallCapacity } from "../limits/call-capacity.js";
+
+describe("createCallCapacity", () => {
+  it("admits calls up to the limit and queues the rest", async () => {
+    const capacity = createCallCapacity({ maxCalls: 1 });
+    const release = await capacity.acquire("agent");
+
+    const positions = [];
+    const waiting = capacity.acquire("agent", {
+      onQueued: (position) => positions.push(position),
+    });
+    assert.deepEqual(capacity.stats(), { active: 1, queued: 1 });
+    assert.deepEqual(positions, [1]);
+
+    release();
+    const next = await waiting;
+    assert.deepEqual(capacity.stats(), { active: 1, queued: 0 });
+    next();
+    assert.deepEqual(capacity.stats(), { active: 0, queued: 0 });
+  });
+
+  it("releases a slot only once", async () => {
+    const capacity = createCallCapacity({ maxCalls: 2 });
+    const first = await capacity.acquire("agent");
+    const second = await capacity.acquire("agent");
+
+    first();
+    first();
+    assert.equal(capacity.stats().active, 1);
+
+    const third = await capacity.acquire("agent");
+    assert.equal(capacity.stats().active, 2);
+    second();
+    third();
+    assert.equal(capacity.stats().active, 0);
+  });
+
+  it("does not hold up other agents behind a full one", async () => {
+    const capacity = createCallCapacity({ maxCalls: 3, maxCallsPerAgent: 1 });
+    const busy = await capacity.acquire("busy");
+    const waiting = capacity.acquire("busy");
+
+    const other = await capacity.acquire("other");
+    assert.deepEqual(capacity.stats(), { active: 2, queued: 1 });
+
+    busy();
+    (await waiting)();
+    other();
+    assert.deepEqual(capacity.stats(), { active: 0, queued: 0 });
+  });
+
+  it("honours a per-agent limit override", async () => {
+    const capacity = createCallCapacity({ maxCallsPerAgent: 1 });
+    const releases = [
+      await capacity.acquire("agent", { agentLimit: 2 }),
+      await capacity.acquire("agent", { agentLimit: 2 }),
+    ];
+    assert.equal(capacity.stats().active, 2);
+    releases.forEach((release) => release());
+  });
+
+  it("gives up the queue place when the caller hangs up", async () => {
+    const capacity = createCallCapacity({ maxCalls: 1 });
+    const release = await capacity.acquire("agent");
+    const hangup = new AbortController();
+
+    const waiting = capacity.acquire("agent", { signal: hangup.signal });
+    hangup.abort();
+    await assert.rejects(waiting, /Call cancelled/);
+    assert.deepEqual(capacity.stats(), { active: 1, queued: 0 });
+
+    release();
+    assert.equal(capacity.stats().active, 0);
+  });
+
+  it("times out waiters and moves the others up", async () => {
+    const capacity = createCallCapacity({ maxCalls: 1, queueTimeoutMs: 20 });
+    const release = await capacity.acquire("agent");
+
+    const waiting = capacity.acquire("agent");
+    await assert.rejects(waiting, /Timed out waiting for a free line/);
+    assert.deepEqual(capacity.stats(), { active: 1, queued: 0 });
+    release();
+  });
+
+  it("rejects callers when the queue is full", async () => {
+    const capacity = createCallCapacity({ maxCalls: 1, maxQueue: 1 });
+    const release = await capacity.acquire("agent");
+    const hangup = new AbortController();
+    const waiting = capacity.acquire("agent", { signal: hangup.signal });
+
+    await assert.rejects(capacity.acquire("agent"), /All lines are busy/);
+
+    hangup.abort();
+    await assert.rejects(waiting);
+    release();
+  });
+});
@@ -0,0 +1,164 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createInputDecoder,
+  createOutputEncoder,
+  normalizeInputFormat,
+  normalizeOutputFormat,
+  toBuffer,
+} from "../audio/codecs.js";
+import { encodeMulaw } from "../audio/mulaw.js";
+import { interleaveStereo } from "../audio/pcm.js";
+import { pcm, samplesOf, tone } from "./helpers/audio.js";
+
+describe("format negotiation", () => {
+  it("fills in defaults", () => {
+    assert.deepEqual(normalizeInputFormat(), {
+      encoding: "pcm16",
+      sampleRate: 16000,
+      channels: 1,
+    });
+    assert.deepEqual(normalizeInputFormat({ encoding: "mulaw" }), {
+      encoding: "mulaw",
+      sampleRate: 8000,
+      channels: 1,
+    });
+    assert.deepEqual(
+      normalizeInputFormat({
+        encoding: "opus",
+        sampleRate: 48000,
+        channels: 2,
+      }),
+      {
+        encoding: "opus",
+        sampleRate: 16000,
+        channels: 1,
+      }
+    );
+    assert.deepEqual(normalizeOutputFormat(), {
+      encoding: "pcm16",
+      sampleRate: 24000,
+    });
+  });
+
+  it("rejects formats it cannot handle", () => {
+    assert.throws(
+      () => normalizeInputFormat({ encoding: "mp3" }),
+      /Unsupported input encoding "mp3"/
+    );
+    assert.throws(
+      () => normalizeInputFormat({ sampleRate: 4000 }),
+      /between 8000 and 96000/
+    );
+    assert.throws(
+      () => normalizeInputFormat({ channels: 3 }),
+      /channels must be 1 or 2/
+    );
+    assert.throws(
+      () => normalizeOutputFormat({ encoding: "aac" }),
+      /Unsupported output encoding/
+    );
+    assert.throws(
+      () => normalizeOutputFormat({ encoding: "opus", sampleRate: 44100 }),
+      /Opus output sampleRate/
+    );
+  });
+
+  it("does not take object properties for encodings", () => {
+    for (const encoding of ["constructor", "toString", "__proto__"]) {
+      assert.throws(
+        () => normalizeInputFormat({ encoding }),
+        /Unsupported input encoding/
+      );
+      assert.throws(
+        () => normalizeOutputFormat({ encoding }),
+        /Unsupported output encoding/
+      );
+    }
+  });
+
+  it("accepts base64 and binary audio", () => {
+    const bytes = Buffer.from([1, 2, 3, 4]);
+    assert.deepEqual(toBuffer(bytes.toString("base64")), bytes);
+    assert.deepEqual(toBuffer(new Uint8Array([1, 2, 3, 4]).buffer), bytes);
+    assert.deepEqual(
+      toBuffer(new Uint8Array([0, 1, 2, 3, 4]).subarray(1)),
+      bytes
+    );
+    assert.throws(() => toBuffer(42), /base64 text or binary/);
+  });
+});
+
+describe("input decoders", () => {
+  it("downmixes and resamples PCM to 16 kHz mono", () => {
+    const decoder = createInputDecoder({
+      encoding: "pcm16",
+      sampleRate: 48000,
+      channels: 2,
+    });
+    const stereo = interleaveStereo(
+      pcm([100, 100, 100, 100, 100, 100]),
+      pcm([300, 300, 300, 300, 300, 300])
+    );
+    assert.deepEqual(samplesOf(decoder.decode(stereo)), [200, 200]);
+    decoder.close();
+  });
+
+  it("converts float32 and mu-law", () => {
+    const floats = Buffer.alloc(8);
+    floats.writeFloatLE(0.5, 0);
+    floats.writeFloatLE(-1, 4);
+    const float32 = createInputDecoder({ encoding: "float32" });
+    assert.deepEqual(samplesOf(float32.decode(floats)), [16384, -32768]);
+
+    const mulaw = createInputDecoder({ encoding: "mulaw" });
+    assert.equal(mulaw.decode(encodeMulaw(tone(8000, 20))).length, 640);
+  });
+});
+
+describe("output encoders", () => {
+  it("labels PCM, float32 and mu-law with their rate", () => {
+    const agentAudio = tone(24000, 20);
+
+    const [pcmChunk] = createOutputEncoder().encode(agentAudio);
+    assert.equal(pcmChunk.mimeType, "audio/pcm;rate=24000");
+    assert.deepEqual(Buffer.from(pcmChunk.data, "base64"), agentAudio);
+
+    const [floatChunk] = createOutputEncoder({
+      encoding: "float32",
+      sampleRate: 16000,
+    }).encode(agentAudio);
+    assert.equal(floatChunk.mimeType, "audio/float32;rate=16000");
+    assert.equal(Buffer.from(floatChunk.data, "base64").length, 320 * 4);
+
+    const [mulawChunk] = createOutputEncoder({ encoding: "mulaw" }).encode(
+      agentAudio
+    );
+    assert.equal(mulawChunk.mimeType, "audio/x-mulaw;rate=8000");
+    assert.equal(Buffer.from(mulawChunk.data, "base64").length, 160);
+  });
+
+  it("sends nothing for empty audio", () => {
+    assert.deepEqual(createOutputEncoder().encode(Buffer.alloc(0)), []);
+  });
+
+  it("round-trips Opus in 20 ms packets", () => {
+    const encoder = createOutputEncoder({
+      encoding: "opus",
+      sampleRate: 16000,
+    });
+    const decoder = createInputDecoder({ encoding: "opus" });
+
+    // 50 ms of agent audio: two whole packets, the rest held back
+    const packets = encoder.encode(tone(24000, 50));
+    assert.equal(packets.length, 2);
+    assert.equal(packets[0].mimeType, "audio/opus;rate=16000");
+    assert.equal(encoder.encode(tone(24000, 10)).length, 1);
+
+    const decoded = packets.map((packet) => decoder.decode(packet.data));
+    decoded.forEach((frame) => assert.equal(frame.length, 320 * 2));
+
+    encoder.close();
+    decoder.close();
+  });
+});
@@ -0,0 +1,286 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { io } from "socket.io-client";
+import { nextEvent, startServer } from "./helpers/server.js";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  HANDOFF_TOOL_NAME,
+  createHandoffRules,
+  handoffDeclaration,
+  handoffInstruction,
+  summarizeForOperator,
+  validateHandoffConfig,
+} = await import("../handoff/index.js");
+
+describe("handoff config", () => {
+  it("reports every problem with the config", () => {
+    assert.deepEqual(
+      validateHandoffConfig({
+        enabled: true,
+        departments: ["billing"],
+        rules: [{ keywords: ["a person"], department: "billing" }],
+        aiAfterTransfer: "close",
+        timeoutMs: 30000,
+      }),
+      []
+    );
+    assert.deepEqual(validateHandoffConfig([]), ["handoff must be an object"]);
+    assert.deepEqual(
+      validateHandoffConfig({
+        enabled: "yes",
+        departments: ["billing", ""],
+        rules: [{ keywords: [] }, { keywords: ["x"], department: "sales" }],
+        aiAfterTransfer: "hang up",
+        timeoutMs: 0,
+      }),
+      [
+        "handoff.enabled must be a boolean",
+        "handoff.departments must be an array of strings",
+        "handoff.rules[0].keywords must be a non-empty array of strings",
+        "handoff.rules[1].department must be one of handoff.departments",
+        "handoff.aiAfterTransfer must be one of: pause, close",
+        "handoff.timeoutMs must be an integer between 1 and 600000",
+      ]
+    );
+  });
+
+  it("offers departments to the model only when there are some", () => {
+    const plain = handoffDeclaration({ enabled: true });
+    assert.equal(plain.name, HANDOFF_TOOL_NAME);
+    assert.equal(plain.parameters.properties.department, undefined);
+
+    const routed = handoffDeclaration({ departments: ["billing", "sales"] });
+    assert.deepEqual(routed.parameters.properties.department.enum, [
+      "billing",
+      "sales",
+    ]);
+    assert.match(
+      handoffInstruction({ enabled: true, departments: ["billing"] }),
+      /departments: billing/
+    );
+    assert.match(handoffInstruction(), /cannot transfer calls/);
+  });
+
+  it("matches only final caller utterances against the rules", () => {
+    const rules = createHandoffRules({
+      enabled: true,
+      rules: [{ keywords: ["a real person"], department: "support" }],
+    });
+    const said = (text, fields) => ({ speaker: "caller", text, ...fields });
+
+    assert.deepEqual(rules.match(said("Can I talk to a Real Person?")), {
+      reason: "The caller asked for a person",
+      department: "support",
+    });
+    assert.equal(rules.match(said("a real person", { partial: true })), null);
+    assert.equal(
+      rules.match({ speaker: "agent", text: "I am not a real person" }),
+      null
+    );
+    assert.equal(rules.match(said("a real personality")), null);
+    assert.equal(
+      createHandoffRules({ rules: [{ keywords: ["x"] }] }).match(said("x")),
+      null
+    );
+  });
+
+  it("briefs the operator with the conversation when summarizing fails", async () => {
+    const briefing = await summarizeForOperator({
+      reason: "Disputes a charge",
+      conversation: "Caller: I was charged twice",
+      summarize: async () => {
+        throw new Error("quota");
+      },
+    });
+    assert.equal(
+      briefing,
+      "Transfer reason: Disputes a charge\n\nConversation:\nCaller: I was charged twice"
+    );
+    assert.equal(
+      await summarizeForOperator({
+        reason: "Disputes a charge",
+        conversation: "Caller: I was charged twice",
+        summarize: async () => " Charged twice. ",
+      }),
+      "Charged twice."
+    );
+  });
+});
+
+describe("transfers on the mock provider", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  async function startCall(handoff, script) {
+    const { body } = await server.request("POST", "/api/agents", {
+      name: "Front desk",
+      provider: "mock",
+      providerOptions: { turnDelayMs: 20, script },
+      handoff,
+    });
+    const caller = server.connect();
+    const started = nextEvent(caller, "voice-session-started");
+    caller.emit("start-voice-session", {
+      agentId: body.agent.id,
+      version: "draft",
+    });
+    const { voiceSessionId } = await started;
+    return { caller, voiceSessionId };
+  }
+
+  async function connectOperator() {
+    const operator = io(`${server.url}/operators`, {
+      transports: ["websocket"],
+    });
+    await nextEvent(operator, "handoffs-waiting");
+    return operator;
+  }
+
+  it("hands the caller to the operator who accepts, and back", async () => {
+    const operator = await connectOperator();
+    const { caller, voiceSessionId } = await startCall({ enabled: true }, [
+      {
+        functionCalls: [
+          { name: HANDOFF_TOOL_NAME, args: { reason: "Wants a refund" } },
+        ],
+      },
+      { text: "Welcome back." },
+    ]);
+    try {
+      const offered = nextEvent(operator, "handoff-requested");
+      caller.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      const handoff = await offered;
+      assert.equal(handoff.voiceSessionId, voiceSessionId);
+      assert.equal(handoff.reason, "Wants a refund");
+      assert.equal(handoff.trigger, "tool");
+
+      const callerConnected = nextEvent(caller, "handoff-connected");
+      const operatorConnected = nextEvent(operator, "handoff-connected");
+      operator.emit("accept-handoff", {
+        handoffId: handoff.id,
+        operatorName: "Sam",
+      });
+      await callerConnected;
+      assert.deepEqual((await operatorConnected).audioFormat, {
+        encoding: "pcm16",
+        sampleRate: 16000,
+      });
+
+      // Caller and operator now hear each other
+      const heard = nextEvent(operator, "caller-audio");
+      caller.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      assert.equal((await heard).handoffId, handoff.id);
+      const played = nextEvent(caller, "audio-response");
+      operator.emit("operator-audio", {
+        handoffId: handoff.id,
+        audioData: Buffer.alloc(640).toString("base64"),
+      });
+      await played;
+
+      const ended = nextEvent(caller, "handoff-ended");
+      operator.emit("return-to-agent", { handoffId: handoff.id });
+      assert.equal(
+        (await ended).reason,
+        "Operator returned the call to the agent"
+      );
+
+      const { body } = await server.request(
+        "GET",
+        `/api/handoffs?voiceSessionId=${voiceSessionId}`
+      );
+      assert.deepEqual(
+        body.handoffs.map(({ status, operatorName }) => ({
+          status,
+          operatorName,
+        })),
+        [{ status: "ended", operatorName: "Sam" }]
+      );
+    } finally {
+      caller.close();
+      operator.close();
+    }
+  });
+
+  it("gives the call back when nobody accepts in time", async () => {
+    const operator = await connectOperator();
+    const { caller } = await startCall(
+      {
+        enabled: true,
+        rules: [{ keywords: ["a person"], reason: "Asked for a person" }],
+        timeoutMs: 100,
+      },
+      [
+        { callerTranscript: "Let me talk to a person", text: "One moment." },
+        { text: "Nobody is free, can I take a message?" },
+      ]
+    );
+    try {
+      const offered = nextEvent(operator, "handoff-requested");
+      const failed = nextEvent(caller, "handoff-failed");
+      const cancelled = nextEvent(operator, "handoff-cancelled");
+      caller.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+
+      const handoff = await offered;
+      assert.equal(handoff.trigger, "rule");
+      assert.equal(handoff.reason, "Asked for a person");
+      assert.equal((await failed).reason, "No operator answered");
+      assert.equal((await cancelled).handoffId, handoff.id);
+
+      const error = nextEvent(operator, "handoff-error");
+      operator.emit("accept-handoff", { handoffId: handoff.id });
+      assert.equal(
+        (await error).message,
+        "This call is no longer waiting for an operator"
+      );
+    } finally {
+      caller.close();
+      operator.close();
+    }
+  });
+
+  it("tells the model when no operator is online", async () => {
+    const { caller, voiceSessionId } = await startCall(
+      {
+        enabled: true,
+        rules: [{ keywords: ["a person"] }],
+      },
+      [
+        { callerTranscript: "Let me talk to a person", text: "One moment." },
+        { text: "Nobody is free, can I take a message?" },
+      ]
+    );
+    try {
+      const said = [];
+      const apologised = new Promise((resolve) =>
+        caller.on("transcript", (entry) => {
+          if (entry.speaker !== "agent" || entry.partial) return;
+          said.push(entry.text);
+          if (said.length === 2) resolve();
+        })
+      );
+      caller.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      await apologised;
+      // The agent answered the transfer notice without the caller speaking
+      assert.deepEqual(said, [
+        "One moment.",
+        "Nobody is free, can I take a message?",
+      ]);
+
+      const { body } = await server.request(
+        "GET",
+        `/api/handoffs?voiceSessionId=${voiceSessionId}`
+      );
+      assert.deepEqual(
+        body.handoffs.map(({ status }) => status),
+        ["unanswered"]
+      );
+    } finally {
+      caller.close();
+    }
+  });
+});
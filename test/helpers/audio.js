@@ -0,0 +1,21 @@
+// 16-bit little-endian PCM from sample values
+export const pcm = (samples) => {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => buffer.writeInt16LE(sample, index * 2));
+  return buffer;
+};
+
+export const samplesOf = (buffer) =>
+  Array.from({ length: buffer.length / 2 }, (_, index) =>
+    buffer.readInt16LE(index * 2)
+  );
+
+// A sine tone as 16-bit PCM
+export const tone = (sampleRate, durationMs, frequency = 440) =>
+  pcm(
+    Array.from({ length: (sampleRate * durationMs) / 1000 }, (_, index) =>
+      Math.round(
+        8000 * Math.sin((2 * Math.PI * frequency * index) / sampleRate)
+      )
+    )
+  );
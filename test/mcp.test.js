@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { connectMcpServers, validateMcpServers } from "../tools/mcp.js";
+import { fetchPublic } from "../tools/network.js";
+
+// A stateless streamable HTTP MCP server offering `toolNames`, each of which
+// answers with its own name
+async function startMcpServer(toolNames) {
+  const server = http.createServer(async (req, res) => {
+    if (req.url === "/moved") {
+      res.writeHead(302, { location: "http://169.254.169.254/latest" });
+      return res.end();
+    }
+    const mcp = new McpServer({ name: "test", version: "1.0.0" });
+    for (const name of toolNames) {
+      mcp.tool(name, async () => ({ content: [{ type: "text", text: name }] }));
+    }
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+    });
+    res.on("close", () => transport.close());
+    await mcp.connect(transport);
+    await transport.handleRequest(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("validateMcpServers", () => {
+  it("accepts complete stdio and http definitions", () => {
+    process.env.MCP_ALLOW_STDIO = "true";
+    try {
+      assert.deepEqual(
+        validateMcpServers([
+          {
+            name: "files",
+            transport: "stdio",
+            command: "mcp-files",
+            args: ["--root", "/srv"],
+            env: { LOG_LEVEL: "warn" },
+            cwd: "/srv",
+            timeoutMs: 5000,
+          },
+          {
+            name: "crm",
+            transport: "http",
+            url: "https://crm.example.com/mcp",
+            headers: { Authorization: "Bearer token" },
+          },
+        ]),
+        []
+      );
+    } finally {
+      delete process.env.MCP_ALLOW_STDIO;
+    }
+  });
+
+  it("checks every field", () => {
+    process.env.MCP_ALLOW_STDIO = "true";
+    try {
+      assert.deepEqual(
+        validateMcpServers([
+          {
+            name: "files",
+            transport: "stdio",
+            command: "mcp-files",
+            args: "--root /srv",
+            env: { "BAD NAME": "x", OK: 1 },
+            cwd: "relative/dir",
+            timeoutMs: 0,
+            url: "https://example.com",
+          },
+        ]),
+        [
+          'MCP server "files" timeoutMs must be an integer between 1 and 30000',
+          'MCP server "files" cannot set url on a stdio server',
+          'MCP server "files" args must be an array of at most 64 strings of at most 1024 characters',
+          'MCP server "files" env must map variable names to strings',
+          'MCP server "files" cwd must be an absolute path',
+        ]
+      );
+    } finally {
+      delete process.env.MCP_ALLOW_STDIO;
+    }
+
+    assert.deepEqual(
+      validateMcpServers([
+        {
+          name: "crm",
+          transport: "sse",
+          url: "https://crm.example.com/sse",
+          headers: { Host: "internal", "X-Token": "a\r\nb" },
+          command: "sh",
+        },
+        null,
+      ]),
+      [
+        'MCP server "crm" cannot set command on a sse server',
+        'MCP server "crm" cannot set the header "Host"',
+        'MCP server "crm" header "X-Token" must be a single-line string of at most 1024 characters',
+        "MCP server 2 must be an object",
+      ]
+    );
+  });
+});
+
+describe("fetchPublic", () => {
+  let server;
+  before(async () => {
+    server = await startMcpServer([]);
+  });
+  after(() => server.close());
+
+  it("refuses internal addresses", async () => {
+    await assert.rejects(
+      fetchPublic(`${server.url}/moved`),
+      /Requests to 127.0.0.1 are not allowed/
+    );
+    await assert.rejects(
+      fetchPublic("http://localhost:1/"),
+      /Requests to localhost are not allowed/
+    );
+  });
+
+  it("hands redirects back instead of following them", async () => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = "127.0.0.1";
+    try {
+      const response = await fetchPublic(`${server.url}/moved`);
+      assert.equal(response.status, 302);
+      assert.equal(
+        response.headers.get("location"),
+        "http://169.254.169.254/latest"
+      );
+    } finally {
+      delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    }
+  });
+});
+
+describe("connectMcpServers", () => {
+  let first;
+  let second;
+  before(async () => {
+    first = await startMcpServer(["b__c", "ping"]);
+    second = await startMcpServer(["c", "echo"]);
+  });
+  after(() => Promise.all([first.close(), second.close()]));
+
+  it("declares namespaced tools and skips names that are taken", async () => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = "127.0.0.1";
+    const mcp = await connectMcpServers(
+      [
+        { name: "a", transport: "http", url: `${first.url}/mcp` },
+        { name: "a__b", transport: "http", url: `${second.url}/mcp` },
+      ],
+      { reservedNames: ["a__ping"] }
+    );
+    try {
+      assert.deepEqual(mcp.status, [
+        { name: "a", connected: true, tools: ["b__c"], skippedTools: ["ping"] },
+        { name: "a__b", connected: true, tools: ["echo"], skippedTools: ["c"] },
+      ]);
+      assert.deepEqual(
+        mcp.extraTools.map((tool) => tool.declaration.name),
+        ["a__b__c", "a__b__echo"]
+      );
+
+      const echo = mcp.extraTools[1];
+      const result = await echo.handler(
+        {},
+        { signal: AbortSignal.timeout(5000) }
+      );
+      assert.deepEqual(result, { content: "echo" });
+    } finally {
+      delete process.env.OUTBOUND_ALLOWED_HOSTS;
+      await mcp.close();
+    }
+  });
+
+  it("does not connect to internal addresses", async () => {
+    const mcp = await connectMcpServers([
+      { name: "a", transport: "http", url: `${first.url}/mcp` },
+    ]);
+    assert.equal(mcp.status[0].connected, false);
+    assert.match(mcp.status[0].error, /not allowed/);
+    assert.deepEqual(mcp.extraTools, []);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import WebSocket from "ws";
+import { decodeMulaw, encodeMulaw } from "../audio/mulaw.js";
+import { pcm, samplesOf, tone } from "./helpers/audio.js";
+import { startServer } from "./helpers/server.js";
+
+describe("mu-law", () => {
+  it("round-trips samples within the codec's precision", () => {
+    const samples = [
+      0, 1, -1, 100, -100, 1000, -1000, 12345, -12345, 32767, -32768,
+    ];
+    const decoded = samplesOf(decodeMulaw(encodeMulaw(pcm(samples))));
+
+    decoded.forEach((value, index) => {
+      const original = Math.max(-32635, Math.min(32635, samples[index]));
+      assert.ok(
+        Math.abs(value - original) <= Math.max(8, Math.abs(original) / 16),
+        `${samples[index]} decoded as ${value}`
+      );
+    });
+  });
+
+  it("uses one byte per sample", () => {
+    assert.equal(encodeMulaw(pcm([1, 2, 3])).length, 3);
+    assert.equal(decodeMulaw(Buffer.from([0xff, 0x7f])).length, 4);
+  });
+});
+
+describe("media streams", { timeout: 20000 }, () => {
+  let server;
+  before(async () => {
+    server = await startServer({ MAX_CONCURRENT_CALLS: "1" });
+    const { status } = await server.request("POST", "/api/agent-provider", {
+      sessionId: "phone",
+      provider: "mock",
+      providerOptions: { turnDelayMs: 20, script: [{ text: "Hello caller." }] },
+    });
+    assert.equal(status, 200);
+  });
+  after(() => server.stop());
+
+  // Opens a stream and collects the frames and close code it gets back
+  const openStream = () => {
+    const ws = new WebSocket(
+      `${server.url.replace("http", "ws")}/media-stream?sessionId=phone`
+    );
+    const frames = [];
+    const closed = new Promise((resolve) =>
+      ws.on("close", (code, reason) => resolve({ code, reason: `${reason}` }))
+    );
+    ws.on("message", (data) => frames.push(JSON.parse(data)));
+    const opened = new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+    const send = (message) => ws.send(JSON.stringify(message));
+    const start = (streamSid) =>
+      send({
+        event: "start",
+        start: {
+          streamSid,
+          mediaFormat: { encoding: "audio/x-mulaw", sampleRate: 8000 },
+        },
+      });
+    const speak = (streamSid) =>
+      send({
+        event: "media",
+        streamSid,
+        media: {
+          track: "inbound",
+          payload: encodeMulaw(tone(8000, 100)).toString("base64"),
+        },
+      });
+    return { ws, frames, opened, closed, send, start, speak };
+  };
+
+  const waitFor = async (check, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+      if (Date.now() > deadline) throw new Error("Timed out");
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  };
+
+  it("answers caller audio with mu-law media and a mark", async () => {
+    const stream = openStream();
+    await stream.opened;
+    stream.start("MZ1");
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    stream.speak("MZ1");
+
+    await waitFor(() => stream.frames.some((frame) => frame.event === "mark"));
+    const media = stream.frames.find((frame) => frame.event === "media");
+    assert.equal(media.streamSid, "MZ1");
+    assert.ok(Buffer.from(media.media.payload, "base64").length > 0);
+
+    stream.send({ event: "stop", streamSid: "MZ1" });
+    await stream.closed;
+  });
+
+  it("refuses a second start without leaking the first call", async () => {
+    const stream = openStream();
+    await stream.opened;
+    stream.start("MZ2");
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    stream.start("MZ3");
+    assert.deepEqual(await stream.closed, {
+      code: 1008,
+      reason: "Stream already started",
+    });
+
+    // With one line, the next call only starts if the first was released
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const next = openStream();
+    await next.opened;
+    next.start("MZ4");
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    next.speak("MZ4");
+    await waitFor(() => next.frames.some((frame) => frame.event === "media"));
+    next.send({ event: "stop", streamSid: "MZ4" });
+    await next.closed;
+  });
+
+  it("closes streams that send oversized frames", async () => {
+    const stream = openStream();
+    await stream.opened;
+    stream.ws.send("x".repeat(100 * 1024));
+    assert.equal((await stream.closed).code, 1009);
+  });
+});
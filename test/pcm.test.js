@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createWavHeader,
+  interleaveStereo,
+  resamplePcm16,
+  sampleRateFromMimeType,
+} from "../audio/pcm.js";
+import { pcm, samplesOf, tone } from "./helpers/audio.js";
+
+describe("pcm helpers", () => {
+  it("resamples to the expected length", () => {
+    assert.equal(resamplePcm16(tone(24000, 100), 24000, 8000).length, 1600);
+    assert.equal(resamplePcm16(tone(8000, 100), 8000, 16000).length, 3200);
+    const same = tone(16000, 10);
+    assert.equal(resamplePcm16(same, 16000, 16000), same);
+  });
+
+  it("averages when downsampling and interpolates when upsampling", () => {
+    assert.deepEqual(
+      samplesOf(resamplePcm16(pcm([0, 30, 60, 90, 120, 150]), 24000, 8000)),
+      [30, 120]
+    );
+    assert.deepEqual(
+      samplesOf(resamplePcm16(pcm([0, 100]), 8000, 16000)),
+      [0, 50, 100, 100]
+    );
+  });
+
+  it("interleaves stereo, padding the shorter side", () => {
+    assert.deepEqual(
+      samplesOf(interleaveStereo(pcm([1, 2]), pcm([3]))),
+      [1, 3, 2, 0]
+    );
+  });
+
+  it("writes a WAV header", () => {
+    const header = createWavHeader({
+      sampleRate: 16000,
+      channels: 2,
+      dataLength: 100,
+    });
+    assert.equal(header.length, 44);
+    assert.equal(header.toString("ascii", 0, 4), "RIFF");
+    assert.equal(header.readUInt32LE(4), 136);
+    assert.equal(header.readUInt16LE(22), 2);
+    assert.equal(header.readUInt32LE(28), 64000);
+    assert.equal(header.readUInt32LE(40), 100);
+  });
+
+  it("reads the sample rate from mime types", () => {
+    assert.equal(sampleRateFromMimeType("audio/pcm;rate=24000", 16000), 24000);
+    assert.equal(sampleRateFromMimeType("audio/pcm", 16000), 16000);
+    assert.equal(sampleRateFromMimeType(undefined, 8000), 8000);
+  });
+});
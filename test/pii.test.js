@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { describe, it, mock } from "node:test";
+import {
+  createRedactor,
+  redactDocuments,
+  validatePiiPolicy,
+} from "../pii/index.js";
+
+describe("createRedactor", () => {
+  const { redact, redactValue } = createRedactor();
+
+  it("masks every built-in type by default", () => {
+    assert.equal(
+      redact("Card 4111 1111 1111 1111, SSN 123-45-6789"),
+      "Card [REDACTED:card], SSN [REDACTED:ssn]"
+    );
+    assert.equal(
+      redact("Mail jane.doe+x@example.co.uk or call (555) 123-4567"),
+      "Mail [REDACTED:email] or call [REDACTED:phone]"
+    );
+    assert.equal(
+      redact("My date of birth is March 3rd, 1980."),
+      "My date of birth is [REDACTED:dateOfBirth]."
+    );
+  });
+
+  it("leaves numbers that are not personal data alone", () => {
+    // Fails the Luhn check, and too short for a phone number
+    assert.equal(
+      redact("Order 4111 1111 1111 1112 costs 42"),
+      "Order 4111 1111 1111 1112 costs 42"
+    );
+    assert.equal(
+      redact("The meeting is on 2024-05-01"),
+      "The meeting is on 2024-05-01"
+    );
+  });
+
+  it("masks strings nested in objects and arrays", () => {
+    assert.deepEqual(
+      redactValue({ to: ["a@b.io"], count: 2, note: { ssn: "123-45-6789" } }),
+      { to: ["[REDACTED:email]"], count: 2, note: { ssn: "[REDACTED:ssn]" } }
+    );
+  });
+
+  it("honours mask and keep", () => {
+    const onlyEmail = createRedactor({ mask: ["email"] });
+    assert.equal(
+      onlyEmail.redact("a@b.io 123-45-6789"),
+      "[REDACTED:email] 123-45-6789"
+    );
+
+    const keepPhone = createRedactor({ keep: ["phone"] });
+    assert.equal(
+      keepPhone.redact("call 555 123 4567 or a@b.io"),
+      "call 555 123 4567 or [REDACTED:email]"
+    );
+  });
+
+  it("applies custom patterns, also in long text", () => {
+    const { redact } = createRedactor({
+      patterns: [{ name: "member", pattern: "MEM-\\d{6}", flags: "i" }],
+    });
+    assert.equal(redact("id mem-123456"), "id [REDACTED:member]");
+
+    const filler = "word ".repeat(400);
+    assert.equal(
+      redact(`${filler}MEM-123456 ${filler}MEM-654321`),
+      `${filler}[REDACTED:member] ${filler}[REDACTED:member]`
+    );
+  });
+});
+
+describe("validatePiiPolicy", () => {
+  const patternErrors = (pattern, flags) =>
+    validatePiiPolicy({ patterns: [{ name: "custom", pattern, flags }] });
+
+  it("accepts a usable policy", () => {
+    assert.deepEqual(
+      validatePiiPolicy({
+        mask: ["email", "member"],
+        keep: ["phone"],
+        patterns: [{ name: "member", pattern: "MEM-\\d{6}" }],
+        redactDocuments: true,
+      }),
+      []
+    );
+  });
+
+  it("rejects unknown types and wrong shapes", () => {
+    assert.deepEqual(validatePiiPolicy([]), ["pii must be an object"]);
+    assert.deepEqual(validatePiiPolicy({ mask: ["passport"] }), [
+      "pii.mask has unknown types: passport",
+    ]);
+    assert.deepEqual(validatePiiPolicy({ redactDocuments: "yes" }), [
+      "pii.redactDocuments must be a boolean",
+    ]);
+  });
+
+  it("rejects patterns prone to catastrophic backtracking", () => {
+    assert.match(patternErrors("(a+)+$")[0], /may not contain quantifiers/);
+    assert.match(patternErrors("(a|aa)*b")[0], /may not contain quantifiers/);
+    assert.match(patternErrors("(\\w)\\1")[0], /backreferences/);
+    assert.deepEqual(patternErrors("(?:ab)+[a-z]+\\d{2,4}"), []);
+  });
+
+  it("rejects neighbouring unbounded quantifiers over the same characters", () => {
+    for (const pattern of [
+      "\\w*\\w*\\w*\\w*\\w*\\w*!",
+      "\\d+\\d+",
+      "\\d+\\s*\\d+",
+      "[a-z]+a[a-z]+",
+    ]) {
+      assert.match(
+        patternErrors(pattern)[0],
+        /may not match the same characters/
+      );
+    }
+    for (const pattern of ["[\\w.]+@[\\w.]+", "\\d+\\.\\d+", "\\w+\\s+\\w+"]) {
+      assert.deepEqual(patternErrors(pattern), [], pattern);
+    }
+  });
+
+  it("rejects patterns that are too slow on probe inputs", () => {
+    assert.match(patternErrors("(\\w+)\\w+!")[0], /too slow/);
+  });
+
+  it("rejects oversized, malformed and flagged patterns", () => {
+    assert.match(patternErrors("a".repeat(201))[0], /at most 200 characters/);
+    assert.match(patternErrors("(")[0], /Invalid regular expression/);
+    assert.match(patternErrors("a", "y")[0], /flags may only use/);
+    assert.match(
+      validatePiiPolicy({
+        patterns: Array.from({ length: 21 }, (_, index) => ({
+          name: `p${index}`,
+          pattern: "x",
+        })),
+      })[0],
+      /at most 20 patterns/
+    );
+  });
+});
+
+describe("custom pattern time limit", () => {
+  it("masks instead of hanging on a pattern that backtracks", () => {
+    mock.method(console, "error", () => {});
+    // Stored before validation caught it
+    const { redact } = createRedactor({
+      patterns: [{ name: "slow", pattern: "\\w*\\w*\\w*\\w*\\w*\\w*!" }],
+    });
+
+    const started = Date.now();
+    assert.equal(redact("a".repeat(100)), "[REDACTED:slow]");
+    assert.equal(redact("a".repeat(100)), "[REDACTED:slow]");
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(console.error.mock.callCount(), 1);
+    mock.restoreAll();
+  });
+});
+
+describe("redactDocuments", () => {
+  const documents = [
+    {
+      name: "faq.txt",
+      content: "Email help@acme.io. Card 4111 1111 1111 1111.",
+    },
+  ];
+
+  it("always masks cards and SSNs but keeps contact details", () => {
+    assert.deepEqual(redactDocuments(documents), [
+      { name: "faq.txt", content: "Email help@acme.io. Card [REDACTED:card]." },
+    ]);
+  });
+
+  it("applies the whole policy when it asks to", () => {
+    assert.deepEqual(redactDocuments(documents, { redactDocuments: true }), [
+      {
+        name: "faq.txt",
+        content: "Email [REDACTED:email]. Card [REDACTED:card].",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { describe, it } from "node:test";
+import { createPlaybackQueue } from "../audio/playback.js";
+import { tone } from "./helpers/audio.js";
+
+const fakeSpeaker = () => ({
+  written: [],
+  write(chunk) {
+    this.written.push(chunk);
+  },
+  get writtenMs() {
+    return this.written.reduce((total, chunk) => total + chunk.length, 0) / 32;
+  },
+});
+
+describe("playback queue", () => {
+  it("keeps only a short lead in the speaker and plays the rest over time", async () => {
+    const speaker = fakeSpeaker();
+    const playback = createPlaybackQueue(speaker, {
+      sampleRate: 16000,
+      leadMs: 40,
+    });
+
+    playback.play(tone(16000, 100));
+    assert.equal(speaker.writtenMs, 40);
+    assert.equal(playback.queuedMs, 60);
+
+    await sleep(250);
+    assert.equal(speaker.writtenMs, 100);
+    assert.equal(playback.queuedMs, 0);
+  });
+
+  it("drops what the speaker has not been given on flush", async () => {
+    const speaker = fakeSpeaker();
+    const playback = createPlaybackQueue(speaker, {
+      sampleRate: 16000,
+      leadMs: 40,
+    });
+
+    playback.play(tone(16000, 1000));
+    assert.equal(playback.flush(), 960);
+
+    await sleep(100);
+    assert.equal(speaker.writtenMs, 40);
+    assert.equal(playback.queuedMs, 0);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  countInstructionTokens,
+  findMissingVariables,
+  formatCallerInfo,
+  getPromptTemplate,
+  renderTemplate,
+  validatePromptSelection,
+  validatePromptTemplate,
+} = await import("../prompts/index.js");
+
+const template = {
+  body: "Hello from {{company}}.{{#hours}} Open {{hours}}.{{/hours}}{{^hours}} Hours vary.{{/hours}} {{agentType}}",
+  variables: [
+    { name: "company", required: true },
+    { name: "hours", default: "9-5" },
+  ],
+};
+
+describe("prompt templates", () => {
+  it("renders values, defaults and sections without escaping", () => {
+    assert.equal(
+      renderTemplate(template, { company: "A & B", agentType: "support" }),
+      "Hello from A & B. Open 9-5. support"
+    );
+    assert.equal(
+      renderTemplate(
+        { ...template, variables: [{ name: "company" }, { name: "hours" }] },
+        { company: "Acme" }
+      ),
+      "Hello from Acme. Hours vary."
+    );
+  });
+
+  it("refuses to render without required variables", () => {
+    assert.deepEqual(findMissingVariables(template, { company: "" }), [
+      "company",
+    ]);
+    assert.throws(
+      () => renderTemplate(template, {}),
+      /Missing template variables: company/
+    );
+  });
+
+  it("validates template definitions", () => {
+    assert.deepEqual(validatePromptTemplate({ name: "Mine", ...template }), []);
+    assert.deepEqual(
+      validatePromptTemplate({ name: "Mine", body: "{{unknown}}" }),
+      ["Undeclared template variables: unknown"]
+    );
+    assert.deepEqual(
+      validatePromptTemplate({ name: "Mine", body: "{{> partial}}" }),
+      ["body: Partials are not supported"]
+    );
+    assert.deepEqual(
+      validatePromptTemplate({
+        name: "Mine",
+        body: "{{documents}}",
+        variables: [{ name: "documents" }],
+      }),
+      ['variables[0].name "documents" is set by the call']
+    );
+  });
+
+  it("names the types a variable value may have", () => {
+    assert.deepEqual(
+      validatePromptSelection({
+        templateId: "default",
+        variables: { company: "Acme", open: true, floors: 3 },
+      }),
+      []
+    );
+    assert.deepEqual(
+      validatePromptSelection({ variables: { company: { name: "Acme" } } }),
+      ["prompt.variables.company must be a string, number or boolean"]
+    );
+    assert.deepEqual(validatePromptSelection({ templateId: 7 }), [
+      "prompt.templateId must be a string",
+    ]);
+  });
+
+  it("offers the built-in templates", async () => {
+    const builtin = await getPromptTemplate();
+    assert.equal(builtin.id, "default");
+    assert.equal(builtin.builtin, true);
+    assert.equal(await getPromptTemplate("missing"), null);
+  });
+
+  it("formats caller info and estimates tokens", async () => {
+    assert.equal(
+      formatCallerInfo({ name: "Ada", plan: "pro", notes: null, tags: [] }),
+      "name: Ada\nplan: pro"
+    );
+    assert.equal(formatCallerInfo("VIP"), "VIP");
+    assert.deepEqual(await countInstructionTokens("a".repeat(10)), {
+      tokens: 3,
+      method: "estimate",
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { open } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, it, mock } from "node:test";
+import { tone } from "./helpers/audio.js";
+
+// Recordings go to a scratch directory; the metadata stays in memory
+const recordingsDir = mkdtempSync(path.join(tmpdir(), "voice-agent-rec-"));
+process.env.RECORDINGS_DIR = recordingsDir;
+process.env.STORAGE_DRIVER = "memory";
+const { createCallRecorder, getRecordingPath, recordings } = await import(
+  "../recordings/recorder.js"
+);
+after(() => rmSync(recordingsDir, { recursive: true, force: true }));
+
+describe("call recorder", () => {
+  it("writes caller, agent and mixed tracks", async () => {
+    const recorder = await createCallRecorder({
+      voiceSessionId: "recorded",
+      sessionId: "session",
+    });
+    recorder.writeCaller(tone(16000, 100).toString("base64"));
+    recorder.writeAgent(tone(24000, 100).toString("base64"));
+    await recorder.close();
+
+    const record = await recordings.get("recorded");
+    assert.equal(record.status, "complete");
+    assert.deepEqual(
+      record.tracks.map(({ track, channels, durationMs }) => [
+        track,
+        channels,
+        durationMs,
+      ]),
+      [
+        ["caller", 1, 100],
+        ["agent", 1, 100],
+        ["mixed", 2, 100],
+      ]
+    );
+
+    const mixed = readFileSync(getRecordingPath("recorded", "mixed"));
+    assert.equal(mixed.toString("ascii", 0, 4), "RIFF");
+    assert.equal(mixed.readUInt32LE(40), mixed.length - 44);
+  });
+
+  it("marks the recording failed when the disk refuses a write", async () => {
+    const recorder = await createCallRecorder({
+      voiceSessionId: "disk-full",
+      sessionId: "session",
+    });
+
+    // Every file handle shares one prototype; fail the writes made from here on
+    const probe = await open(getRecordingPath("disk-full", "caller"));
+    const write = mock.method(Object.getPrototypeOf(probe), "write", () =>
+      Promise.reject(Object.assign(new Error("no space"), { code: "ENOSPC" }))
+    );
+    await probe.close();
+
+    try {
+      recorder.writeCaller(tone(16000, 20).toString("base64"));
+      recorder.writeCaller(tone(16000, 20).toString("base64"));
+      recorder.writeAgent(tone(24000, 20).toString("base64"));
+      await recorder.close();
+    } finally {
+      write.mock.restore();
+    }
+
+    // The failed writes surface here instead of as unhandled rejections
+    const record = await recordings.get("disk-full");
+    assert.equal(record.status, "failed");
+    assert.equal(record.error, "no space");
+  });
+});
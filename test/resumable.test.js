@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { describe, it } from "node:test";
+import { createMockProvider } from "../providers/mock.js";
+import { connectResumable } from "../providers/resumable.js";
+import { tone } from "./helpers/audio.js";
+
+const script = [{ text: "one" }, { text: "two" }];
+
+// Records what a client of the resumable session gets to see
+function listen() {
+  const seen = { opened: 0, said: [], closed: [], reconnecting: [] };
+  const events = {
+    callbacks: {
+      onopen: () => seen.opened++,
+      onmessage: (message) =>
+        message.serverContent?.modelTurn?.parts.forEach(
+          (part) => part.text && seen.said.push(part.text)
+        ),
+      onclose: (event) => seen.closed.push(event.reason),
+    },
+    onReconnecting: (reason) => seen.reconnecting.push(reason),
+    onReconnected: (details) => (seen.reconnected = details),
+    delayMs: 10,
+  };
+  return { seen, events };
+}
+
+describe("connectResumable", () => {
+  it("resumes a dropped connection where the conversation left off", async () => {
+    const provider = createMockProvider({ script, dropAfterMs: 100 });
+    const { seen, events } = listen();
+    const session = await connectResumable(provider, events);
+
+    session.sendRealtimeInput({ text: "hello" });
+    await sleep(200);
+    assert.deepEqual(seen.reconnecting, ["Mock connection dropped"]);
+    assert.deepEqual(seen.reconnected, { bufferedChunks: 0 });
+
+    session.sendRealtimeInput({ text: "and then?" });
+    await sleep(20);
+    assert.deepEqual(seen.said, ["one", "two"]);
+    assert.equal(seen.opened, 1);
+    assert.deepEqual(seen.closed, []);
+
+    session.close();
+    await sleep(20);
+    assert.deepEqual(seen.closed, ["Mock session closed"]);
+  });
+
+  it("holds audio back while reconnecting", async () => {
+    const mock = createMockProvider({ script, dropAfterMs: 50 });
+    // Resuming takes a while, as it does over the network
+    const provider = {
+      async connect(options) {
+        if (options.config.sessionResumption.handle) await sleep(50);
+        return mock.connect(options);
+      },
+    };
+    const { seen, events } = listen();
+    const session = await connectResumable(provider, {
+      ...events,
+      onReconnecting: () => {
+        session.sendRealtimeInput({
+          audio: { data: tone(16000, 20).toString("base64") },
+        });
+      },
+    });
+
+    await sleep(200);
+    assert.deepEqual(seen.reconnected, { bufferedChunks: 1 });
+    session.close();
+  });
+
+  it("ends the conversation when it cannot be resumed", async () => {
+    const provider = createMockProvider({
+      script,
+      dropAfterMs: 50,
+      resumable: false,
+    });
+    const { seen, events } = listen();
+    await connectResumable(provider, events);
+
+    await sleep(100);
+    assert.deepEqual(seen.reconnecting, []);
+    assert.deepEqual(seen.closed, ["Mock connection dropped"]);
+  });
+});
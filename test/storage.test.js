@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { createFileDriver } from "../storage/file.js";
+import { createRepository } from "../storage/repository.js";
+
+const dataDir = mkdtempSync(path.join(tmpdir(), "voice-agent-storage-"));
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+const open = (name) => createRepository(createFileDriver(name, dataDir));
+
+describe("file storage", () => {
+  it("keeps one file per record and reloads them", async () => {
+    const calls = open("calls");
+    await calls.create("a", { text: "first" });
+    await calls.create("b/../c", { text: "second" });
+    await calls.update("a", { text: "changed" });
+    await calls.delete("b/../c");
+    await calls.create("x".repeat(300), { text: "long id" });
+
+    assert.equal(readdirSync(path.join(dataDir, "calls")).length, 2);
+    const reloaded = open("calls");
+    assert.equal((await reloaded.get("a")).text, "changed");
+    assert.equal(await reloaded.get("b/../c"), null);
+    assert.equal((await reloaded.get("x".repeat(300))).text, "long id");
+  });
+
+  it("lands concurrent updates in order", async () => {
+    const counters = open("counters");
+    await counters.create("n", { value: 0 });
+    await Promise.all(
+      Array.from({ length: 20 }, (_, value) => counters.update("n", { value }))
+    );
+
+    assert.equal((await open("counters").get("n")).value, 19);
+  });
+
+  it("splits up a collection stored in the old single file", async () => {
+    writeFileSync(
+      path.join(dataDir, "legacy.json"),
+      JSON.stringify({ a: { id: "a" }, b: { id: "b" } })
+    );
+
+    const legacy = open("legacy");
+    assert.deepEqual(
+      (await legacy.list()).map((record) => record.id),
+      ["a", "b"]
+    );
+    assert.deepEqual(readdirSync(path.join(dataDir, "legacy")).sort(), [
+      "a.json",
+      "b.json",
+    ]);
+    assert.ok(!readdirSync(dataDir).includes("legacy.json"));
+  });
+});
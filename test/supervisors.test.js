@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { io } from "socket.io-client";
+import {
+  MAX_WHISPER_LENGTH,
+  validateWhisper,
+  whisperInstruction,
+} from "../supervisors/index.js";
+import { nextEvent, startServer } from "./helpers/server.js";
+
+describe("whispers", () => {
+  it("validates the text", () => {
+    assert.deepEqual(validateWhisper("Offer the annual plan"), []);
+    assert.deepEqual(validateWhisper("  "), [
+      "text must be a non-empty string",
+    ]);
+    assert.deepEqual(validateWhisper(42), ["text must be a non-empty string"]);
+    assert.deepEqual(validateWhisper("x".repeat(MAX_WHISPER_LENGTH + 1)), [
+      `text must be at most ${MAX_WHISPER_LENGTH} characters`,
+    ]);
+  });
+
+  it("tells the model the guidance is not from the caller", () => {
+    assert.match(
+      whisperInstruction(" Offer the annual plan "),
+      /^SUPERVISOR GUIDANCE \(from your supervisor, not the caller;.*\): Offer the annual plan$/
+    );
+  });
+});
+
+describe("supervising calls on the mock provider", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+    await server.request("POST", "/api/agent-provider", {
+      sessionId: "supervised",
+      provider: "mock",
+      providerOptions: {
+        turnDelayMs: 20,
+        script: [{ callerTranscript: "Hi there", text: "Hello!" }],
+      },
+    });
+  });
+  after(() => server.stop());
+
+  const connectSupervisor = () =>
+    io(`${server.url}/supervisors`, { transports: ["websocket"] });
+
+  it("announces calls and lets a supervisor listen and whisper", async () => {
+    const supervisor = connectSupervisor();
+    await new Promise((resolve) => supervisor.once("connect", resolve));
+    const caller = server.connect();
+    try {
+      const announced = nextEvent(supervisor, "session-started");
+      caller.emit("start-voice-session", { sessionId: "supervised" });
+      const { voiceSessionId } = await announced;
+
+      const listed = nextEvent(supervisor, "active-sessions");
+      supervisor.emit("list-sessions");
+      assert.deepEqual(
+        (await listed).sessions.map((call) => call.voiceSessionId),
+        [voiceSessionId]
+      );
+
+      const listening = nextEvent(supervisor, "listening");
+      supervisor.emit("listen", { voiceSessionId });
+      assert.equal((await listening).listeners, 1);
+
+      const callerAudio = nextEvent(supervisor, "caller-audio");
+      const agentAudio = nextEvent(supervisor, "agent-audio");
+      const transcripts = [];
+      supervisor.on("transcript", (entry) => {
+        if (!entry.partial) transcripts.push([entry.speaker, entry.text]);
+      });
+      const spoken = nextEvent(caller, "ai-speaking-end");
+      caller.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      await Promise.all([callerAudio, agentAudio, spoken]);
+      assert.deepEqual(transcripts, [
+        ["caller", "Hi there"],
+        ["agent", "Hello!"],
+      ]);
+
+      // The model gets the guidance without answering it out loud
+      let answered = false;
+      caller.on("ai-speaking-start", () => (answered = true));
+      const sent = nextEvent(supervisor, "whisper-sent");
+      supervisor.emit("whisper", {
+        voiceSessionId,
+        text: "Offer the annual plan",
+      });
+      assert.equal((await sent).text, "Offer the annual plan");
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(answered, false);
+
+      const ended = nextEvent(supervisor, "session-ended");
+      caller.emit("stop-voice-session");
+      assert.equal((await ended).voiceSessionId, voiceSessionId);
+    } finally {
+      caller.close();
+      supervisor.close();
+    }
+  });
+
+  it("reports bad whispers and unknown calls", async () => {
+    const supervisor = connectSupervisor();
+    try {
+      const invalid = nextEvent(supervisor, "supervisor-error");
+      supervisor.emit("whisper", { voiceSessionId: "gone", text: "" });
+      assert.equal((await invalid).message, "text must be a non-empty string");
+
+      const missing = nextEvent(supervisor, "supervisor-error");
+      supervisor.emit("listen", { voiceSessionId: "gone" });
+      assert.deepEqual(await missing, {
+        voiceSessionId: "gone",
+        message: "Call not found",
+      });
+    } finally {
+      supervisor.close();
+    }
+  });
+});
@@ -0,0 +1,220 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import {
+  createToolSet,
+  listBuiltinHandlers,
+  registerBuiltinHandler,
+  validateToolDefinitions,
+} from "../tools/index.js";
+import { isPublicAddress } from "../tools/network.js";
+import { toGeminiSchema } from "../tools/schema.js";
+
+const webhookTool = (url, fields = {}) => ({
+  name: "lookup_order",
+  description: "Finds an order",
+  parameters: { type: "object", properties: { id: { type: "string" } } },
+  executor: { type: "webhook", url, ...fields },
+});
+
+describe("tool definitions", () => {
+  it("converts JSON Schema to the live API's schema", () => {
+    assert.deepEqual(
+      toGeminiSchema({
+        type: "object",
+        properties: {
+          id: { type: "string", description: "Order id" },
+          note: { type: ["string", "null"] },
+          count: { type: "integer", enum: [1, 2] },
+          tags: { type: "array", items: { type: "string" } },
+        },
+        required: ["id"],
+      }),
+      {
+        type: "OBJECT",
+        properties: {
+          id: { type: "STRING", description: "Order id" },
+          note: { type: "STRING", nullable: true },
+          count: { type: "INTEGER", enum: ["1", "2"] },
+          tags: { type: "ARRAY", items: { type: "STRING" } },
+        },
+        required: ["id"],
+      }
+    );
+  });
+
+  it("reports every problem with a definition", () => {
+    const builtinNames = listBuiltinHandlers();
+    assert.deepEqual(
+      validateToolDefinitions([webhookTool("https://example.com/hook")], {
+        builtinNames,
+      }),
+      []
+    );
+    assert.deepEqual(
+      validateToolDefinitions(
+        [
+          webhookTool("ftp://example.com", {
+            method: "TRACE",
+            headers: { Host: "x" },
+            timeoutMs: 60000,
+          }),
+          {
+            name: "lookup_order",
+            description: "Again",
+            executor: { type: "builtin", handler: "nope" },
+          },
+        ],
+        { builtinNames }
+      ),
+      [
+        'Tool "lookup_order" webhook executor needs an http(s) url',
+        'Tool "lookup_order" webhook method must be one of: GET, POST, PUT, PATCH, DELETE',
+        'Tool "lookup_order" webhook cannot set the header "Host"',
+        'Tool "lookup_order" timeoutMs must be an integer between 1 and 30000',
+        'Tool "lookup_order" is defined more than once',
+        `Tool "lookup_order" uses unknown builtin handler "nope". Available: ${builtinNames.join(
+          ", "
+        )}`,
+      ]
+    );
+  });
+
+  it("knows which addresses are internal", () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "169.254.169.254", "::1"]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+    assert.equal(isPublicAddress("::ffff:192.168.0.1"), false);
+    assert.equal(isPublicAddress("8.8.8.8"), true);
+    assert.equal(isPublicAddress("not an address"), false);
+  });
+});
+
+describe("tool sets", () => {
+  registerBuiltinHandler("test_echo", async (args) => ({ echoed: args }));
+  registerBuiltinHandler(
+    "test_hang",
+    (args, { signal }) =>
+      new Promise((_, reject) =>
+        signal.addEventListener("abort", () => reject(signal.reason))
+      )
+  );
+
+  const builtin = (name, handler, timeoutMs) => ({
+    name,
+    description: name,
+    executor: { type: "builtin", handler, timeoutMs },
+  });
+
+  it("runs builtin and server tools and reports failures", async () => {
+    const toolSet = createToolSet({
+      tools: [builtin("echo", "test_echo")],
+      extraTools: [
+        {
+          declaration: { name: "search_knowledge" },
+          handler: async () => {
+            throw new Error("index offline");
+          },
+        },
+      ],
+    });
+
+    assert.deepEqual(
+      toolSet.declarations().map((declaration) => declaration.name),
+      ["echo", "search_knowledge"]
+    );
+    assert.deepEqual(
+      await toolSet.execute({ id: "1", name: "echo", args: { a: 1 } }),
+      { result: { echoed: { a: 1 } } }
+    );
+    assert.deepEqual(
+      await toolSet.execute({ id: "2", name: "search_knowledge" }),
+      { error: "index offline" }
+    );
+    assert.deepEqual(await toolSet.execute({ id: "3", name: "missing" }), {
+      error: "Unknown tool: missing",
+    });
+  });
+
+  it("times out and cancels calls", async () => {
+    const toolSet = createToolSet({
+      tools: [builtin("hang", "test_hang", 20), builtin("wait", "test_hang")],
+    });
+
+    assert.deepEqual(await toolSet.execute({ id: "1", name: "hang" }), {
+      error: "Tool timed out after 20ms",
+    });
+
+    const waiting = toolSet.execute({ id: "2", name: "wait" });
+    toolSet.cancel(["2"]);
+    assert.deepEqual(await waiting, { error: "Tool call was cancelled" });
+  });
+});
+
+describe("webhook tools", () => {
+  let server;
+  let url;
+  const received = [];
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        if (req.url === "/fail") {
+          res.writeHead(503, { "content-type": "application/json" });
+          return res.end('{"message":"down"}');
+        }
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end('{"status":"shipped"}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  it("posts redacted arguments and returns the reply", async () => {
+    process.env.OUTBOUND_ALLOWED_HOSTS = "127.0.0.1";
+    try {
+      const toolSet = createToolSet({
+        tools: [webhookTool(`${url}/orders`, { headers: { "X-Key": "k" } })],
+        sessionId: "agent-1",
+        redactPayload: (args) => ({ ...args, email: "[REDACTED:email]" }),
+      });
+      assert.deepEqual(
+        await toolSet.execute({
+          id: "call-1",
+          name: "lookup_order",
+          args: { id: "42", email: "ada@example.com" },
+        }),
+        { result: { status: "shipped" } }
+      );
+      assert.deepEqual(received.at(-1).body, {
+        tool: "lookup_order",
+        arguments: { id: "42", email: "[REDACTED:email]" },
+        callId: "call-1",
+        sessionId: "agent-1",
+      });
+      assert.equal(received.at(-1).headers["x-key"], "k");
+
+      const failing = createToolSet({ tools: [webhookTool(`${url}/fail`)] });
+      assert.deepEqual(
+        await failing.execute({ id: "call-2", name: "lookup_order" }),
+        { error: 'Webhook responded with 503: {"message":"down"}' }
+      );
+    } finally {
+      delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    }
+  });
+
+  it("does not reach internal addresses", async () => {
+    const toolSet = createToolSet({ tools: [webhookTool(`${url}/orders`)] });
+    const before = received.length;
+    assert.deepEqual(
+      await toolSet.execute({ id: "call-3", name: "lookup_order" }),
+      { error: "Requests to 127.0.0.1 are not allowed" }
+    );
+    assert.equal(received.length, before);
+  });
+});
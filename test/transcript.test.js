@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { describe, it } from "node:test";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  conversations,
+  createTranscriptRecorder,
+  getTranscript,
+  listConversations,
+  transcriptEntries,
+} = await import("../conversations/transcript.js");
+
+const lines = (transcript) =>
+  transcript.entries.map(({ speaker, text }) => `${speaker}: ${text}`);
+
+describe("transcript recorder", () => {
+  it("logs final utterances in order, one record per line", async () => {
+    const updates = [];
+    const recorder = createTranscriptRecorder({
+      voiceSessionId: "call-1",
+      sessionId: "support",
+      ownerId: "acme",
+      redact: (text) => text.replace(/\d/g, "#"),
+      onUpdate: (entry) => updates.push(entry),
+    });
+
+    recorder.addInput({ text: "My PIN is " });
+    recorder.addInput({ text: "1234", finished: true });
+    recorder.addOutput({ text: "Thanks, " });
+    recorder.addOutput({ text: "checking." });
+    recorder.addInput({ text: "Hello?" });
+    recorder.endTurn();
+    // Let the queued writes land
+    await sleep(10);
+
+    const [live] = await listConversations({ sessionId: "support" });
+    assert.equal(live.entryCount, 3);
+    assert.equal(live.endedAt, null);
+    await recorder.close();
+
+    const transcript = await getTranscript("call-1");
+    assert.deepEqual(lines(transcript), [
+      "caller: My PIN is ####",
+      "agent: Thanks, checking.",
+      "caller: Hello?",
+    ]);
+    assert.ok(transcript.endedAt);
+    assert.equal(transcript.ownerId, "acme");
+
+    // Lines live in their own records, not in the conversation record
+    assert.equal((await conversations.get("call-1")).entries, undefined);
+    assert.equal(
+      (await transcriptEntries.list({ voiceSessionId: "call-1" })).length,
+      3
+    );
+    const [ended] = await listConversations({ sessionId: "support" });
+    assert.equal(ended.entryCount, 3);
+
+    // Live updates show the unredacted text, partials included
+    assert.deepEqual(
+      updates.filter((update) => !update.partial).map((update) => update.text),
+      ["My PIN is 1234", "Thanks, checking.", "Hello?"]
+    );
+  });
+
+  it("still reads conversations that kept their lines inline", async () => {
+    await conversations.create("legacy", {
+      sessionId: "old",
+      startedAt: "2025-01-01T00:00:00.000Z",
+      entries: [{ speaker: "caller", text: "Hi" }],
+    });
+
+    assert.deepEqual(lines(await getTranscript("legacy")), ["caller: Hi"]);
+    const [call] = await listConversations({ sessionId: "old" });
+    assert.equal(call.entryCount, 1);
+    assert.equal(call.entries, undefined);
+    assert.equal(await getTranscript("missing"), null);
+  });
+});
@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  createUsageMeter,
+  loadRateTable,
+  priceUsage,
+  ratesFor,
+  summarizeUsage,
+  toCsv,
+  usageRecords,
+  validateRateTable,
+} = await import("../usage/index.js");
+
+const scratch = mkdtempSync(path.join(tmpdir(), "voice-agent-usage-"));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+const ratesFile = (name, contents) => {
+  const file = path.join(scratch, name);
+  writeFileSync(file, contents);
+  return file;
+};
+
+const record = (id, fields) => ({
+  id,
+  ownerId: "acme",
+  sessionId: "support",
+  startedAt: "2026-01-02T10:00:00.000Z",
+  durationSeconds: 60,
+  inputTextTokens: 0,
+  inputAudioTokens: 1e6,
+  outputTextTokens: 0,
+  outputAudioTokens: 0,
+  totalTokens: 1e6,
+  provider: "gemini",
+  cost: null,
+  ...fields,
+});
+
+describe("usage pricing", () => {
+  it("prices calls per minute and per million tokens", () => {
+    const rates = ratesFor({ provider: "gemini" }, loadRateTable(""));
+    assert.equal(rates.inputAudioPerMillion, 3);
+    assert.equal(priceUsage(record("a"), { ...rates, perMinute: 0.5 }), 3.5);
+    assert.equal(ratesFor({ provider: "mock" }).inputAudioPerMillion, 0);
+  });
+
+  it("lets the rates file override models", () => {
+    const table = loadRateTable(
+      ratesFile("rates.json", '{"fast-model":{"perMinute":1}}')
+    );
+    assert.equal(ratesFor({ model: "fast-model" }, table).perMinute, 1);
+    assert.equal(
+      ratesFor({ model: "fast-model" }, table).outputTextPerMillion,
+      2
+    );
+    loadRateTable("");
+  });
+
+  it("refuses a missing or malformed rates file", () => {
+    assert.throws(
+      () => loadRateTable(path.join(scratch, "missing.json")),
+      /Cannot read USAGE_RATES_FILE/
+    );
+    assert.throws(
+      () => loadRateTable(ratesFile("broken.json", "{")),
+      /Cannot read USAGE_RATES_FILE/
+    );
+    assert.throws(
+      () =>
+        loadRateTable(
+          ratesFile("negative.json", '{"default":{"perMinute":-1}}')
+        ),
+      /default.perMinute must be a non-negative number/
+    );
+    assert.deepEqual(validateRateTable({ default: { perSecond: 1 } }), [
+      "Unknown rate in default: perSecond",
+    ]);
+    assert.deepEqual(validateRateTable([]), [
+      "the rate table must be an object",
+    ]);
+  });
+
+  it("does not start the server with a broken rates file", async () => {
+    await assert.rejects(
+      startServer({ USAGE_RATES_FILE: path.join(scratch, "missing.json") }),
+      /Server exited with 1[\s\S]*Cannot read USAGE_RATES_FILE/
+    );
+  });
+});
+
+describe("usage records", () => {
+  it("meters a call and prices it when it ends", async () => {
+    const meter = createUsageMeter({
+      voiceSessionId: "metered",
+      workspaceId: "acme",
+      sessionId: "support",
+      provider: "gemini",
+    });
+    meter.add({
+      promptTokenCount: 100,
+      promptTokensDetails: [{ modality: "AUDIO", tokenCount: 80 }],
+      responseTokenCount: 50,
+    });
+    await meter.close();
+
+    const stored = await usageRecords.get("metered");
+    assert.equal(stored.inputAudioTokens, 80);
+    assert.equal(stored.inputTextTokens, 20);
+    assert.equal(stored.outputTextTokens, 50);
+    assert.equal(stored.totalTokens, 150);
+    assert.ok(stored.endedAt);
+    assert.equal(typeof stored.cost, "number");
+  });
+
+  it("groups records and totals them", () => {
+    const { rows, totals } = summarizeUsage(
+      [record("a", { cost: 1 }), record("b", { cost: 2 })],
+      { groupBy: "day" }
+    );
+    assert.deepEqual(
+      rows.map(({ day, calls, cost }) => ({ day, calls, cost })),
+      [{ day: "2026-01-02", calls: 2, cost: 3 }]
+    );
+    assert.equal(totals.minutes, 2);
+  });
+
+  it("writes CSV that spreadsheets read as text", () => {
+    const csv = toCsv([
+      { sessionId: '=HYPERLINK("http://evil")', cost: -1 },
+      { sessionId: "@SUM(A1)", cost: 2 },
+      { sessionId: "\tcmd", cost: 0 },
+      { sessionId: "plain, with comma", cost: null },
+    ]);
+    assert.equal(
+      csv,
+      [
+        "sessionId,cost",
+        `"'=HYPERLINK(""http://evil"")",-1`,
+        "'@SUM(A1),2",
+        "'\tcmd,0",
+        '"plain, with comma",',
+        "",
+      ].join("\n")
+    );
+  });
+});
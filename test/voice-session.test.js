@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { nextEvent, startServer } from "./helpers/server.js";
+
+describe("voice sessions on the mock provider", () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it("answers caller audio with agent audio and transcripts", async () => {
+    const { status } = await server.request("POST", "/api/agent-provider", {
+      sessionId: "e2e",
+      provider: "mock",
+      providerOptions: {
+        turnDelayMs: 20,
+        script: [
+          {
+            callerTranscript: "What are your hours?",
+            text: "We open at nine.",
+          },
+        ],
+      },
+    });
+    assert.equal(status, 200);
+
+    const socket = server.connect();
+    try {
+      const audio = [];
+      const transcripts = [];
+      socket.on("audio-response", (chunk) => audio.push(chunk));
+      socket.on("transcript", (entry) => transcripts.push(entry));
+
+      const started = nextEvent(socket, "voice-session-started");
+      socket.emit("start-voice-session", { sessionId: "e2e" });
+      const { voiceSessionId } = await started;
+      assert.ok(voiceSessionId);
+
+      const spoken = nextEvent(socket, "ai-speaking-end");
+      socket.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      await spoken;
+
+      assert.ok(audio.length > 0, "no audio-response");
+      const final = transcripts.filter((entry) => !entry.partial);
+      assert.deepEqual(
+        final.map(({ speaker, text }) => ({ speaker, text })),
+        [
+          { speaker: "caller", text: "What are your hours?" },
+          { speaker: "agent", text: "We open at nine." },
+        ]
+      );
+      assert.ok(
+        final.every((entry) => entry.voiceSessionId === voiceSessionId)
+      );
+
+      const stopped = nextEvent(socket, "voice-disconnected");
+      socket.emit("stop-voice-session");
+      await stopped;
+
+      const { body } = await server.request(
+        "GET",
+        `/api/voice-sessions/${voiceSessionId}/transcript`
+      );
+      assert.deepEqual(
+        body.transcript.entries.map(({ speaker, text }) => ({ speaker, text })),
+        [
+          { speaker: "caller", text: "What are your hours?" },
+          { speaker: "agent", text: "We open at nine." },
+        ]
+      );
+    } finally {
+      socket.close();
+    }
+  });
+
+  it("resumes the call where it left off when the connection drops", async () => {
+    await server.request("POST", "/api/agent-provider", {
+      sessionId: "dropped",
+      provider: "mock",
+      providerOptions: {
+        turnDelayMs: 20,
+        dropAfterMs: 500,
+        script: [{ text: "First answer." }, { text: "Second answer." }],
+      },
+    });
+
+    const socket = server.connect();
+    try {
+      const said = [];
+      socket.on("transcript", (entry) => {
+        if (entry.speaker === "agent" && !entry.partial) said.push(entry.text);
+      });
+      const started = nextEvent(socket, "voice-session-started");
+      socket.emit("start-voice-session", { sessionId: "dropped" });
+      await started;
+
+      const firstTurn = nextEvent(socket, "ai-speaking-end");
+      socket.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      await firstTurn;
+
+      const reconnecting = nextEvent(socket, "voice-reconnecting");
+      const reconnected = nextEvent(socket, "voice-reconnected");
+      assert.equal((await reconnecting).reason, "Mock connection dropped");
+      await reconnected;
+
+      const secondTurn = nextEvent(socket, "ai-speaking-end");
+      socket.emit("audio-data", Buffer.alloc(3200).toString("base64"));
+      await secondTurn;
+      assert.deepEqual(said, ["First answer.", "Second answer."]);
+    } finally {
+      socket.close();
+    }
+  });
+
+  it("reports a session that does not exist", async () => {
+    const socket = server.connect();
+    try {
+      const error = nextEvent(socket, "error");
+      socket.emit("start-voice-session", { sessionId: "missing" });
+      assert.equal((await error).message, "Session not found");
+    } finally {
+      socket.close();
+    }
+  });
+});
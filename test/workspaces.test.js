@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+// Keep the repositories in memory; they are created when the module loads
+process.env.STORAGE_DRIVER = "memory";
+const {
+  addTokens,
+  admitCall,
+  countActiveCalls,
+  getMonthlyTokens,
+  publicWorkspace,
+  saveWorkspace,
+  validateWorkspaceSettings,
+} = await import("../workspaces/index.js");
+
+describe("workspace limits", () => {
+  it("holds each workspace to its own concurrent call limit", async () => {
+    await saveWorkspace("limit-a", { maxConcurrentCalls: 1 });
+    await saveWorkspace("limit-b", { maxConcurrentCalls: 1 });
+
+    const first = await admitCall("limit-a");
+    await assert.rejects(admitCall("limit-a"), /concurrent call limit/);
+
+    // Another workspace's calls don't count against this one
+    const other = await admitCall("limit-b");
+    assert.equal(countActiveCalls("limit-a"), 1);
+    assert.equal(countActiveCalls("limit-b"), 1);
+
+    first.release();
+    other.release();
+  });
+
+  it("frees the slot on release, once", async () => {
+    await saveWorkspace("release", { maxConcurrentCalls: 2 });
+
+    const first = await admitCall("release");
+    const second = await admitCall("release");
+    first.release();
+    first.release();
+    assert.equal(countActiveCalls("release"), 1);
+
+    const third = await admitCall("release");
+    assert.equal(countActiveCalls("release"), 2);
+    second.release();
+    third.release();
+    assert.equal(countActiveCalls("release"), 0);
+  });
+
+  it("refuses calls once the monthly token budget is spent", async () => {
+    await saveWorkspace("budget", { monthlyTokenBudget: 100 });
+
+    await addTokens("budget", 60);
+    (await admitCall("budget")).release();
+
+    await addTokens("budget", 40);
+    assert.equal(await getMonthlyTokens("budget"), 100);
+    await assert.rejects(admitCall("budget"), /token budget exhausted/);
+    assert.equal(countActiveCalls("budget"), 0);
+
+    // Tokens are counted per workspace
+    assert.equal(await getMonthlyTokens("budget-other"), 0);
+    (await admitCall("budget-other")).release();
+  });
+
+  it("never exposes the provider API key", async () => {
+    const workspace = await saveWorkspace("keyed", {
+      providerApiKey: "secret",
+    });
+    const shown = publicWorkspace(workspace);
+
+    assert.equal(shown.providerApiKey, undefined);
+    assert.equal(shown.hasProviderApiKey, true);
+    assert.doesNotMatch(JSON.stringify(shown), /secret/);
+  });
+
+  it("validates settings", () => {
+    assert.deepEqual(
+      validateWorkspaceSettings({ maxConcurrentCalls: 2, name: "Acme" }),
+      []
+    );
+    assert.deepEqual(validateWorkspaceSettings({ maxConcurrentCalls: -1 }), [
+      "maxConcurrentCalls must be a non-negative integer or null",
+    ]);
+    assert.deepEqual(validateWorkspaceSettings({ providerApiKey: 1 }), [
+      "providerApiKey must be a string or null",
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+// Executors run a tool call and resolve to a JSON-serializable result.
+// They all receive (args, context) where context carries the tool
+// definition, the call id, the agent session id, an AbortSignal and the
+// agent's PII redaction for payloads leaving the server.
+
+import { requestPublic } from "./network.js";
+
+const builtinHandlers = new Map([
+  [
+    "current_datetime",
+    async (args) => {
+      const timeZone = args.timeZone || process.env.TZ || "UTC";
+      const now = new Date();
+      return {
+        iso: now.toISOString(),
+        timeZone,
+        local: now.toLocaleString("en-US", {
+          timeZone,
+          dateStyle: "full",
+          timeStyle: "short",
+        }),
+      };
+    },
+  ],
+]);
+
+export function registerBuiltinHandler(name, handler) {
+  builtinHandlers.set(name, handler);
+}
+
+export function listBuiltinHandlers() {
+  return [...builtinHandlers.keys()];
+}
+
+async function runBuiltin(args, context) {
+  const handler = builtinHandlers.get(context.tool.executor.handler);
+  if (!handler) {
+    throw new Error(
+      `Unknown builtin handler: ${context.tool.executor.handler}`
+    );
+  }
+  return handler(args, context);
+}
+
+// POSTs { tool, arguments, callId, sessionId } and returns the JSON reply.
+// Only public addresses are reached; see network.js.
+async function runWebhook(args, context) {
+  const { url, method = "POST", headers = {} } = context.tool.executor;
+
+  const response = await requestPublic(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body:
+      method === "GET"
+        ? undefined
+        : JSON.stringify({
+            tool: context.tool.name,
+            arguments: context.redactPayload
+              ? context.redactPayload(args)
+              : args,
+            callId: context.callId,
+            sessionId: context.sessionId,
+          }),
+    signal: context.signal,
+  });
+
+  const { text } = response;
+  let body;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = text;
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      `Webhook responded with ${response.status}${
+        body
+          ? `: ${typeof body === "string" ? body : JSON.stringify(body)}`
+          : ""
+      }`
+    );
+  }
+  return body;
+}
+
+export const executors = {
+  builtin: runBuiltin,
+  webhook: runWebhook,
+};
@@ -0,0 +1,109 @@
+import { MAX_TOOL_TIMEOUT_MS, toGeminiSchema } from "./schema.js";
+import { executors } from "./executors.js";
+
+export { validateToolDefinitions } from "./schema.js";
+export { listBuiltinHandlers, registerBuiltinHandler } from "./executors.js";
+
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+// The set of tools a single live session can call. Agent-configured tools run
+// through their executor; `extraTools` lets the server add internal tools
+// (like knowledge search) as { declaration, handler } pairs.
+// `redactPayload` masks personal data in what webhooks are sent.
+export function createToolSet({
+  tools = [],
+  extraTools = [],
+  sessionId,
+  redactPayload = (value) => value,
+} = {}) {
+  const entries = new Map();
+
+  for (const tool of tools) {
+    entries.set(tool.name, {
+      declaration: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+          ? toGeminiSchema(tool.parameters)
+          : undefined,
+      },
+      timeoutMs: Math.min(
+        tool.executor.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+        MAX_TOOL_TIMEOUT_MS
+      ),
+      run: (args, context) =>
+        executors[tool.executor.type](args, { ...context, tool }),
+    });
+  }
+
+  for (const extra of extraTools) {
+    entries.set(extra.declaration.name, {
+      declaration: extra.declaration,
+      timeoutMs: extra.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS,
+      run: extra.handler,
+    });
+  }
+
+  const inFlight = new Map();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    declarations() {
+      return [...entries.values()].map((entry) => entry.declaration);
+    },
+
+    // Resolves to { result } or { error } — never rejects — so a failing tool
+    // is reported to the model instead of killing the turn
+    async execute(call) {
+      const entry = entries.get(call.name);
+      if (!entry) return { error: `Unknown tool: ${call.name}` };
+
+      const controller = new AbortController();
+      inFlight.set(call.id, controller);
+
+      const timer = setTimeout(
+        () =>
+          controller.abort(
+            new Error(`Tool timed out after ${entry.timeoutMs}ms`)
+          ),
+        entry.timeoutMs
+      );
+      // Executors should honour the signal, but do not wait on those that don't
+      const aborted = new Promise((_, reject) =>
+        controller.signal.addEventListener(
+          "abort",
+          () => reject(controller.signal.reason),
+          { once: true }
+        )
+      );
+
+      try {
+        const result = await Promise.race([
+          entry.run(call.args || {}, {
+            callId: call.id,
+            sessionId,
+            redactPayload,
+            signal: controller.signal,
+          }),
+          aborted,
+        ]);
+        return { result: result ?? null };
+      } catch (error) {
+        return { error: error.message };
+      } finally {
+        clearTimeout(timer);
+        inFlight.delete(call.id);
+      }
+    },
+
+    // Abort calls the live API told us to drop (toolCallCancellation)
+    cancel(ids = []) {
+      for (const id of ids) {
+        inFlight.get(id)?.abort(new Error("Tool call was cancelled"));
+      }
+    },
+  };
+}
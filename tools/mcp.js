@@ -0,0 +1,303 @@
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import {
+  getDefaultEnvironment,
+  StdioClientTransport,
+} from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import path from "path";
+import {
+  MAX_TOOL_TIMEOUT_MS,
+  toGeminiSchema,
+  validateHeaders,
+} from "./schema.js";
+import { fetchPublic } from "./network.js";
+
+// Bridges an agent's MCP servers into a live session: tools are discovered
+// when the session starts, declared to the model under "<server>__<tool>"
+// and proxied through the MCP client when the model calls them. Tools whose
+// names still collide after that, with each other or with the agent's own
+// tools (`reservedNames`), are left out and reported in the status.
+
+const MCP_CONNECT_TIMEOUT_MS = 10000;
+const MCP_CALL_TIMEOUT_MS = 20000;
+const SERVER_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,31}$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_ARGS = 64;
+const MAX_ARG_LENGTH = 1024;
+
+const SERVER_FIELDS = {
+  stdio: ["name", "transport", "command", "args", "env", "cwd", "timeoutMs"],
+  http: ["name", "transport", "url", "headers", "timeoutMs"],
+  sse: ["name", "transport", "url", "headers", "timeoutMs"],
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// stdio servers spawn local processes, so they stay off unless the operator
+// explicitly allows them
+const stdioAllowed = () => process.env.MCP_ALLOW_STDIO === "true";
+
+export function validateMcpServers(servers) {
+  if (!Array.isArray(servers)) return ["mcpServers must be an array"];
+
+  const errors = [];
+  const seen = new Set();
+
+  servers.forEach((server, index) => {
+    if (!isPlainObject(server)) {
+      errors.push(`MCP server ${index + 1} must be an object`);
+      return;
+    }
+    const label =
+      typeof server.name === "string" && server.name
+        ? `MCP server "${server.name}"`
+        : `MCP server ${index + 1}`;
+
+    if (!SERVER_NAME_PATTERN.test(server.name || "")) {
+      errors.push(
+        `${label} needs a name of letters, digits, "_" or "-" (max 32 characters)`
+      );
+    } else if (seen.has(server.name)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    seen.add(server.name);
+
+    if (
+      server.timeoutMs !== undefined &&
+      (!Number.isInteger(server.timeoutMs) ||
+        server.timeoutMs < 1 ||
+        server.timeoutMs > MAX_TOOL_TIMEOUT_MS)
+    ) {
+      errors.push(
+        `${label} timeoutMs must be an integer between 1 and ${MAX_TOOL_TIMEOUT_MS}`
+      );
+    }
+
+    const fields = SERVER_FIELDS[server.transport];
+    for (const field of Object.keys(server)) {
+      if (fields && !fields.includes(field)) {
+        errors.push(
+          `${label} cannot set ${field} on a ${server.transport} server`
+        );
+      }
+    }
+
+    if (server.transport === "stdio") {
+      if (!stdioAllowed()) {
+        errors.push(
+          `${label}: stdio servers are disabled (set MCP_ALLOW_STDIO=true)`
+        );
+      }
+      if (!server.command || typeof server.command !== "string") {
+        errors.push(`${label} needs a command`);
+      }
+      if (
+        server.args !== undefined &&
+        (!Array.isArray(server.args) ||
+          server.args.length > MAX_ARGS ||
+          !server.args.every(
+            (arg) =>
+              typeof arg === "string" &&
+              arg.length <= MAX_ARG_LENGTH &&
+              !arg.includes("\0")
+          ))
+      ) {
+        errors.push(
+          `${label} args must be an array of at most ${MAX_ARGS} strings of at most ${MAX_ARG_LENGTH} characters`
+        );
+      }
+      if (
+        server.env !== undefined &&
+        (!isPlainObject(server.env) ||
+          !Object.entries(server.env).every(
+            ([name, value]) =>
+              ENV_NAME_PATTERN.test(name) &&
+              typeof value === "string" &&
+              !value.includes("\0")
+          ))
+      ) {
+        errors.push(`${label} env must map variable names to strings`);
+      }
+      if (
+        server.cwd !== undefined &&
+        (typeof server.cwd !== "string" || !path.isAbsolute(server.cwd))
+      ) {
+        errors.push(`${label} cwd must be an absolute path`);
+      }
+    } else if (server.transport === "http" || server.transport === "sse") {
+      try {
+        const url = new URL(server.url);
+        if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+      } catch {
+        errors.push(`${label} needs an http(s) url`);
+      }
+      errors.push(...validateHeaders(server.headers, label));
+    } else {
+      errors.push(`${label} transport must be "stdio", "http" or "sse"`);
+    }
+  });
+
+  return errors;
+}
+
+function createTransport(server) {
+  switch (server.transport) {
+    case "stdio":
+      if (!stdioAllowed()) {
+        throw new Error("stdio MCP servers are disabled");
+      }
+      return new StdioClientTransport({
+        command: server.command,
+        args: server.args || [],
+        env: server.env
+          ? { ...getDefaultEnvironment(), ...server.env }
+          : undefined,
+        cwd: server.cwd,
+        stderr: "ignore",
+      });
+    // Both HTTP transports make every request through fetchPublic
+    case "sse":
+      return new SSEClientTransport(new URL(server.url), {
+        requestInit: { headers: server.headers || {} },
+        fetch: fetchPublic,
+      });
+    default:
+      return new StreamableHTTPClientTransport(new URL(server.url), {
+        requestInit: { headers: server.headers || {} },
+        fetch: fetchPublic,
+      });
+  }
+}
+
+// Live API function names allow at most 64 characters from [a-zA-Z0-9_-]
+function toFunctionName(serverName, toolName) {
+  return `${serverName}__${toolName}`
+    .replace(/[^a-zA-Z0-9_-]/g, "_")
+    .slice(0, 64);
+}
+
+// Flatten MCP content blocks into something the model can read back
+function formatToolResult(result) {
+  const text = (result.content || [])
+    .map((item) => {
+      if (item.type === "text") return item.text;
+      if (item.type === "resource")
+        return item.resource?.text || item.resource?.uri;
+      return `[${item.type} content]`;
+    })
+    .filter(Boolean)
+    .join("\n");
+
+  if (result.isError) {
+    throw new Error(text || "MCP tool reported an error");
+  }
+  return result.structuredContent ?? { content: text };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function connectServer(server) {
+  const client = new Client({ name: "voice-agent-server", version: "1.0.0" });
+
+  try {
+    await withTimeout(
+      client.connect(createTransport(server)),
+      MCP_CONNECT_TIMEOUT_MS,
+      `Timed out connecting to MCP server "${server.name}"`
+    );
+    const { tools = [] } = await client.listTools(undefined, {
+      timeout: MCP_CONNECT_TIMEOUT_MS,
+    });
+    return { client, tools };
+  } catch (error) {
+    await client.close().catch(() => {});
+    throw error;
+  }
+}
+
+// Connects to every configured server in parallel. A server that fails is
+// reported in `status` and skipped; it never prevents the call from starting.
+export async function connectMcpServers(
+  servers = [],
+  { reservedNames = [] } = {}
+) {
+  const connections = await Promise.allSettled(servers.map(connectServer));
+  const clients = [];
+  const extraTools = [];
+  const status = [];
+  const declared = new Set(reservedNames);
+
+  connections.forEach((outcome, index) => {
+    const server = servers[index];
+
+    if (outcome.status === "rejected") {
+      console.error(
+        `❌ MCP server ${server.name} unavailable:`,
+        outcome.reason
+      );
+      status.push({
+        name: server.name,
+        connected: false,
+        error: outcome.reason.message,
+      });
+      return;
+    }
+
+    const { client, tools } = outcome.value;
+    clients.push(client);
+    const served = { name: server.name, connected: true, tools: [] };
+    status.push(served);
+
+    for (const tool of tools) {
+      // Namespacing can still collide: "a" + "b__c" and "a__b" + "c"
+      const name = toFunctionName(server.name, tool.name);
+      if (declared.has(name)) {
+        console.warn(`⚠️ Skipping MCP tool ${tool.name}: ${name} is taken`);
+        served.skippedTools = [...(served.skippedTools || []), tool.name];
+        continue;
+      }
+      declared.add(name);
+      served.tools.push(tool.name);
+
+      extraTools.push({
+        declaration: {
+          name,
+          description: tool.description || `${tool.name} (via ${server.name})`,
+          parameters: tool.inputSchema?.properties
+            ? toGeminiSchema(tool.inputSchema)
+            : undefined,
+        },
+        timeoutMs: server.timeoutMs || MCP_CALL_TIMEOUT_MS,
+        handler: async (args, { signal }) =>
+          formatToolResult(
+            await client.callTool(
+              { name: tool.name, arguments: args },
+              undefined,
+              {
+                signal,
+                timeout: server.timeoutMs || MCP_CALL_TIMEOUT_MS,
+              }
+            )
+          ),
+      });
+    }
+  });
+
+  return {
+    extraTools,
+    status,
+    async close() {
+      await Promise.allSettled(clients.map((client) => client.close()));
+    },
+  };
+}
@@ -0,0 +1,184 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { Readable } from "stream";
+
+// Outbound requests made on behalf of agents (webhook tools, MCP servers)
+// must not reach the server's own network: loopback, private, link-local
+// (cloud metadata lives at 169.254.169.254) and other reserved ranges are
+// refused after DNS resolution, at connect time, so a hostname cannot be
+// re-pointed between the check and the request. Hosts listed in
+// OUTBOUND_ALLOWED_HOSTS (comma separated) are trusted by the operator and
+// may resolve anywhere.
+
+const blockedRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv6");
+}
+
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+const allowedHosts = () =>
+  (process.env.OUTBOUND_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+export function isPublicAddress(address) {
+  // IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are judged as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedRanges.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+const isAllowedHost = (hostname) => allowedHosts().includes(bareHost(hostname));
+
+function blockedError(hostname) {
+  return new Error(`Requests to ${hostname} are not allowed`);
+}
+
+// dns.lookup that refuses non-public results, for http(s).request
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (
+      !isAllowedHost(hostname) &&
+      addresses.some(({ address }) => !isPublicAddress(address))
+    ) {
+      return callback(blockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Addresses written into the URL are never looked up, so check them here
+function refuseLiteralAddress(target) {
+  const host = bareHost(target.hostname);
+  if (net.isIP(host) && !isAllowedHost(host) && !isPublicAddress(host)) {
+    throw blockedError(target.hostname);
+  }
+}
+
+// Minimal fetch for agent-supplied URLs: one request to a public address,
+// no redirects, and at most MAX_RESPONSE_BYTES of body. Resolves to
+// { status, ok, text }.
+export async function requestPublic(
+  url,
+  { method = "GET", headers, body, signal }
+) {
+  const target = new URL(url);
+  refuseLiteralAddress(target);
+
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      target,
+      { method, headers, signal, lookup: guardedLookup },
+      (response) => {
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > MAX_RESPONSE_BYTES) {
+            request.destroy(
+              new Error(`Response exceeds ${MAX_RESPONSE_BYTES} bytes`)
+            );
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () => {
+          const status = response.statusCode;
+          resolve({
+            status,
+            ok: status >= 200 && status < 300,
+            text: Buffer.concat(chunks).toString("utf8"),
+          });
+        });
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// fetch() for clients that take one, like the MCP SDK transports. Every
+// request goes through the same connect-time address check as requestPublic,
+// and redirects are handed back to the caller instead of followed, so a
+// public server cannot bounce the client to an internal one. Response bodies
+// stream, as server-sent events need.
+export async function fetchPublic(
+  url,
+  { method = "GET", headers, body, signal } = {}
+) {
+  const target = new URL(url);
+  refuseLiteralAddress(target);
+
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      target,
+      {
+        method,
+        headers: Object.fromEntries(new Headers(headers)),
+        signal,
+        lookup: guardedLookup,
+      },
+      (response) => {
+        const responseHeaders = new Headers();
+        for (const [name, value] of Object.entries(response.headers)) {
+          for (const item of [].concat(value)) {
+            responseHeaders.append(name, item);
+          }
+        }
+        const status = response.statusCode;
+        const hasBody = method !== "HEAD" && ![204, 205, 304].includes(status);
+        try {
+          resolve(
+            new Response(hasBody ? Readable.toWeb(response) : null, {
+              status,
+              statusText: response.statusMessage,
+              headers: responseHeaders,
+            })
+          );
+          if (!hasBody) response.resume();
+        } catch (error) {
+          // Response refuses statuses outside 200-599
+          response.destroy();
+          reject(error);
+        }
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
@@ -0,0 +1,180 @@
+import { Type } from "@google/genai";
+
+// Agents describe tool parameters with plain JSON Schema; the live API wants
+// its OpenAPI-style Schema subset with upper-case type names.
+
+const TYPE_MAP = {
+  string: Type.STRING,
+  number: Type.NUMBER,
+  integer: Type.INTEGER,
+  boolean: Type.BOOLEAN,
+  array: Type.ARRAY,
+  object: Type.OBJECT,
+};
+
+export function toGeminiSchema(schema = {}) {
+  const result = {};
+  let type = schema.type;
+
+  // ["string", "null"] is how JSON Schema spells nullable
+  if (Array.isArray(type)) {
+    result.nullable = type.includes("null") || undefined;
+    type = type.find((t) => t !== "null");
+  }
+  if (type) result.type = TYPE_MAP[type] || Type.STRING;
+
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) result.enum = schema.enum.map(String);
+  if (schema.format) result.format = schema.format;
+  if (schema.nullable) result.nullable = true;
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  if (schema.required?.length) result.required = schema.required;
+
+  return result;
+}
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+
+export const MAX_TOOL_TIMEOUT_MS = 30000;
+
+const WEBHOOK_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const MAX_REQUEST_HEADERS = 20;
+const MAX_HEADER_VALUE_LENGTH = 1024;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Set by the server for every request
+const RESERVED_HEADERS = [
+  "host",
+  "content-length",
+  "content-type",
+  "transfer-encoding",
+  "connection",
+  "upgrade",
+  "te",
+  "trailer",
+  "keep-alive",
+  "proxy-authorization",
+  "proxy-connection",
+];
+
+// Headers agents add to outbound requests (webhook tools, MCP servers)
+export function validateHeaders(headers, label) {
+  if (headers === undefined) return [];
+  if (!headers || typeof headers !== "object" || Array.isArray(headers)) {
+    return [`${label} headers must be an object`];
+  }
+
+  const errors = [];
+  const entries = Object.entries(headers);
+  if (entries.length > MAX_REQUEST_HEADERS) {
+    errors.push(`${label} may set at most ${MAX_REQUEST_HEADERS} headers`);
+  }
+  for (const [name, value] of entries) {
+    if (
+      !HEADER_NAME_PATTERN.test(name) ||
+      RESERVED_HEADERS.includes(name.toLowerCase())
+    ) {
+      errors.push(`${label} cannot set the header "${name}"`);
+    } else if (
+      typeof value !== "string" ||
+      value.length > MAX_HEADER_VALUE_LENGTH ||
+      /[\r\n\0]/.test(value)
+    ) {
+      errors.push(
+        `${label} header "${name}" must be a single-line string of at most ${MAX_HEADER_VALUE_LENGTH} characters`
+      );
+    }
+  }
+  return errors;
+}
+
+function validateWebhookExecutor(executor, label) {
+  const errors = [];
+  try {
+    const url = new URL(executor.url);
+    if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+  } catch {
+    errors.push(`${label} webhook executor needs an http(s) url`);
+  }
+  if (
+    executor.method !== undefined &&
+    !WEBHOOK_METHODS.includes(executor.method)
+  ) {
+    errors.push(
+      `${label} webhook method must be one of: ${WEBHOOK_METHODS.join(", ")}`
+    );
+  }
+  errors.push(...validateHeaders(executor.headers, `${label} webhook`));
+  return errors;
+}
+
+// Returns a list of human readable problems; empty when the definitions are usable
+export function validateToolDefinitions(tools, { builtinNames = [] } = {}) {
+  if (!Array.isArray(tools)) return ["tools must be an array"];
+
+  const errors = [];
+  const seen = new Set();
+
+  tools.forEach((tool, index) => {
+    const label = tool?.name ? `Tool "${tool.name}"` : `Tool ${index + 1}`;
+
+    if (!tool || typeof tool !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!TOOL_NAME_PATTERN.test(tool.name || "")) {
+      errors.push(
+        `${label} needs a name of letters, digits, "_" or "-" (max 64 characters)`
+      );
+    } else if (seen.has(tool.name)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    seen.add(tool.name);
+
+    if (!tool.description || typeof tool.description !== "string") {
+      errors.push(`${label} needs a description`);
+    }
+    if (
+      tool.parameters !== undefined &&
+      (typeof tool.parameters !== "object" || tool.parameters.type !== "object")
+    ) {
+      errors.push(`${label} parameters must be a JSON schema of type "object"`);
+    }
+
+    const executor = tool.executor;
+    if (!executor || typeof executor !== "object") {
+      errors.push(`${label} needs an executor`);
+    } else if (executor.type === "webhook") {
+      errors.push(...validateWebhookExecutor(executor, label));
+    } else if (executor.type === "builtin") {
+      if (!builtinNames.includes(executor.handler)) {
+        errors.push(
+          `${label} uses unknown builtin handler "${
+            executor.handler
+          }". Available: ${builtinNames.join(", ")}`
+        );
+      }
+    } else {
+      errors.push(`${label} executor type must be "webhook" or "builtin"`);
+    }
+    if (
+      executor?.timeoutMs !== undefined &&
+      (!Number.isInteger(executor.timeoutMs) ||
+        executor.timeoutMs < 1 ||
+        executor.timeoutMs > MAX_TOOL_TIMEOUT_MS)
+    ) {
+      errors.push(
+        `${label} timeoutMs must be an integer between 1 and ${MAX_TOOL_TIMEOUT_MS}`
+      );
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,294 @@
+import { readFileSync } from "fs";
+import { getRepository } from "../storage/index.js";
+
+// Usage metering for billing. Every voice session gets one usage record with
+// its duration and token counts split by direction and modality; the cost is
+// priced from the rate table when the call ends so later rate changes don't
+// rewrite past bills.
+//
+// Rates are per minute of call time and per million tokens, keyed by model,
+// then provider, then "default". USAGE_RATES_FILE points at a JSON file whose
+// entries override the built-in table below; it is read once, when the
+// server starts.
+
+export const usageRecords = getRepository("usage");
+
+const DEFAULT_RATES = {
+  default: {
+    perMinute: 0,
+    inputTextPerMillion: 0.5,
+    inputAudioPerMillion: 3,
+    outputTextPerMillion: 2,
+    outputAudioPerMillion: 12,
+  },
+  mock: {
+    perMinute: 0,
+    inputTextPerMillion: 0,
+    inputAudioPerMillion: 0,
+    outputTextPerMillion: 0,
+    outputAudioPerMillion: 0,
+  },
+};
+
+const RATE_FIELDS = [
+  "perMinute",
+  "inputTextPerMillion",
+  "inputAudioPerMillion",
+  "outputTextPerMillion",
+  "outputAudioPerMillion",
+];
+
+const TOKEN_FIELDS = [
+  "inputTextTokens",
+  "inputAudioTokens",
+  "outputTextTokens",
+  "outputAudioTokens",
+];
+
+export const USAGE_GROUPS = ["voiceSession", "agent", "workspace", "day"];
+
+const emptyTokens = () =>
+  Object.fromEntries(TOKEN_FIELDS.map((field) => [field, 0]));
+
+let rateTable = null;
+
+// Returns a list of human readable problems; empty when the table is usable
+export function validateRateTable(table) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) {
+    return ["the rate table must be an object"];
+  }
+
+  const errors = [];
+  for (const [key, rates] of Object.entries(table)) {
+    if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+      errors.push(`${key} must be an object of rates`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(rates)) {
+      if (!RATE_FIELDS.includes(field)) {
+        errors.push(`Unknown rate in ${key}: ${field}`);
+      } else if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${key}.${field} must be a non-negative number`);
+      }
+    }
+  }
+  return errors;
+}
+
+// The server loads the table before it starts listening, so a missing or
+// malformed USAGE_RATES_FILE stops it there instead of failing every call
+// as it is priced
+export function loadRateTable(file = process.env.USAGE_RATES_FILE) {
+  let overrides = {};
+  if (file) {
+    try {
+      overrides = JSON.parse(readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Cannot read USAGE_RATES_FILE: ${error.message}`);
+    }
+    const errors = validateRateTable(overrides);
+    if (errors.length > 0) {
+      throw new Error(`Invalid USAGE_RATES_FILE: ${errors.join("; ")}`);
+    }
+  }
+  rateTable = { ...DEFAULT_RATES, ...overrides };
+  return rateTable;
+}
+
+export function getRateTable() {
+  return rateTable ?? loadRateTable();
+}
+
+export function ratesFor({ model, provider }, table = getRateTable()) {
+  return {
+    ...table.default,
+    ...(provider && table[provider]),
+    ...(model && table[model]),
+  };
+}
+
+export function priceUsage(usage, rates) {
+  const perToken = (tokens, perMillion) => (tokens * (perMillion || 0)) / 1e6;
+  const cost =
+    (usage.durationSeconds / 60) * (rates.perMinute || 0) +
+    perToken(usage.inputTextTokens, rates.inputTextPerMillion) +
+    perToken(usage.inputAudioTokens, rates.inputAudioPerMillion) +
+    perToken(usage.outputTextTokens, rates.outputTextPerMillion) +
+    perToken(usage.outputAudioTokens, rates.outputAudioPerMillion);
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Splits a token count by modality using the API's per-modality details.
+// Tokens the details don't account for are counted as text.
+function splitByModality(total = 0, details = []) {
+  const audio = details
+    .filter((detail) => detail.modality === "AUDIO")
+    .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+  return { audio, text: Math.max(0, total - audio) };
+}
+
+// Accumulates one call's usage metadata into its usage record
+export function createUsageMeter({
+  voiceSessionId,
+  workspaceId,
+  sessionId,
+  agentId = null,
+  agentVersion = null,
+  provider,
+  model = null,
+}) {
+  const startedAt = Date.now();
+  const tokens = emptyTokens();
+  let closed = false;
+  let pendingWrite = usageRecords.create(voiceSessionId, {
+    ownerId: workspaceId,
+    sessionId,
+    agentId,
+    agentVersion,
+    provider,
+    model,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    durationSeconds: 0,
+    ...tokens,
+    totalTokens: 0,
+    cost: null,
+  });
+
+  const write = (changes) => {
+    pendingWrite = pendingWrite
+      .then(() => usageRecords.update(voiceSessionId, changes))
+      .catch((error) => console.error("❌ Failed to store usage:", error));
+    return pendingWrite;
+  };
+
+  const snapshot = () => ({
+    ...tokens,
+    totalTokens: TOKEN_FIELDS.reduce((sum, field) => sum + tokens[field], 0),
+    durationSeconds: Math.round((Date.now() - startedAt) / 100) / 10,
+  });
+
+  return {
+    add(usageMetadata) {
+      if (closed || !usageMetadata) return;
+      const input = splitByModality(
+        usageMetadata.promptTokenCount,
+        usageMetadata.promptTokensDetails
+      );
+      const output = splitByModality(
+        usageMetadata.responseTokenCount,
+        usageMetadata.responseTokensDetails
+      );
+      tokens.inputTextTokens += input.text;
+      tokens.inputAudioTokens += input.audio;
+      tokens.outputTextTokens += output.text;
+      tokens.outputAudioTokens += output.audio;
+      write(snapshot());
+    },
+
+    close() {
+      if (closed) return pendingWrite;
+      closed = true;
+      const usage = snapshot();
+      return write({
+        ...usage,
+        endedAt: new Date().toISOString(),
+        cost: priceUsage(usage, ratesFor({ model, provider })),
+      });
+    },
+  };
+}
+
+// Calls still in progress are priced as if they ended now
+function costOf(record) {
+  return record.cost ?? priceUsage(record, ratesFor(record));
+}
+
+function groupKey(record, groupBy) {
+  switch (groupBy) {
+    case "agent":
+      return record.agentId || record.sessionId;
+    case "workspace":
+      return record.ownerId;
+    case "day":
+      return record.startedAt.slice(0, 10);
+    default:
+      return record.id;
+  }
+}
+
+const callDetails = (record) => ({
+  workspace: record.ownerId,
+  agentId: record.agentId,
+  agentVersion: record.agentVersion,
+  sessionId: record.sessionId,
+  startedAt: record.startedAt,
+  endedAt: record.endedAt,
+});
+
+// Aggregates usage records into one row per group plus overall totals
+export function summarizeUsage(records, { groupBy = "voiceSession" } = {}) {
+  const rows = new Map();
+  const empty = () => ({
+    calls: 0,
+    durationSeconds: 0,
+    ...emptyTokens(),
+    totalTokens: 0,
+    cost: 0,
+  });
+  const totals = empty();
+
+  for (const record of records) {
+    const key = groupKey(record, groupBy);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        [groupBy]: key,
+        ...(groupBy === "voiceSession" && callDetails(record)),
+        ...empty(),
+      });
+    }
+
+    for (const target of [rows.get(key), totals]) {
+      target.calls += 1;
+      target.durationSeconds += record.durationSeconds;
+      for (const field of [...TOKEN_FIELDS, "totalTokens"]) {
+        target[field] += record[field];
+      }
+      target.cost += costOf(record);
+    }
+  }
+
+  const finish = (row) => ({
+    ...row,
+    durationSeconds: Math.round(row.durationSeconds * 10) / 10,
+    minutes: Math.round((row.durationSeconds / 60) * 100) / 100,
+    cost: Math.round(row.cost * 1e6) / 1e6,
+  });
+
+  return {
+    rows: [...rows.values()].map(finish),
+    totals: finish(totals),
+  };
+}
+
+// Spreadsheets run text starting with one of these as a formula. Values such
+// as sessionId are chosen by clients, so they are written with a leading
+// quote to keep them text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows) {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n")
+    .concat("\n");
+}
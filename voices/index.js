@@ -0,0 +1,162 @@
+import { Modality } from "@google/genai";
+
+// Catalog of the prebuilt voices and languages live sessions can speak with.
+// Agents pick a voice, a language code, free-form speaking style hints and
+// whether the model answers with audio or text; everything is validated
+// against this catalog before it reaches the live API's speechConfig.
+//
+// Prebuilt voices are multilingual, so any voice can speak any language.
+
+export const DEFAULT_VOICE = "Kore";
+export const DEFAULT_RESPONSE_MODALITY = "audio";
+
+const MAX_SPEAKING_STYLE_LENGTH = 500;
+
+export const VOICES = [
+  { name: "Zephyr", tone: "Bright" },
+  { name: "Puck", tone: "Upbeat" },
+  { name: "Charon", tone: "Informative" },
+  { name: "Kore", tone: "Firm" },
+  { name: "Fenrir", tone: "Excitable" },
+  { name: "Leda", tone: "Youthful" },
+  { name: "Orus", tone: "Firm" },
+  { name: "Aoede", tone: "Breezy" },
+  { name: "Callirrhoe", tone: "Easy-going" },
+  { name: "Autonoe", tone: "Bright" },
+  { name: "Enceladus", tone: "Breathy" },
+  { name: "Iapetus", tone: "Clear" },
+  { name: "Umbriel", tone: "Easy-going" },
+  { name: "Algieba", tone: "Smooth" },
+  { name: "Despina", tone: "Smooth" },
+  { name: "Erinome", tone: "Clear" },
+  { name: "Algenib", tone: "Gravelly" },
+  { name: "Rasalgethi", tone: "Informative" },
+  { name: "Laomedeia", tone: "Upbeat" },
+  { name: "Achernar", tone: "Soft" },
+  { name: "Alnilam", tone: "Firm" },
+  { name: "Schedar", tone: "Even" },
+  { name: "Gacrux", tone: "Mature" },
+  { name: "Pulcherrima", tone: "Forward" },
+  { name: "Achird", tone: "Friendly" },
+  { name: "Zubenelgenubi", tone: "Casual" },
+  { name: "Vindemiatrix", tone: "Gentle" },
+  { name: "Sadachbia", tone: "Lively" },
+  { name: "Sadaltager", tone: "Knowledgeable" },
+  { name: "Sulafat", tone: "Warm" },
+];
+
+export const LANGUAGES = [
+  { code: "ar-XA", name: "Arabic" },
+  { code: "bn-IN", name: "Bengali (India)" },
+  { code: "cmn-CN", name: "Mandarin Chinese" },
+  { code: "de-DE", name: "German (Germany)" },
+  { code: "en-AU", name: "English (Australia)" },
+  { code: "en-GB", name: "English (United Kingdom)" },
+  { code: "en-IN", name: "English (India)" },
+  { code: "en-US", name: "English (United States)" },
+  { code: "es-ES", name: "Spanish (Spain)" },
+  { code: "es-US", name: "Spanish (United States)" },
+  { code: "fr-CA", name: "French (Canada)" },
+  { code: "fr-FR", name: "French (France)" },
+  { code: "gu-IN", name: "Gujarati (India)" },
+  { code: "hi-IN", name: "Hindi (India)" },
+  { code: "id-ID", name: "Indonesian (Indonesia)" },
+  { code: "it-IT", name: "Italian (Italy)" },
+  { code: "ja-JP", name: "Japanese (Japan)" },
+  { code: "kn-IN", name: "Kannada (India)" },
+  { code: "ko-KR", name: "Korean (South Korea)" },
+  { code: "ml-IN", name: "Malayalam (India)" },
+  { code: "mr-IN", name: "Marathi (India)" },
+  { code: "nl-NL", name: "Dutch (Netherlands)" },
+  { code: "pl-PL", name: "Polish (Poland)" },
+  { code: "pt-BR", name: "Portuguese (Brazil)" },
+  { code: "ru-RU", name: "Russian (Russia)" },
+  { code: "ta-IN", name: "Tamil (India)" },
+  { code: "te-IN", name: "Telugu (India)" },
+  { code: "th-TH", name: "Thai (Thailand)" },
+  { code: "tr-TR", name: "Turkish (Turkey)" },
+  { code: "vi-VN", name: "Vietnamese (Vietnam)" },
+];
+
+export const RESPONSE_MODALITIES = {
+  audio: Modality.AUDIO,
+  text: Modality.TEXT,
+};
+
+export function findVoice(name) {
+  return VOICES.find((voice) => voice.name === name) || null;
+}
+
+export function findLanguage(code) {
+  return LANGUAGES.find((language) => language.code === code) || null;
+}
+
+// Returns a list of human readable problems; empty when the settings are usable
+export function validateSpeechSettings({
+  voice,
+  language,
+  speakingStyle,
+  responseModality,
+}) {
+  const errors = [];
+
+  if (voice !== undefined && voice !== null && !findVoice(voice)) {
+    errors.push(`Unknown voice: ${voice}; see GET /api/voices`);
+  }
+  if (language !== undefined && language !== null && !findLanguage(language)) {
+    errors.push(`Unsupported language: ${language}; see GET /api/voices`);
+  }
+  if (
+    speakingStyle !== undefined &&
+    speakingStyle !== null &&
+    (typeof speakingStyle !== "string" ||
+      speakingStyle.length > MAX_SPEAKING_STYLE_LENGTH)
+  ) {
+    errors.push(
+      `speakingStyle must be a string of at most ${MAX_SPEAKING_STYLE_LENGTH} characters`
+    );
+  }
+  if (
+    responseModality !== undefined &&
+    responseModality !== null &&
+    !Object.hasOwn(RESPONSE_MODALITIES, responseModality)
+  ) {
+    errors.push(
+      `responseModality must be one of: ${Object.keys(RESPONSE_MODALITIES).join(
+        ", "
+      )}`
+    );
+  }
+
+  return errors;
+}
+
+// The live config's speechConfig for an agent's voice and language
+export function buildSpeechConfig({ voice, language } = {}) {
+  return {
+    voiceConfig: {
+      prebuiltVoiceConfig: { voiceName: voice || DEFAULT_VOICE },
+    },
+    ...(language && { languageCode: language }),
+  };
+}
+
+export function responseModalitiesFor(responseModality) {
+  return [RESPONSE_MODALITIES[responseModality || DEFAULT_RESPONSE_MODALITY]];
+}
+
+// System instruction section for the language and speaking style, which the
+// speech config alone does not convey to the model
+export function speechInstruction({ language, speakingStyle } = {}) {
+  const lines = [];
+  const known = language && findLanguage(language);
+  if (known) {
+    lines.push(
+      `- Always respond in ${known.name}, unless the caller explicitly asks for another language.`
+    );
+  }
+  if (speakingStyle) lines.push(`- Speaking style: ${speakingStyle}`);
+  return lines.length > 0
+    ? `## LANGUAGE & SPEAKING STYLE\n${lines.join("\n")}`
+    : "";
+}
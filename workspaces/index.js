@@ -0,0 +1,150 @@
+import { getRepository } from "../storage/index.js";
+
+// Workspaces are the tenants that own agents, documents and calls. The
+// authenticated account id is the workspace id, so every record's `ownerId`
+// names its workspace. A workspace may bring its own provider API key and is
+// held to a concurrent call limit and a monthly token budget.
+//
+//   DEFAULT_MAX_CONCURRENT_CALLS   limit for workspaces without their own
+//   DEFAULT_MONTHLY_TOKEN_BUDGET   budget for workspaces without their own
+
+export const workspaces = getRepository("workspaces");
+const workspaceUsage = getRepository("workspace-usage");
+
+const LIMIT_FIELDS = ["maxConcurrentCalls", "monthlyTokenBudget"];
+
+const envLimit = (name) =>
+  process.env[name] ? Number(process.env[name]) : null;
+
+// Calendar month the token budget applies to, e.g. "2026-10" (UTC)
+export function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+const usageId = (workspaceId, period) => `${workspaceId}:${period}`;
+
+// Workspaces exist implicitly; a record is only stored once settings change
+export async function getWorkspace(workspaceId) {
+  const record = await workspaces.get(workspaceId);
+  return {
+    id: workspaceId,
+    name: workspaceId,
+    providerApiKey: null,
+    maxConcurrentCalls: envLimit("DEFAULT_MAX_CONCURRENT_CALLS"),
+    monthlyTokenBudget: envLimit("DEFAULT_MONTHLY_TOKEN_BUDGET"),
+    ...record,
+  };
+}
+
+// The provider key never leaves the server
+export function publicWorkspace({ providerApiKey, ...workspace }) {
+  return { ...workspace, hasProviderApiKey: Boolean(providerApiKey) };
+}
+
+// Returns a list of human readable problems; empty when the changes are usable
+export function validateWorkspaceSettings(changes) {
+  const errors = [];
+
+  if (
+    changes.name !== undefined &&
+    (!changes.name || typeof changes.name !== "string")
+  ) {
+    errors.push("name must be a non-empty string");
+  }
+  if (
+    changes.providerApiKey !== undefined &&
+    changes.providerApiKey !== null &&
+    typeof changes.providerApiKey !== "string"
+  ) {
+    errors.push("providerApiKey must be a string or null");
+  }
+  for (const field of LIMIT_FIELDS) {
+    const value = changes[field];
+    if (value !== undefined && value !== null) {
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${field} must be a non-negative integer or null`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export async function saveWorkspace(workspaceId, changes) {
+  const record = await workspaces.upsert(workspaceId, changes, {
+    name: workspaceId,
+  });
+  return getWorkspace(record.id);
+}
+
+export async function getMonthlyTokens(workspaceId, period = currentPeriod()) {
+  const record = await workspaceUsage.get(usageId(workspaceId, period));
+  return record?.tokens || 0;
+}
+
+// Serialize read-modify-write so concurrent calls don't lose updates
+let pendingUsage = Promise.resolve();
+
+export function addTokens(workspaceId, tokens) {
+  if (!tokens) return pendingUsage;
+  const id = usageId(workspaceId, currentPeriod());
+
+  pendingUsage = pendingUsage
+    .then(async () => {
+      const record = await workspaceUsage.get(id);
+      await workspaceUsage.upsert(
+        id,
+        { tokens: (record?.tokens || 0) + tokens },
+        { workspaceId, period: currentPeriod() }
+      );
+    })
+    .catch((error) =>
+      console.error("❌ Failed to record workspace token usage:", error)
+    );
+  return pendingUsage;
+}
+
+export async function isOverTokenBudget(workspace) {
+  if (workspace.monthlyTokenBudget == null) return false;
+  return (await getMonthlyTokens(workspace.id)) >= workspace.monthlyTokenBudget;
+}
+
+// Calls in progress per workspace, counted from admission to release
+const activeCalls = new Map();
+
+export function countActiveCalls(workspaceId) {
+  return activeCalls.get(workspaceId) || 0;
+}
+
+// Reserves a call slot for the workspace, or throws when it is at its
+// concurrent call limit or out of tokens. Returns { workspace, release }.
+export async function admitCall(workspaceId) {
+  const workspace = await getWorkspace(workspaceId);
+  if (await isOverTokenBudget(workspace)) {
+    throw new Error("Workspace monthly token budget exhausted");
+  }
+
+  // No await between the check and the increment, so slots can't be overbooked
+  const active = countActiveCalls(workspaceId);
+  if (
+    workspace.maxConcurrentCalls != null &&
+    active >= workspace.maxConcurrentCalls
+  ) {
+    throw new Error(
+      `Workspace concurrent call limit reached (${workspace.maxConcurrentCalls})`
+    );
+  }
+  activeCalls.set(workspaceId, active + 1);
+
+  let released = false;
+  return {
+    workspace,
+    release() {
+      if (released) return;
+      released = true;
+      const remaining = countActiveCalls(workspaceId) - 1;
+      if (remaining > 0) activeCalls.set(workspaceId, remaining);
+      else activeCalls.delete(workspaceId);
+    },
+  };
+}